@@ -0,0 +1,70 @@
+/**
+ * Audit Log
+ * Append-only record of staff actions (credits, photo deletions, payment settings...).
+ * Entries can be added and read but not edited; the oldest roll off past CONFIG.STAFF.AUDIT_LIMIT.
+ */
+
+class AuditLog {
+  /**
+   * Append an entry
+   * @param {string} action - What happened, e.g. 'credits.set'
+   * @param {Object} details - Plain values describing the change
+   * @param {Object} actor - Staff account responsible (defaults to whoever is signed in)
+   * @returns {boolean} - Success status
+   */
+  record(action, details = {}, actor = typeof Staff !== 'undefined' ? Staff.current : null) {
+    const log = Storage.getAuditLog();
+    log.push({
+      id: Utils.generateUUID(),
+      at: Date.now(),
+      staffId: actor ? actor.id : null,
+      staffName: actor ? actor.name : null,
+      role: actor ? actor.role : null,
+      action,
+      details: { ...details }
+    });
+    return Storage.setAuditLog(log);
+  }
+
+  /**
+   * Get entries, newest first
+   * @returns {Array}
+   */
+  getEntries() {
+    return Storage.getAuditLog().slice().reverse();
+  }
+
+  /**
+   * Summarize an entry's details for display
+   * @param {Object} entry - Audit entry
+   * @returns {string} - e.g. "account: a@b.com, balance: 5"
+   */
+  describe(entry) {
+    return Object.keys(entry.details || {})
+      .map(key => `${key}: ${entry.details[key]}`)
+      .join(', ');
+  }
+
+  /**
+   * Export the log as CSV, oldest first
+   * @returns {string}
+   */
+  toCSV() {
+    const rows = Storage.getAuditLog().map(entry => [
+      new Date(entry.at).toISOString(),
+      entry.staffName || '',
+      entry.role || '',
+      entry.action,
+      this.describe(entry)
+    ]);
+    return Utils.toCSV([['at', 'staff', 'role', 'action', 'details'], ...rows]);
+  }
+}
+
+// Create global audit log instance
+const Audit = new AuditLog();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuditLog;
+}
@@ -139,11 +139,11 @@ class CameraManager {
   }
 
   /**
-   * Capture photo from video stream
-   * @param {HTMLCanvasElement} canvas - Canvas element for capture
-   * @returns {Promise<string>} - Data URL of captured image
+   * Draw the current video frame to a canvas, cropped to the aspect ratio
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {number} maxDimension - Optional limit for the longest canvas side
    */
-  async capturePhoto(canvas) {
+  drawFrame(canvas, maxDimension = Infinity) {
     if (!this.video || !this.stream) {
       throw new Error('Camera not active');
     }
@@ -170,27 +170,65 @@ class CameraManager {
     const sx = Math.floor((vw - cropW) / 2);
     const sy = Math.floor((vh - cropH) / 2);
 
+    const scale = Math.min(1, maxDimension / Math.max(cropW, cropH));
+    const width = Math.round(cropW * scale);
+    const height = Math.round(cropH * scale);
+
     // Set canvas dimensions
-    canvas.width = cropW;
-    canvas.height = cropH;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
     
     const ctx = canvas.getContext('2d');
 
     // Apply mirror effect if enabled
     ctx.save();
     if (this.mirror) {
-      ctx.translate(cropW, 0);
+      ctx.translate(width, 0);
       ctx.scale(-1, 1);
     }
 
     // Draw video frame to canvas
-    ctx.drawImage(this.video, sx, sy, cropW, cropH, 0, 0, cropW, cropH);
+    ctx.drawImage(this.video, sx, sy, cropW, cropH, 0, 0, width, height);
     ctx.restore();
+  }
+
+  /**
+   * Capture photo from video stream
+   * @param {HTMLCanvasElement} canvas - Canvas element for capture
+   * @returns {Promise<string>} - Data URL of captured image
+   */
+  async capturePhoto(canvas) {
+    this.drawFrame(canvas);
 
     // Return data URL
     return canvas.toDataURL('image/png', CONFIG.PHOTOS.QUALITY);
   }
 
+  /**
+   * Capture a burst of frames from the video stream
+   * @param {HTMLCanvasElement} canvas - Canvas element for capture
+   * @param {number} frameCount - Number of frames
+   * @param {number} interval - Time between frames in milliseconds
+   * @returns {Promise<string[]>} - Data URLs of captured frames
+   */
+  async captureBurst(canvas, frameCount, interval) {
+    const frames = [];
+
+    for (let i = 0; i < frameCount; i++) {
+      if (i > 0) {
+        await Utils.delay(interval);
+      }
+
+      // JPEG keeps per-frame encoding fast enough to hold the interval
+      this.drawFrame(canvas);
+      frames.push(canvas.toDataURL('image/jpeg', CONFIG.PHOTOS.QUALITY));
+    }
+
+    return frames;
+  }
+
   /**
    * Get available cameras
    * @returns {Promise<Array>} - Array of camera devices
@@ -7,16 +7,67 @@ const CONFIG = {
   // Application settings
   APP: {
     NAME: 'GLO GANG Photobooth',
-    VERSION: '1.0.0',
+    VERSION: '1.0.0', // Also names the offline cache; bump it to ship an update to installed booths
     DEBUG: false
   },
 
+  // Offline support: sw.js precaches these, plus the default overlays and props
+  OFFLINE: {
+    SERVICE_WORKER: 'sw.js',
+    CACHE_PREFIX: 'glogang-photobooth-',
+    PRECACHE: [
+      './',
+      'index.html',
+      'login.html',
+      'photobooth.html',
+      'settings.html',
+      'help.html',
+      'manifest.webmanifest',
+      'img/icon.svg',
+      'css/ios-fixes.css',
+      'js/audit-log.js',
+      'js/camera.js',
+      'js/config.js',
+      'js/credit-manager.js',
+      'js/delivery-manager.js',
+      'js/desktop-mode-fixes.js',
+      'js/event-profiles.js',
+      'js/face-tracker.js',
+      'js/gesture-handler.js',
+      'js/gif-encoder.js',
+      'js/history-manager.js',
+      'js/ios-diagnostics.js',
+      'js/offline-manager.js',
+      'js/payment-manager.js',
+      'js/photo-store.js',
+      'js/photobooth.js',
+      'js/pin-dialog.js',
+      'js/pin-manager.js',
+      'js/qr-decoder.js',
+      'js/qr-encoder.js',
+      'js/qr-scanner.js',
+      'js/qr-worker.js',
+      'js/retry-queue.js',
+      'js/session.js',
+      'js/staff-manager.js',
+      'js/storage.js',
+      'js/ticket-manager.js',
+      'js/upload-queue.js',
+      'js/utils.js',
+      'js/video-recorder.js'
+    ]
+  },
+
   // Security settings
   SECURITY: {
-    DEFAULT_PIN: '1234',
+    DEFAULT_PIN: '1234', // Old shipped default; never accepted, a new PIN is required on first run
     SESSION_TIMEOUT: 30 * 60 * 1000, // 30 minutes
-    MAX_LOGIN_ATTEMPTS: 3,
-    PIN_LENGTH: 4
+    ADMIN_SESSION_TIMEOUT: 3 * 60 * 1000, // Settings re-lock after 3 idle minutes
+    MAX_LOGIN_ATTEMPTS: 3, // Failed PIN entries before lockouts start
+    PIN_LENGTH: 4,
+    PIN_HASH_ITERATIONS: 150000, // PBKDF2-SHA256
+    PIN_LOCKOUT_BASE: 30 * 1000, // First lockout; doubles with each further failure
+    PIN_LOCKOUT_MAX: 15 * 60 * 1000
   },
 
   // Camera settings
@@ -29,7 +80,7 @@ const CONFIG = {
       '1:1': { width: 1, height: 1 },
       '9:16': { width: 9, height: 16 }
     },
-    DEFAULT_ASPECT: '3:4'
+    DEFAULT_ASPECT: '9:16'
   },
 
   // Photo settings
@@ -40,14 +91,104 @@ const CONFIG = {
     MAX_DIMENSION: 2048
   },
 
+  // Photo strip settings
+  STRIP: {
+    MIN_SHOTS: 2,
+    MAX_SHOTS: 6,
+    DEFAULT_SHOTS: 4,
+    SHOT_PAUSE: 1000, // pause between shots before the next countdown
+    DEFAULT_LAYOUT: 'strip',
+    // Canvas sizes are print pixels at 300dpi
+    LAYOUTS: {
+      strip: {
+        name: '2x6 Strip',
+        columns: 1,
+        width: 600,
+        height: 1800,
+        padding: 24,
+        gap: 16,
+        footer: 120,
+        background: '#0f1115',
+        footerColor: '#ffd100'
+      },
+      grid: {
+        name: '2x2 Grid',
+        columns: 2,
+        width: 1200,
+        height: 1500,
+        padding: 32,
+        gap: 24,
+        footer: 140,
+        background: '#0f1115',
+        footerColor: '#ffd100'
+      }
+    }
+  },
+
+  // Animated GIF / boomerang settings
+  GIF: {
+    FRAME_COUNT: 12,
+    FRAME_INTERVAL: 120, // time between burst frames
+    FRAME_DELAY: 100, // playback delay per frame
+    MAX_DIMENSION: 480,
+    LOOP: 0 // 0 = loop forever
+  },
+
+  // Video clip settings
+  VIDEO: {
+    MIN_DURATION: 5, // seconds
+    MAX_DURATION: 15,
+    DEFAULT_DURATION: 10,
+    FPS: 30,
+    BITRATE: 4000000,
+    MAX_DIMENSION: 1280,
+    // Preferred first; iPad Safari records MP4, Chrome and Firefox record WebM
+    MIME_TYPES: [
+      'video/mp4;codecs=avc1',
+      'video/mp4',
+      'video/webm;codecs=vp9',
+      'video/webm;codecs=vp8',
+      'video/webm'
+    ]
+  },
+
+  // Face-tracked prop placement
+  FACE: {
+    DETECT_INTERVAL: 120, // ms between detections
+    MAX_DIMENSION: 320, // detection frame size
+    MAX_FACES: 4,
+    SMOOTHING: 0.5, // share of the previous position kept per detection
+    HOLD_TIME: 600, // keep faces this long after a missed detection
+    FALLBACK_CELL: 4, // pixels per sample in the skin-tone fallback
+    FALLBACK_MIN_AREA: 0.01, // smallest blob, as a share of the frame
+    // Anchor heights in face-box heights from the top, used without landmarks
+    ANCHOR_OFFSETS: {
+      head: 0.05,
+      eyes: 0.42,
+      mouth: 0.78,
+      neck: 1.15
+    }
+  },
+
   // UI settings
   UI: {
     COUNTDOWN_DURATION: 3,
     COUNTDOWN_INTERVAL: 800,
     TOAST_DURATION: 2200,
     STICKER_BASE_SIZE: 220,
+    HISTORY_LIMIT: 50, // Undo steps kept; each can hold a prop image
     MIN_SCALE: 0.2,
-    MAX_SCALE: 4.0
+    MAX_SCALE: 4.0,
+    GESTURE_SMOOTHING: 0.5, // 1 = follow fingers exactly
+    INERTIA_FRICTION: 0.92, // velocity kept per 16ms frame
+    INERTIA_MIN_SPEED: 0.0005, // stage widths per ms needed to fling
+    INERTIA_STOP_SPEED: 0.00002,
+    INERTIA_IDLE_TIMEOUT: 80, // ms without movement before release cancels the fling
+    // Live preview selection handles, in preview pixels
+    HANDLE_RADIUS: 12,
+    ROTATE_HANDLE_OFFSET: 32,
+    SELECTION_COLOR: '#ffd100',
+    LOCKED_COLOR: '#8b93a7'
   },
 
   // Storage settings
@@ -55,21 +196,108 @@ const CONFIG = {
     KEYS: {
       PHOTOS: 'photos',
       SETTINGS_PIN: 'settings_pin',
+      PIN_LOCKOUT: 'pin_lockout',
+      STAFF_ACCOUNTS: 'staff_accounts',
+      AUDIT_LOG: 'audit_log',
       PAYMENT_ENABLED: 'payment_enabled',
       APPROVED_CODES: 'approved_codes',
       SESSION: 'session',
-      PENDING_SESSION: 'pendingSession'
+      PENDING_SESSION: 'pendingSession',
+      TICKET_KEY: 'ticket_key',
+      TICKET_LEDGER: 'ticket_ledger',
+      CREDIT_PREFIX: 'credits:', // + account ID
+      CREDIT_LEDGER: 'credit_ledger',
+      PAYMENT_PACKAGES: 'payment_packages',
+      PAYMENT_CURRENCY: 'payment_currency',
+      PAYMENT_ATTEMPTS: 'payment_attempts',
+      PAYMENT_TRANSACTIONS: 'payment_transactions',
+      SCHEMA_VERSION: 'schema_version',
+      UPLOAD_ENDPOINT: 'upload_endpoint',
+      GALLERY_URL: 'gallery_url',
+      DELIVERY_SENDER: 'delivery_sender',
+      DELIVERY_WEBHOOK: 'delivery_webhook',
+      DELIVERY_QUEUE: 'delivery_queue',
+      CONSENT_LOG: 'consent_log',
+      EVENT_PROFILES: 'event_profiles',
+      ACTIVE_EVENT: 'active_event',
+      UPLOAD_QUEUE: 'upload_queue'
     },
+    // Bump when stored values change shape, and add a step to StorageManager.migrate()
+    SCHEMA_VERSION: 2,
     MAX_PHOTOS: 100,
-    CLEANUP_THRESHOLD: 50
+    CLEANUP_THRESHOLD: 50,
+    // IndexedDB photo library
+    DB: {
+      NAME: 'glogang-photobooth',
+      VERSION: 1,
+      STORES: {
+        PHOTOS: 'photos',
+        BLOBS: 'blobs',
+        THUMBNAILS: 'thumbnails'
+      },
+      THUMBNAIL_SIZE: 320
+    }
   },
 
   // Payment settings (should be moved to server-side in production)
   PAYMENT: {
     SQUARE_APP_ID: '', // Configure in production
-    AMOUNT_CENTS: 100,
-    CURRENCY: 'USD',
-    PAYMENT_LINK_URL: '' // Configure in production
+    CURRENCY: 'USD', // Default; staff can change it in settings
+    PAYMENT_LINK_URL: '', // Configure in production; packages may set their own link
+    // Default packages; staff edit these in settings
+    DEFAULT_PACKAGES: [
+      { id: 'single', name: '1 Strip', shots: 1, amountCents: 100, linkUrl: '' },
+      { id: 'triple', name: '3 Strips', shots: 3, amountCents: 250, linkUrl: '' }
+    ],
+    MAX_PACKAGES: 6,
+    REFUND_URL: '', // Backend that refunds through Square; without it refunds are done in Square
+    VERIFY_URL: '', // Backend that confirms transactions with Square; optional for Point of Sale
+    VERIFY_TIMEOUT: 10000,
+    ATTEMPT_TTL: 30 * 60 * 1000, // A payment must come back within 30 minutes of starting
+    TRANSACTION_RETENTION: 7 * 24 * 60 * 60 * 1000 // Used transaction IDs kept for replay checks
+  },
+
+  // Uploading saved photos to a gallery server (off until an endpoint is set in Settings)
+  UPLOAD: {
+    ENDPOINT: '', // Default endpoint; receives multipart POSTs (file, id, session, metadata)
+    TIMEOUT: 60000,
+    MAX_ATTEMPTS: 8, // Then the upload is marked failed until staff retry it
+    BACKOFF_BASE: 5000, // Wait after the first failure; doubles with each further one
+    BACKOFF_MAX: 10 * 60 * 1000,
+    SENT_LIMIT: 200, // Sent entries kept for the status list
+    // Page guests reach by scanning the QR after a capture; {id} and {code} are filled in
+    GALLERY_URL: '',
+    CODE_ALPHABET: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789', // No 0/O or 1/I/L to misread
+    CODE_LENGTH: 8
+  },
+
+  // "Send to me": guests get their photo by email or text through a pluggable sender
+  DELIVERY: {
+    SENDER: 'webhook', // 'webhook', or 'stub' to try the flow without sending anything
+    WEBHOOK_URL: '', // Default webhook; receives multipart POSTs (file, channel, recipient, ...)
+    CONSENT_TEXT: 'Send me this photo at this address or number. It is used only to deliver this photo.',
+    // Separate, optional and unticked by default; sending works without it
+    MARKETING_TEXT: 'Also send me occasional emails or texts about GLO GANG events and offers. I can unsubscribe at any time.',
+    EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/,
+    PHONE_PATTERN: /^\+?[0-9]{7,15}$/, // After spaces, dashes, dots and brackets are removed
+    MAX_ATTEMPTS: 6,
+    BACKOFF_BASE: 10000,
+    BACKOFF_MAX: 15 * 60 * 1000,
+    SENT_LIMIT: 200,
+    CONSENT_LIMIT: 10000 // Consent records kept on the device; export them regularly
+  },
+
+  // Event profiles bundle overlays, props, pricing and branding for one event.
+  // The built-in 'default' profile uses ASSETS.DEFAULT_OVERLAYS/DEFAULT_PROPS and the booth's own pricing.
+  EVENTS: {
+    SCHEMA_VERSION: 1, // Bump when the exported JSON changes shape
+    DEFAULT_ID: 'default',
+    DEFAULT_NAME: 'GLO GANG',
+    MAX_PROFILES: 20,
+    MAX_ASSETS: 40, // Overlays or props per profile
+    MAX_TEXT_LENGTH: 200,
+    DEFAULT_WELCOME: { title: '', text: '', button: 'Click here to start', background: 'glogangpb.svg' },
+    DEFAULT_COLORS: { accent: '#ffd100', background: '#0f1115', text: '#f6f7fb' }
   },
 
   // Asset paths
@@ -77,21 +305,70 @@ const CONFIG = {
     OVERLAYS_PATH: 'img/overlays/',
     PROPS_PATH: 'img/props/',
     DEFAULT_OVERLAYS: [
-      { name: 'GG Frame', src: 'img/overlays/gg_frame.png' },
-      { name: 'Drip', src: 'img/overlays/drip.png' },
-      { name: 'Starburst', src: 'img/overlays/starburst.png' }
+      { name: 'GLOry Day', src: 'img/overlays/photoboth frames-01.png' },
+      { name: 'Rising Sun Pink', src: 'img/overlays/photoboth frames-02.png' },
+      { name: 'GLOry Girls', src: 'img/overlays/photoboth frames-03.png' },
+      { name: 'Rising Sun BW', src: 'img/overlays/photoboth frames-04.png' },
+      { name: 'Rising Sun Gold', src: 'img/overlays/photoboth frames-05.png' },
+      { name: 'GLOGANG', src: 'img/overlays/photoboth frames-06.png' },
+      { name: 'GLOshop LA', src: 'img/overlays/photoboth frames-07.png' },
+      { name: 'GLO Up', src: 'img/overlays/photoboth frames-08.png' },
+      { name: 'GLOshop LA Visit', src: 'img/overlays/photoboth frames-09.png' }
     ],
+    // anchor: face point to follow (eyes, head, neck or mouth), prop width as a multiple of
+    // face width, and a vertical offset in prop heights (negative sits above the point)
     DEFAULT_PROPS: [
-      { name: 'Sunglasses', src: 'img/props/sunglasses.png' },
-      { name: 'Crown', src: 'img/props/crown.png' },
-      { name: 'Chain', src: 'img/props/chain.png' }
+      { name: 'Cool Shades', src: 'img/props/sunglasses.svg', anchor: { point: 'eyes', width: 1.05, offsetY: 0 } },
+      { name: 'Gold Crown', src: 'img/props/crown.svg', anchor: { point: 'head', width: 0.95, offsetY: -0.4 } },
+      { name: 'Bling Chain', src: 'img/props/chain.svg', anchor: { point: 'neck', width: 1.3, offsetY: 0.4 } },
+      { name: 'Diamond Grill', src: 'img/props/grill.svg', anchor: { point: 'mouth', width: 0.45, offsetY: 0 } },
+      { name: 'Money Stack', src: 'img/props/money.svg' },
+      { name: 'Mic Drop', src: 'img/props/microphone.svg' }
     ]
   },
 
   // QR Code settings
   QR: {
     DEFAULT_APPROVED_CODES: ['GG-TEST-2025', 'VIP-1234'],
-    SCAN_TIMEOUT: 30000 // 30 seconds
+    CODE_PATTERN: /^[A-Za-z0-9\-_]+$/, // Letters, digits, hyphens and underscores
+    MAX_CODE_LENGTH: 50,
+    SCAN_TIMEOUT: 30000, // 30 seconds
+    // JavaScript decoder used when BarcodeDetector is missing
+    DECODE_INTERVAL: 150, // ms between decoded frames
+    MAX_DIMENSION: 640, // Frames are downscaled to this before decoding
+    WORKER_PATH: 'js/qr-worker.js'
+  },
+
+  // Signed single-use QR access tickets
+  TICKETS: {
+    PREFIX: 'PB1',
+    MAX_LENGTH: 256, // Longest scanned ticket accepted
+    DEFAULT_SHOTS: 3,
+    DEFAULT_VALID_HOURS: 24,
+    MAX_BATCH: 100,
+    LEDGER_RETENTION: 30 * 24 * 60 * 60 * 1000 // Forget redemptions this long after the ticket expired
+  },
+
+  // Prepaid credits: one credit per kept photo, strip or clip
+  CREDITS: {
+    ACCOUNT_PATTERN: /^[A-Za-z0-9._%+\-@]+$/, // Codes, member IDs and emails
+    MAX_ACCOUNT_LENGTH: 100,
+    LEDGER_LIMIT: 500 // Oldest ledger entries are dropped beyond this
+  },
+
+  // Staff accounts; each role lists the settings permissions it grants
+  STAFF: {
+    ROLES: {
+      operator: { label: 'Operator', permissions: ['photos.view', 'photos.share'] },
+      manager: {
+        label: 'Manager',
+        permissions: ['photos.view', 'photos.share', 'photos.delete', 'pricing', 'credits', 'codes', 'tickets', 'uploads', 'delivery', 'events']
+      },
+      admin: { label: 'Admin', permissions: ['*'] }
+    },
+    MAX_ACCOUNTS: 20,
+    MAX_NAME_LENGTH: 40,
+    AUDIT_LIMIT: 2000 // Oldest audit entries roll off beyond this
   },
 
   // Error messages
@@ -106,7 +383,8 @@ const CONFIG = {
     PAYMENT_ERROR: 'Payment processing error. Please try again.',
     QR_SCAN_ERROR: 'QR code scanning failed. Please try manual entry.',
     INVALID_PIN: 'Invalid PIN. Please try again.',
-    SESSION_EXPIRED: 'Session expired. Please log in again.'
+    SESSION_EXPIRED: 'Session expired. Please log in again.',
+    VIDEO_UNSUPPORTED: 'Video recording is not supported on this device.'
   }
 };
 
@@ -0,0 +1,107 @@
+/**
+ * Credit Manager
+ * Prepaid credit balances per account (member ID, email or QR code) with a ledger of every change
+ */
+
+class CreditManager {
+  /**
+   * Check if an account ID can hold credits
+   * @param {string} account - Account ID
+   * @returns {boolean}
+   */
+  isValidAccount(account) {
+    return typeof account === 'string' &&
+      account.length > 0 &&
+      account.length <= CONFIG.CREDITS.MAX_ACCOUNT_LENGTH &&
+      CONFIG.CREDITS.ACCOUNT_PATTERN.test(account);
+  }
+
+  /**
+   * Check if an account has ever been given credits
+   * @param {string} account - Account ID
+   * @returns {boolean}
+   */
+  hasAccount(account) {
+    return this.isValidAccount(account) && Storage.getCreditBalance(account) !== null;
+  }
+
+  /**
+   * @param {string} account - Account ID
+   * @returns {number} - Balance, 0 for unknown accounts
+   */
+  getBalance(account) {
+    if (!this.isValidAccount(account)) return 0;
+    return Storage.getCreditBalance(account) || 0;
+  }
+
+  /**
+   * Change a balance and record it in the ledger
+   * @param {string} account - Account ID
+   * @param {number} delta - Credits to add (negative to remove)
+   * @param {string} reason - Why the balance changed
+   * @param {Object} details - Extra ledger fields, e.g. {session}
+   * @returns {number|null} - New balance, or null if it couldn't be saved
+   */
+  adjust(account, delta, reason, details = {}) {
+    if (!this.isValidAccount(account)) return null;
+
+    const before = this.getBalance(account);
+    const balance = Math.max(0, before + Math.trunc(delta));
+    if (!Storage.setCreditBalance(account, balance)) return null;
+
+    const ledger = Storage.getCreditLedger();
+    ledger.push({
+      id: Utils.generateUUID(),
+      account,
+      delta: balance - before,
+      balance,
+      reason,
+      session: details.session || null,
+      at: Date.now()
+    });
+    Storage.setCreditLedger(ledger);
+
+    return balance;
+  }
+
+  /**
+   * Set a balance outright (staff adjustments)
+   * @param {string} account - Account ID
+   * @param {number} balance - New balance
+   * @param {string} reason - Why the balance changed
+   * @returns {number|null} - New balance
+   */
+  setBalance(account, balance, reason = 'Staff adjustment') {
+    return this.adjust(account, balance - this.getBalance(account), reason);
+  }
+
+  /**
+   * Spend one credit
+   * @param {string} account - Account ID
+   * @param {Object} details - Extra ledger fields
+   * @returns {boolean} - False if there was no credit to spend
+   */
+  spend(account, details = {}) {
+    if (this.getBalance(account) < 1) return false;
+    return this.adjust(account, -1, 'Capture kept', details) !== null;
+  }
+
+  /**
+   * Get ledger entries, newest first
+   * @param {string} account - Only this account's entries (optional)
+   * @returns {Array}
+   */
+  getLedger(account = '') {
+    return Storage.getCreditLedger()
+      .filter(entry => !account || entry.account === account)
+      .reverse();
+  }
+}
+
+// Create global credit manager instance
+const Credits = new CreditManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CreditManager;
+}
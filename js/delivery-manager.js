@@ -0,0 +1,278 @@
+/**
+ * Delivery Manager
+ * "Send to me": guests leave an email address or phone number in the preview and
+ * the photo is sent through a pluggable sender. Deliveries are queued in storage
+ * and retried with backoff like gallery uploads. Every request records the guest's
+ * consent to the send, and separately whether they opted in to marketing, against
+ * their session so either can be proven later.
+ * Load js/retry-queue.js and js/upload-queue.js first.
+ */
+
+/**
+ * Base delivery sender. Senders implement:
+ * - isAvailable(): whether it is set up to send
+ * - send(delivery, blob): resolves {ok} when sent, or {ok: false, retry, error}
+ */
+class DeliverySender {
+  constructor(id, label) {
+    this.id = id;
+    this.label = label;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async send(delivery, blob) {
+    return { ok: false, retry: false, error: `${this.label} is not set up` };
+  }
+}
+
+/**
+ * Posts each delivery to a webhook (Zapier, a mail/SMS gateway, our own backend) as
+ * multipart form data: file, id, channel, recipient, photoId, code, link, session, consentId.
+ * The delivery ID goes with every attempt, so the webhook can ignore repeats.
+ */
+class WebhookDeliverySender extends DeliverySender {
+  constructor() {
+    super('webhook', 'Webhook');
+  }
+
+  isAvailable() {
+    return !!Storage.getDeliveryWebhook();
+  }
+
+  async send(delivery, blob) {
+    const form = new FormData();
+    form.append('file', blob, delivery.name);
+    form.append('id', delivery.id);
+    form.append('channel', delivery.channel);
+    form.append('recipient', delivery.recipient);
+    form.append('photoId', delivery.photoId);
+    form.append('code', delivery.code || '');
+    form.append('link', delivery.link || '');
+    form.append('session', delivery.session || '');
+    form.append('consentId', delivery.consentId || '');
+
+    try {
+      const response = await UploadQueue.post(Storage.getDeliveryWebhook(), form);
+      if (response.ok) return { ok: true };
+      return {
+        ok: false,
+        retry: RetryQueue.isRetryable(response.status),
+        error: `Server replied ${response.status}`
+      };
+    } catch (e) {
+      return { ok: false, retry: true, error: e && e.name === 'AbortError' ? 'Timed out' : 'Network error' };
+    }
+  }
+}
+
+/**
+ * Sends nothing: records each delivery in `sent` for this page, so the flow can be
+ * tried out at a venue without a webhook and checked in tests
+ */
+class StubDeliverySender extends DeliverySender {
+  constructor() {
+    super('stub', 'Test (nothing is sent)');
+    this.sent = [];
+  }
+
+  async send(delivery, blob) {
+    this.sent.push({ ...delivery, size: blob.size, sentAt: Date.now() });
+    return { ok: true };
+  }
+}
+
+class DeliveryManager extends RetryQueue {
+  constructor() {
+    super(CONFIG.DELIVERY);
+    this.senders = new Map();
+
+    [new WebhookDeliverySender(), new StubDeliverySender()]
+      .forEach(sender => this.registerSender(sender));
+  }
+
+  /**
+   * Add or replace a delivery sender
+   * @param {DeliverySender} sender - Sender with an id
+   */
+  registerSender(sender) {
+    if (!sender || !sender.id || typeof sender.send !== 'function') {
+      throw new Error('Delivery sender must have an id and send()');
+    }
+    this.senders.set(sender.id, sender);
+  }
+
+  /**
+   * @param {string} id - Sender ID
+   * @returns {DeliverySender|null}
+   */
+  getSender(id) {
+    return this.senders.get(id) || null;
+  }
+
+  /**
+   * @returns {Array<DeliverySender>} - Registered senders
+   */
+  getSenders() {
+    return Array.from(this.senders.values());
+  }
+
+  /**
+   * @returns {DeliverySender|null} - Sender chosen in Settings
+   */
+  getActiveSender() {
+    return this.getSender(Storage.getDeliverySender());
+  }
+
+  /**
+   * @returns {boolean} - Whether guests can be offered "Send to me"
+   */
+  isEnabled() {
+    const sender = this.getActiveSender();
+    return !!(sender && sender.isAvailable());
+  }
+
+  load() {
+    return Storage.getDeliveryQueue();
+  }
+
+  save(queue) {
+    return Storage.setDeliveryQueue(queue);
+  }
+
+  /**
+   * Work out whether a guest typed an email address or a phone number
+   * @param {string} value - What the guest typed
+   * @returns {Object|null} - {channel: 'email'|'sms', recipient}, or null if it is neither
+   */
+  parseRecipient(value) {
+    const text = String(value || '').trim();
+
+    if (text.includes('@')) {
+      return CONFIG.DELIVERY.EMAIL_PATTERN.test(text) ? { channel: 'email', recipient: text.toLowerCase() } : null;
+    }
+
+    const phone = text.replace(/[\s().-]/g, '');
+    return CONFIG.DELIVERY.PHONE_PATTERN.test(phone) ? { channel: 'sms', recipient: phone } : null;
+  }
+
+  /**
+   * Record consent and queue a saved photo to be sent to the guest
+   * @param {Object} photo - Saved photo {id, code, name, type, session}
+   * @param {string} contact - Email address or phone number
+   * @param {boolean} consent - Whether the guest agreed to have the photo sent
+   * @param {boolean} marketing - Whether the guest also opted in to marketing (optional)
+   * @returns {Object} - {queued, error}
+   */
+  request(photo, contact, consent, marketing = false) {
+    if (!this.isEnabled()) {
+      return { queued: false, error: 'Sending is not set up' };
+    }
+    if (!consent) {
+      return { queued: false, error: 'Please tick the box to have your photo sent' };
+    }
+
+    const parsed = this.parseRecipient(contact);
+    if (!parsed) {
+      return { queued: false, error: 'Enter a valid email address or phone number' };
+    }
+
+    const record = this.recordConsent(photo, parsed, marketing === true);
+    if (!record) {
+      return { queued: false, error: 'Could not save your request' };
+    }
+
+    const queue = this.load();
+    queue.push({
+      id: Utils.generateUUID(),
+      photoId: photo.id,
+      code: photo.code || null,
+      name: photo.name,
+      link: Uploads.getDeliveryLink(photo),
+      channel: parsed.channel,
+      recipient: parsed.recipient,
+      session: photo.session || null,
+      consentId: record.id,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      queuedAt: Date.now(),
+      sentAt: null
+    });
+    if (!this.save(queue)) {
+      return { queued: false, error: 'Could not save your request' };
+    }
+
+    this.changed();
+    this.process();
+    return { queued: true, error: null, channel: parsed.channel };
+  }
+
+  /**
+   * Keep proof of what the guest agreed to: who, how, the exact wording, when, and
+   * which session and photo it came from. Marketing is its own field, with its
+   * wording only when they opted in.
+   * @param {Object} photo - Saved photo
+   * @param {Object} parsed - {channel, recipient}
+   * @param {boolean} marketing - Whether they opted in to marketing
+   * @returns {Object|null} - Consent record, or null if it couldn't be saved
+   */
+  recordConsent(photo, parsed, marketing) {
+    const record = {
+      id: Utils.generateUUID(),
+      session: photo.session || null,
+      channel: parsed.channel,
+      recipient: parsed.recipient,
+      text: CONFIG.DELIVERY.CONSENT_TEXT,
+      marketing,
+      marketingText: marketing ? CONFIG.DELIVERY.MARKETING_TEXT : null,
+      photoId: photo.id,
+      consentedAt: new Date().toISOString(),
+      app: CONFIG.APP.VERSION
+    };
+
+    const log = Storage.getConsentLog();
+    log.push(record);
+    return Storage.setConsentLog(log) ? record : null;
+  }
+
+  /**
+   * @param {string} session - Session ID, or omit for every session
+   * @returns {Array} - Consent records, newest first
+   */
+  getConsents(session) {
+    return Storage.getConsentLog()
+      .filter(record => !session || record.session === session)
+      .reverse();
+  }
+
+  /**
+   * @returns {string} - Every consent record as CSV, oldest first
+   */
+  toCSV() {
+    const columns = ['consentedAt', 'channel', 'recipient', 'marketing', 'session', 'photoId', 'id', 'app', 'text', 'marketingText'];
+    const rows = Storage.getConsentLog().map(record => columns.map(column => record[column]));
+    return Utils.toCSV([columns, ...rows]);
+  }
+
+  /**
+   * Send one delivery through the active sender
+   * @param {Object} entry - Queue entry
+   * @param {Blob} blob - The photo
+   * @returns {Promise<Object>} - {ok, retry, error}
+   */
+  async deliver(entry, blob) {
+    return this.getActiveSender().send(entry, blob);
+  }
+}
+
+// Create global delivery manager instance
+const Deliveries = new DeliveryManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeliveryManager;
+}
@@ -0,0 +1,352 @@
+/**
+ * Event Profiles
+ * One profile per event: its overlays, props, aspect ratio, pricing, welcome text
+ * and colours. Staff import a profile as JSON in Settings and make it active; the
+ * landing page and photobooth then load everything from it. The built-in 'default'
+ * profile is made from CONFIG and can't be changed or removed.
+ *
+ * @typedef {Object} EventProfile
+ * @property {number} schema - CONFIG.EVENTS.SCHEMA_VERSION it was written for
+ * @property {string} id - Lowercase letters, digits, '-' and '_'
+ * @property {string} name - Shown to staff
+ * @property {string} startDate - 'YYYY-MM-DD', or '' for no start
+ * @property {string} endDate - 'YYYY-MM-DD', or '' for no end
+ * @property {Array} overlays - [{name, src}]
+ * @property {Array} props - [{name, src, anchor?: {point, width, offsetY}}]
+ * @property {string} aspect - Key of CONFIG.CAMERA.ASPECT_RATIOS the booth starts on
+ * @property {Object|null} pricing - {currency, packages}, or null to keep the booth's pricing
+ * @property {Object} welcome - {title, text, button, background} for the landing page
+ * @property {Object} colors - {accent, background, text} as #rrggbb
+ *
+ * Image sources may be paths on this site, https:// URLs or data:image URLs.
+ * https:// images are loaded with CORS, so their host must allow it.
+ * Only images under img/ are kept for offline use.
+ */
+
+class EventProfileManager {
+  /**
+   * @returns {EventProfile} - Built-in profile from CONFIG
+   */
+  getDefault() {
+    return {
+      schema: CONFIG.EVENTS.SCHEMA_VERSION,
+      id: CONFIG.EVENTS.DEFAULT_ID,
+      name: CONFIG.EVENTS.DEFAULT_NAME,
+      startDate: '',
+      endDate: '',
+      overlays: CONFIG.ASSETS.DEFAULT_OVERLAYS.map(overlay => ({ ...overlay })),
+      props: CONFIG.ASSETS.DEFAULT_PROPS.map(prop => ({ ...prop })),
+      aspect: CONFIG.CAMERA.DEFAULT_ASPECT,
+      pricing: null,
+      welcome: { ...CONFIG.EVENTS.DEFAULT_WELCOME },
+      colors: { ...CONFIG.EVENTS.DEFAULT_COLORS }
+    };
+  }
+
+  /**
+   * @returns {Array<EventProfile>} - Default profile first, then imported ones
+   */
+  getAll() {
+    return [this.getDefault(), ...Storage.getEventProfiles()];
+  }
+
+  /**
+   * @param {string} id - Profile ID
+   * @returns {EventProfile|null}
+   */
+  get(id) {
+    return this.getAll().find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * @returns {EventProfile} - Active profile, or the default if it was removed
+   */
+  getActive() {
+    return this.get(Storage.getActiveEventId()) || this.getDefault();
+  }
+
+  /**
+   * Make a profile active and apply its pricing
+   * @param {string} id - Profile ID
+   * @returns {Object} - {ok, error}
+   */
+  activate(id) {
+    const profile = this.get(id);
+    if (!profile) {
+      return { ok: false, error: 'Event profile not found' };
+    }
+
+    if (profile.pricing) {
+      if (!Storage.setPaymentCurrency(profile.pricing.currency) || !Storage.setPaymentPackages(profile.pricing.packages)) {
+        return { ok: false, error: 'Could not apply the event pricing' };
+      }
+    }
+
+    if (!Storage.setActiveEventId(profile.id)) {
+      return { ok: false, error: 'Could not save the active event' };
+    }
+    return { ok: true, error: null };
+  }
+
+  /**
+   * Read a profile from exported JSON
+   * @param {string} text - JSON text
+   * @returns {Object} - {profile, errors}; profile is null when there are errors
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { profile: null, errors: ['The file is not valid JSON'] };
+    }
+    return this.normalize(data);
+  }
+
+  /**
+   * Check a profile against the schema and fill in defaults
+   * @param {Object} data - Profile as imported
+   * @returns {Object} - {profile, errors}; profile is null when there are errors
+   */
+  normalize(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { profile: null, errors: ['Expected a JSON object'] };
+    }
+
+    const schema = data.schema === undefined ? CONFIG.EVENTS.SCHEMA_VERSION : Number(data.schema);
+    if (schema !== CONFIG.EVENTS.SCHEMA_VERSION) {
+      errors.push(`Unsupported schema version ${data.schema} (expected ${CONFIG.EVENTS.SCHEMA_VERSION})`);
+    }
+
+    const name = EventProfileManager.text(data.name);
+    if (!name) errors.push('name is required');
+
+    const id = String(data.id || name).trim().toLowerCase().replace(/\s+/g, '-');
+    if (!/^[a-z0-9_-]{1,40}$/.test(id)) {
+      errors.push('id may only use letters, digits, - and _ (up to 40)');
+    } else if (id === CONFIG.EVENTS.DEFAULT_ID) {
+      errors.push(`id "${CONFIG.EVENTS.DEFAULT_ID}" is reserved for the built-in profile; give the event its own id`);
+    }
+
+    const startDate = EventProfileManager.date(data.startDate, 'startDate', errors);
+    const endDate = EventProfileManager.date(data.endDate, 'endDate', errors);
+    if (startDate && endDate && endDate < startDate) {
+      errors.push('endDate is before startDate');
+    }
+
+    const overlays = this.normalizeAssets(data.overlays, 'overlays', errors).map(({ name, src }) => ({ name, src }));
+    const props = this.normalizeAssets(data.props, 'props', errors).map(({ name, src, anchor }) => {
+      if (!anchor) return { name, src };
+      if (typeof anchor !== 'object' || !(anchor.point in CONFIG.FACE.ANCHOR_OFFSETS)) {
+        errors.push(`props: "${name}" needs an anchor point of ${Object.keys(CONFIG.FACE.ANCHOR_OFFSETS).join(', ')}`);
+        return { name, src };
+      }
+      return {
+        name,
+        src,
+        anchor: {
+          point: anchor.point,
+          width: Number(anchor.width) > 0 ? Number(anchor.width) : 1,
+          offsetY: Number(anchor.offsetY) || 0
+        }
+      };
+    });
+
+    const aspect = data.aspect === undefined ? CONFIG.CAMERA.DEFAULT_ASPECT : String(data.aspect);
+    if (!CONFIG.CAMERA.ASPECT_RATIOS[aspect]) {
+      errors.push(`aspect must be one of ${Object.keys(CONFIG.CAMERA.ASPECT_RATIOS).join(', ')}`);
+    }
+
+    const profile = {
+      schema: CONFIG.EVENTS.SCHEMA_VERSION,
+      id,
+      name,
+      startDate,
+      endDate,
+      overlays,
+      props,
+      aspect,
+      pricing: this.normalizePricing(data.pricing, errors),
+      welcome: this.normalizeWelcome(data.welcome, errors),
+      colors: this.normalizeColors(data.colors, errors)
+    };
+    return errors.length ? { profile: null, errors } : { profile, errors };
+  }
+
+  normalizeAssets(list, field, errors) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list) || list.length > CONFIG.EVENTS.MAX_ASSETS) {
+      errors.push(`${field} must be a list of up to ${CONFIG.EVENTS.MAX_ASSETS} images`);
+      return [];
+    }
+
+    return list.filter(asset => {
+      const ok = asset && EventProfileManager.text(asset.name) && EventProfileManager.isImageSource(asset.src);
+      if (!ok) errors.push(`${field}: each needs a name and an image path, https:// URL or data:image URL`);
+      return ok;
+    }).map(asset => ({ name: EventProfileManager.text(asset.name), src: asset.src.trim(), anchor: asset.anchor }));
+  }
+
+  normalizePricing(pricing, errors) {
+    if (pricing === undefined || pricing === null) return null;
+
+    const currency = String(pricing.currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      errors.push('pricing.currency must be a 3-letter code, e.g. USD');
+    }
+
+    const list = Array.isArray(pricing.packages) ? pricing.packages : [];
+    const packages = list.map(pkg => Storage.normalizePaymentPackage(pkg || {})).filter(pkg => pkg.id && pkg.name);
+    if (!packages.length || packages.length !== list.length || packages.length > CONFIG.PAYMENT.MAX_PACKAGES) {
+      errors.push(`pricing.packages must list 1 to ${CONFIG.PAYMENT.MAX_PACKAGES} packages, each with an id and name`);
+    }
+
+    return { currency, packages };
+  }
+
+  normalizeWelcome(welcome = {}, errors) {
+    const defaults = CONFIG.EVENTS.DEFAULT_WELCOME;
+    const result = {
+      title: EventProfileManager.text(welcome.title),
+      text: EventProfileManager.text(welcome.text),
+      button: EventProfileManager.text(welcome.button) || defaults.button,
+      background: welcome.background === undefined ? defaults.background : String(welcome.background || '').trim()
+    };
+
+    if (result.background && !EventProfileManager.isImageSource(result.background)) {
+      errors.push('welcome.background must be an image path, https:// URL or data:image URL');
+    }
+    return result;
+  }
+
+  normalizeColors(colors = {}, errors) {
+    const result = { ...CONFIG.EVENTS.DEFAULT_COLORS };
+    Object.keys(result).forEach(key => {
+      if (colors[key] === undefined) return;
+      if (/^#[0-9a-f]{6}$/i.test(colors[key])) {
+        result[key] = colors[key].toLowerCase();
+      } else {
+        errors.push(`colors.${key} must be a #rrggbb colour`);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Add an imported profile, replacing one with the same ID
+   * @param {EventProfile} profile - Normalized profile
+   * @returns {boolean} - False if there's no room or it couldn't be stored
+   */
+  save(profile) {
+    const profiles = Storage.getEventProfiles();
+    const index = profiles.findIndex(p => p.id === profile.id);
+    if (index >= 0) {
+      profiles[index] = profile;
+    } else {
+      profiles.push(profile);
+    }
+    return Storage.setEventProfiles(profiles);
+  }
+
+  /**
+   * Remove an imported profile; the booth falls back to the default if it was active
+   * @param {string} id - Profile ID
+   * @returns {boolean} - Success status
+   */
+  remove(id) {
+    if (id === CONFIG.EVENTS.DEFAULT_ID) return false;
+
+    const profiles = Storage.getEventProfiles();
+    const remaining = profiles.filter(p => p.id !== id);
+    if (remaining.length === profiles.length || !Storage.setEventProfiles(remaining)) return false;
+
+    if (Storage.getActiveEventId() === id) {
+      Storage.setActiveEventId(CONFIG.EVENTS.DEFAULT_ID);
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} id - Profile ID
+   * @returns {string|null} - Profile as JSON, ready to edit and import elsewhere
+   */
+  export(id) {
+    const profile = this.get(id);
+    return profile ? JSON.stringify(profile, null, 2) : null;
+  }
+
+  /**
+   * Where today falls in a profile's date range
+   * @param {EventProfile} profile - Profile
+   * @param {Date} now - Defaults to now
+   * @returns {string} - 'upcoming', 'ended' or 'current'
+   */
+  getStatus(profile, now = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+
+    if (profile.startDate && today < profile.startDate) return 'upcoming';
+    if (profile.endDate && today > profile.endDate) return 'ended';
+    return 'current';
+  }
+
+  /**
+   * Set the page's colour variables from the active profile
+   * @param {HTMLElement} root - Element to set them on
+   */
+  applyTheme(root = document.documentElement) {
+    const { accent, background, text } = this.getActive().colors;
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(accent.slice(i, i + 2), 16));
+
+    root.style.setProperty('--accent', accent);
+    root.style.setProperty('--ring', `rgba(${r},${g},${b},.35)`);
+    root.style.setProperty('--bg', background);
+    root.style.setProperty('--text', text);
+    // Landing page button
+    root.style.setProperty('--btn-text', accent);
+    root.style.setProperty('--btn-bg', background);
+  }
+
+  /**
+   * @param {*} value - Imported value
+   * @returns {string} - Trimmed text, cut to CONFIG.EVENTS.MAX_TEXT_LENGTH
+   */
+  static text(value) {
+    return typeof value === 'string' ? value.trim().slice(0, CONFIG.EVENTS.MAX_TEXT_LENGTH) : '';
+  }
+
+  /**
+   * @param {*} value - Imported value
+   * @param {string} field - Field name for the error
+   * @param {Array} errors - Collects problems
+   * @returns {string} - 'YYYY-MM-DD', or ''
+   */
+  static date(value, field, errors) {
+    if (value === undefined || value === null || value === '') return '';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))) return value;
+    errors.push(`${field} must be a date like 2025-06-14`);
+    return '';
+  }
+
+  /**
+   * @param {*} src - Image source
+   * @returns {boolean} - Whether it's a site path, https:// URL or data:image URL
+   */
+  static isImageSource(src) {
+    if (typeof src !== 'string' || !src.trim()) return false;
+    src = src.trim();
+    if (/^https:\/\//i.test(src)) return true;
+    if (/^data:image\/(png|jpeg|webp|gif|svg\+xml);base64,/i.test(src)) return true;
+    // Paths on this site: no other scheme and not protocol-relative
+    return !/^[a-z][a-z0-9+.-]*:/i.test(src) && !src.startsWith('//');
+  }
+}
+
+// Create global event profile manager instance
+const Profiles = new EventProfileManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventProfileManager;
+}
@@ -0,0 +1,383 @@
+/**
+ * Face Tracker
+ * Finds faces in the camera frame so props can be anchored to eyes, head, mouth or neck.
+ * Uses the browser FaceDetector when available and a skin-tone blob finder otherwise.
+ */
+
+class FaceTracker {
+  /**
+   * @param {CameraManager} camera - Camera providing the cropped, mirrored frame
+   */
+  constructor(camera) {
+    this.camera = camera;
+    this.detector = null;
+    this.useNative = FaceTracker.hasNativeDetector();
+    this.canvas = null;
+    this.faces = [];
+    this.lastSeen = 0;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Check if the browser ships the Shape Detection API face detector
+   * @returns {boolean}
+   */
+  static hasNativeDetector() {
+    return typeof window !== 'undefined' && 'FaceDetector' in window;
+  }
+
+  /**
+   * Start detecting on the live camera frame
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    const loop = async () => {
+      if (!this.isRunning) return;
+      try {
+        await this.update();
+      } catch (error) {
+        Utils.logError('FaceTracker.update', error);
+      }
+      if (this.isRunning) {
+        this.timer = setTimeout(loop, CONFIG.FACE.DETECT_INTERVAL);
+      }
+    };
+
+    loop();
+  }
+
+  /**
+   * Stop detecting and forget tracked faces
+   */
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.faces = [];
+  }
+
+  /**
+   * Detect on the current camera frame and blend with the previous result
+   */
+  async update() {
+    const canvas = this.getCanvas();
+    try {
+      this.camera.drawFrame(canvas, CONFIG.FACE.MAX_DIMENSION);
+    } catch (error) {
+      // Camera not ready yet
+      return;
+    }
+
+    const faces = await this.detect(canvas);
+    const now = Date.now();
+
+    if (faces.length) {
+      this.faces = this.smoothFaces(faces);
+      this.lastSeen = now;
+    } else if (now - this.lastSeen > CONFIG.FACE.HOLD_TIME) {
+      // Hold the last faces briefly so props don't flicker on a missed frame
+      this.faces = [];
+    }
+  }
+
+  /**
+   * Get tracked faces, left to right
+   * @returns {Array} - Faces with normalized {x, y, width, height, roll, landmarks}
+   */
+  getFaces() {
+    return this.faces;
+  }
+
+  /**
+   * Detect faces in an image source
+   * @param {HTMLCanvasElement} source - Frame to search
+   * @returns {Promise<Array>} - Faces in normalized coordinates, left to right
+   */
+  async detect(source) {
+    let canvas = source;
+
+    // Work on a small copy; detection cost grows with pixels. Captures get a canvas of
+    // their own, so they can't redraw the live loop's frame while it is being detected.
+    if (source !== this.canvas) {
+      canvas = document.createElement('canvas');
+      const scale = Math.min(1, CONFIG.FACE.MAX_DIMENSION / Math.max(source.width, source.height));
+      canvas.width = Math.round(source.width * scale);
+      canvas.height = Math.round(source.height * scale);
+      canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    }
+
+    if (!canvas.width || !canvas.height) return [];
+
+    let faces = null;
+    if (this.useNative) {
+      faces = await this.detectNative(canvas);
+    }
+    if (!faces) {
+      faces = this.detectSkinRegions(canvas);
+    }
+
+    return faces.sort((a, b) => a.x - b.x);
+  }
+
+  /**
+   * Detect with the native FaceDetector
+   * @param {HTMLCanvasElement} canvas - Frame
+   * @returns {Promise<Array|null>} - Faces, or null if the detector is unusable
+   */
+  async detectNative(canvas) {
+    try {
+      if (!this.detector) {
+        this.detector = new window.FaceDetector({
+          fastMode: true,
+          maxDetectedFaces: CONFIG.FACE.MAX_FACES
+        });
+      }
+
+      const results = await this.detector.detect(canvas);
+      const { width, height } = canvas;
+
+      return results.map(result => {
+        const box = result.boundingBox;
+        const landmarks = { eyes: null, mouth: null };
+        let roll = 0;
+
+        const eyes = (result.landmarks || [])
+          .filter(landmark => landmark.type === 'eye')
+          .map(landmark => FaceTracker.centroid(landmark.locations))
+          .sort((a, b) => a.x - b.x);
+
+        if (eyes.length === 2) {
+          roll = Math.atan2(eyes[1].y - eyes[0].y, eyes[1].x - eyes[0].x);
+          landmarks.eyes = {
+            x: (eyes[0].x + eyes[1].x) / 2 / width,
+            y: (eyes[0].y + eyes[1].y) / 2 / height
+          };
+        }
+
+        const mouth = (result.landmarks || []).find(landmark => landmark.type === 'mouth');
+        if (mouth) {
+          const point = FaceTracker.centroid(mouth.locations);
+          landmarks.mouth = { x: point.x / width, y: point.y / height };
+        }
+
+        return {
+          x: box.x / width,
+          y: box.y / height,
+          width: box.width / width,
+          height: box.height / height,
+          roll,
+          landmarks
+        };
+      });
+    } catch (error) {
+      // Some platforms expose FaceDetector but can't run it; use the fallback from now on
+      Utils.logError('FaceTracker.detectNative', error);
+      this.useNative = false;
+      this.detector = null;
+      return null;
+    }
+  }
+
+  /**
+   * Lightweight fallback: find face-shaped blobs of skin-toned pixels
+   * @param {HTMLCanvasElement} canvas - Frame
+   * @returns {Array} - Faces without landmarks
+   */
+  detectSkinRegions(canvas) {
+    const { width, height } = canvas;
+    const cell = CONFIG.FACE.FALLBACK_CELL;
+    const gridW = Math.floor(width / cell);
+    const gridH = Math.floor(height / cell);
+    if (!gridW || !gridH) return [];
+
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const mask = new Uint8Array(gridW * gridH);
+
+    // Sample the centre pixel of each cell
+    for (let gy = 0; gy < gridH; gy++) {
+      for (let gx = 0; gx < gridW; gx++) {
+        const px = gx * cell + (cell >> 1);
+        const py = gy * cell + (cell >> 1);
+        const i = (py * width + px) * 4;
+        mask[gy * gridW + gx] = FaceTracker.isSkin(data[i], data[i + 1], data[i + 2]) ? 1 : 0;
+      }
+    }
+
+    const minCells = gridW * gridH * CONFIG.FACE.FALLBACK_MIN_AREA;
+    const faces = [];
+
+    FaceTracker.findBlobs(mask, gridW, gridH).forEach(blob => {
+      if (blob.count < minCells) return;
+
+      const blobW = blob.maxX - blob.minX + 1;
+      // Faces usually merge with the neck; cut the blob to a head-shaped box
+      const blobH = Math.min(blob.maxY - blob.minY + 1, Math.round(blobW * 1.4));
+      const ratio = blobH / blobW;
+
+      if (ratio < 0.8 || ratio > 2.2) return;
+      if (blob.count / ((blob.maxX - blob.minX + 1) * (blob.maxY - blob.minY + 1)) < 0.35) return;
+
+      faces.push({
+        x: blob.minX / gridW,
+        y: blob.minY / gridH,
+        width: blobW / gridW,
+        height: blobH / gridH,
+        roll: 0,
+        landmarks: { eyes: null, mouth: null },
+        area: blob.count
+      });
+    });
+
+    return faces
+      .sort((a, b) => b.area - a.area)
+      .slice(0, CONFIG.FACE.MAX_FACES)
+      .map(({ area, ...face }) => face);
+  }
+
+  /**
+   * Skin test in YCbCr space, which holds up across skin tones better than RGB
+   * @param {number} r - Red
+   * @param {number} g - Green
+   * @param {number} b - Blue
+   * @returns {boolean}
+   */
+  static isSkin(r, g, b) {
+    const y = 0.299 * r + 0.587 * g + 0.114 * b;
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    return y > 40 && cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+  }
+
+  /**
+   * Connected components of a binary grid (4-neighbour)
+   * @param {Uint8Array} mask - 1 for set cells
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @returns {Array} - Blobs with bounds and cell count
+   */
+  static findBlobs(mask, width, height) {
+    const seen = new Uint8Array(mask.length);
+    const blobs = [];
+    const stack = [];
+
+    for (let start = 0; start < mask.length; start++) {
+      if (!mask[start] || seen[start]) continue;
+
+      const blob = { minX: width, minY: height, maxX: 0, maxY: 0, count: 0 };
+      stack.push(start);
+      seen[start] = 1;
+
+      while (stack.length) {
+        const index = stack.pop();
+        const x = index % width;
+        const y = (index - x) / width;
+
+        blob.count++;
+        if (x < blob.minX) blob.minX = x;
+        if (x > blob.maxX) blob.maxX = x;
+        if (y < blob.minY) blob.minY = y;
+        if (y > blob.maxY) blob.maxY = y;
+
+        const neighbours = [
+          x > 0 ? index - 1 : -1,
+          x < width - 1 ? index + 1 : -1,
+          y > 0 ? index - width : -1,
+          y < height - 1 ? index + width : -1
+        ];
+        neighbours.forEach(next => {
+          if (next >= 0 && mask[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        });
+      }
+
+      blobs.push(blob);
+    }
+
+    return blobs;
+  }
+
+  /**
+   * Blend new detections with the faces they most likely continue
+   * @param {Array} faces - New detections
+   * @returns {Array} - Smoothed faces
+   */
+  smoothFaces(faces) {
+    const amount = CONFIG.FACE.SMOOTHING;
+    const lerp = (a, b) => a + (b - a) * (1 - amount);
+    const lerpPoint = (a, b) => (a && b ? { x: lerp(a.x, b.x), y: lerp(a.y, b.y) } : b);
+
+    return faces.map(face => {
+      const centerX = face.x + face.width / 2;
+      const previous = this.faces.find(prev =>
+        Math.abs(prev.x + prev.width / 2 - centerX) < face.width / 2
+      );
+      if (!previous) return face;
+
+      return {
+        x: lerp(previous.x, face.x),
+        y: lerp(previous.y, face.y),
+        width: lerp(previous.width, face.width),
+        height: lerp(previous.height, face.height),
+        roll: lerp(previous.roll, face.roll),
+        landmarks: {
+          eyes: lerpPoint(previous.landmarks.eyes, face.landmarks.eyes),
+          mouth: lerpPoint(previous.landmarks.mouth, face.landmarks.mouth)
+        }
+      };
+    });
+  }
+
+  /**
+   * Get the anchor point for a face
+   * @param {Object} face - Tracked face
+   * @param {string} point - 'eyes', 'head', 'mouth' or 'neck'
+   * @returns {Object|null} - Normalized {x, y}
+   */
+  static getAnchorPoint(face, point) {
+    if (face.landmarks[point]) {
+      return face.landmarks[point];
+    }
+
+    // Fall back to typical proportions measured down from the top of the face box
+    const offset = CONFIG.FACE.ANCHOR_OFFSETS[point];
+    if (offset === undefined) return null;
+
+    return {
+      x: face.x + face.width / 2,
+      y: face.y + face.height * offset
+    };
+  }
+
+  static centroid(points) {
+    const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+  }
+
+  getCanvas() {
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+    }
+    return this.canvas;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.stop();
+    this.detector = null;
+    this.canvas = null;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FaceTracker;
+}
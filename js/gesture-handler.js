@@ -1,6 +1,6 @@
 /**
  * Gesture Handler
- * Handles touch and mouse gestures for prop manipulation
+ * Handles touch and mouse gestures for prop manipulation and renders the live preview
  */
 
 class GestureHandler {
@@ -10,6 +10,15 @@ class GestureHandler {
     this.isActive = false;
     this.pointers = new Map();
     this.lastGesture = null;
+    this.gestureStart = null;
+    this.currentGesture = null;
+    this.lastTarget = null;
+    this.velocity = null;
+    this.velocitySample = null;
+    this.inertiaFrame = null;
+    this.transformStart = null;
+    this.activeHandle = null;
+    this.animationFrame = null;
     this.boundHandlers = {};
   }
 
@@ -18,6 +27,7 @@ class GestureHandler {
     this.controller = controller;
     this.setupEventListeners();
     this.isActive = true;
+    this.startRenderLoop();
   }
 
   setupEventListeners() {
@@ -55,13 +65,23 @@ class GestureHandler {
 
     event.preventDefault();
     this.canvas.setPointerCapture(event.pointerId);
+    this.stopInertia();
     
     const pointer = this.getPointerFromEvent(event);
     this.pointers.set(event.pointerId, pointer);
 
     if (this.pointers.size === 1) {
-      // Single pointer - check for prop selection
-      this.handleSinglePointerDown(pointer);
+      // Single pointer - handles of the selected prop win over selection
+      const handle = this.findHandleAtPosition(pointer);
+      if (handle) {
+        this.startHandleDrag(handle, pointer);
+      } else {
+        this.handleSinglePointerDown(pointer);
+      }
+      this.beginTransform();
+    } else {
+      // A second finger turns a handle drag into a pinch
+      this.activeHandle = null;
     }
 
     this.updateGesture();
@@ -75,7 +95,15 @@ class GestureHandler {
     const pointer = this.getPointerFromEvent(event);
     this.pointers.set(event.pointerId, pointer);
 
-    this.updateGesture();
+    if (this.activeHandle) {
+      this.applyHandleDrag(pointer);
+      return;
+    }
+
+    if (this.pointers.size === 1 && this.gestureStart) {
+      this.trackVelocity(pointer);
+    }
+
     this.applyGesture();
   }
 
@@ -87,13 +115,23 @@ class GestureHandler {
     this.pointers.delete(event.pointerId);
 
     if (this.pointers.size === 0) {
-      this.lastGesture = null;
+      if (!this.activeHandle) {
+        this.finishGesture();
+      }
+      this.activeHandle = null;
+
+      // A fling records its history step when it comes to rest
+      if (!this.inertiaFrame) {
+        this.commitTransform();
+      }
     } else {
       this.updateGesture();
     }
   }
 
   handlePointerCancel(event) {
+    // A cancelled touch should never fling the prop
+    this.velocity = null;
     this.handlePointerUp(event);
   }
 
@@ -112,32 +150,37 @@ class GestureHandler {
     const normalizedX = pointer.x / this.canvas.offsetWidth;
     const normalizedY = pointer.y / this.canvas.offsetHeight;
 
-    // Check if pointer is over any prop
-    const selectedProp = this.findPropAtPosition(normalizedX, normalizedY);
+    // Movable props take the tap first; locked ones are only picked so they can be unlocked
+    const selectedProp = this.findPropAtPosition(normalizedX, normalizedY) ||
+      this.findPropAtPosition(normalizedX, normalizedY, true);
     
     if (selectedProp) {
-      this.controller.selectedProp = selectedProp;
+      this.controller.selectProp(selectedProp);
       Utils.showToast(`Selected: ${selectedProp.name}`, 'ok');
     } else {
-      this.controller.selectedProp = null;
+      this.controller.selectProp(null);
     }
   }
 
-  findPropAtPosition(x, y) {
+  findPropAtPosition(x, y, includeLocked = false) {
+    const width = this.canvas.offsetWidth;
+    const height = this.canvas.offsetHeight;
+
     // Check props in reverse order (top to bottom)
     for (let i = this.controller.props.length - 1; i >= 0; i--) {
       const prop = this.controller.props[i];
-      
-      // Calculate prop bounds
-      const halfWidth = (prop.width * prop.scale) / 2 / this.canvas.offsetWidth;
-      const halfHeight = (prop.height * prop.scale) / 2 / this.canvas.offsetHeight;
-      
-      const left = prop.x - halfWidth;
-      const right = prop.x + halfWidth;
-      const top = prop.y - halfHeight;
-      const bottom = prop.y + halfHeight;
-      
-      if (x >= left && x <= right && y >= top && y <= bottom) {
+      if (prop.locked && !includeLocked) continue;
+
+      // Rotate the point into the prop's own frame so rotated props hit-test correctly
+      const dx = (x - prop.x) * width;
+      const dy = (y - prop.y) * height;
+      const cos = Math.cos(-prop.rotation);
+      const sin = Math.sin(-prop.rotation);
+      const localX = dx * cos - dy * sin;
+      const localY = dx * sin + dy * cos;
+
+      if (Math.abs(localX) <= (prop.width * prop.scale) / 2 &&
+          Math.abs(localY) <= (prop.height * prop.scale) / 2) {
         return prop;
       }
     }
@@ -145,99 +188,393 @@ class GestureHandler {
     return null;
   }
 
+  getHandlePositions(prop) {
+    const centerX = prop.x * this.canvas.offsetWidth;
+    const centerY = prop.y * this.canvas.offsetHeight;
+    const halfWidth = (prop.width * prop.scale) / 2;
+    const halfHeight = (prop.height * prop.scale) / 2;
+    const cos = Math.cos(prop.rotation);
+    const sin = Math.sin(prop.rotation);
+
+    const toStage = (localX, localY) => ({
+      x: centerX + localX * cos - localY * sin,
+      y: centerY + localX * sin + localY * cos
+    });
+
+    return {
+      center: { x: centerX, y: centerY },
+      rotate: toStage(0, -halfHeight - CONFIG.UI.ROTATE_HANDLE_OFFSET),
+      scale: toStage(halfWidth, halfHeight)
+    };
+  }
+
+  findHandleAtPosition(pointer) {
+    const prop = this.controller.selectedProp;
+    if (!prop || prop.locked) return null;
+
+    // Knobs are small; give fingers some slack
+    const reach = CONFIG.UI.HANDLE_RADIUS * 2;
+    const handles = this.getHandlePositions(prop);
+
+    if (this.getDistance(pointer, handles.rotate) <= reach) return 'rotate';
+    if (this.getDistance(pointer, handles.scale) <= reach) return 'scale';
+    return null;
+  }
+
+  startHandleDrag(type, pointer) {
+    const prop = this.controller.selectedProp;
+    const { center } = this.getHandlePositions(prop);
+
+    this.activeHandle = {
+      type,
+      prop,
+      center,
+      startScale: prop.scale,
+      startDistance: this.getDistance(center, pointer) || 1
+    };
+  }
+
+  applyHandleDrag(pointer) {
+    const { type, prop, center, startScale, startDistance } = this.activeHandle;
+    prop.followFace = false;
+
+    if (type === 'rotate') {
+      // The knob sits above the prop, so "up" is zero rotation
+      prop.rotation = this.getAngle(center, pointer) + Math.PI / 2;
+    } else {
+      const scale = startScale * (this.getDistance(center, pointer) / startDistance);
+      prop.scale = Math.max(CONFIG.UI.MIN_SCALE, Math.min(CONFIG.UI.MAX_SCALE, scale));
+    }
+  }
+
   updateGesture() {
+    this.settleGesture();
+
+    // Re-baseline whenever the pointer count changes so deltas never jump
+    const gesture = this.readGesture();
+    const prop = this.controller.selectedProp;
+
+    this.gestureStart = gesture && prop && !prop.locked ? {
+      gesture,
+      prop: { x: prop.x, y: prop.y, scale: prop.scale, rotation: prop.rotation }
+    } : null;
+    this.currentGesture = gesture;
+    this.lastGesture = null;
+    this.lastTarget = null;
+    this.velocity = null;
+    this.velocitySample = null;
+  }
+
+  readGesture() {
     const pointerArray = Array.from(this.pointers.values());
-    
-    if (pointerArray.length === 0) {
-      this.lastGesture = null;
-      return;
-    }
 
     if (pointerArray.length === 1) {
       // Single pointer - translation
-      this.lastGesture = {
+      return {
         type: 'translate',
         x: pointerArray[0].x / this.canvas.offsetWidth,
         y: pointerArray[0].y / this.canvas.offsetHeight
       };
-    } else if (pointerArray.length === 2) {
+    }
+
+    if (pointerArray.length >= 2) {
       // Two pointers - scale and rotate
-      const gesture = this.computeTwoPointerGesture(pointerArray[0], pointerArray[1]);
-      this.lastGesture = gesture;
+      return this.computeTwoPointerGesture(pointerArray[0], pointerArray[1]);
     }
+
+    return null;
   }
 
   computeTwoPointerGesture(p1, p2) {
     const centerX = (p1.x + p2.x) / 2 / this.canvas.offsetWidth;
     const centerY = (p1.y + p2.y) / 2 / this.canvas.offsetHeight;
-    
-    const dx = p2.x - p1.x;
-    const dy = p2.y - p1.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    const angle = Math.atan2(dy, dx);
+    const distance = this.getDistance(p1, p2);
+    let angle = this.getAngle(p1, p2);
+
+    // Keep the angle continuous across the ±180° seam
+    const previous = this.currentGesture;
+    if (previous && previous.type === 'transform') {
+      angle = previous.angle + this.normalizeAngle(angle - previous.angle);
+    }
     
     return {
       type: 'transform',
       centerX,
       centerY,
       distance,
-      angle,
-      scale: distance / 100, // Normalize scale
-      rotation: angle
+      angle
     };
   }
 
   applyGesture() {
-    if (!this.lastGesture || !this.controller.selectedProp) return;
+    const prop = this.controller.selectedProp;
+    if (!this.gestureStart || !prop) return;
+
+    const current = this.readGesture();
+    const start = this.gestureStart.gesture;
+    if (!current || current.type !== start.type) return;
+    this.currentGesture = current;
+
+    // Everything is relative to where the prop was when the fingers landed
+    const base = this.gestureStart.prop;
+    let target;
+
+    if (current.type === 'translate') {
+      target = {
+        type: 'translate',
+        x: this.clampPosition(base.x + current.x - start.x),
+        y: this.clampPosition(base.y + current.y - start.y)
+      };
+    } else {
+      const scale = start.distance ? base.scale * (current.distance / start.distance) : base.scale;
+      target = {
+        type: 'transform',
+        centerX: this.clampPosition(base.x + current.centerX - start.centerX),
+        centerY: this.clampPosition(base.y + current.centerY - start.centerY),
+        scale: Math.max(CONFIG.UI.MIN_SCALE, Math.min(CONFIG.UI.MAX_SCALE, scale)),
+        rotation: base.rotation + (current.angle - start.angle)
+      };
+    }
+
+    const gesture = this.smoothGesture(target, this.lastGesture, CONFIG.UI.GESTURE_SMOOTHING);
+    if (!this.isValidGesture(gesture)) return;
+
+    // Moving a face-anchored prop by hand detaches it from the face
+    prop.followFace = false;
+
+    this.lastTarget = target;
+    this.lastGesture = gesture;
+    this.applyToProp(prop, gesture);
+  }
 
+  applyToProp(prop, gesture) {
+    if (gesture.type === 'translate') {
+      prop.x = gesture.x;
+      prop.y = gesture.y;
+    } else {
+      prop.x = gesture.centerX;
+      prop.y = gesture.centerY;
+      prop.scale = gesture.scale;
+      prop.rotation = gesture.rotation;
+    }
+  }
+
+  settleGesture() {
+    // Smoothing trails the fingers slightly; land exactly where they let go
     const prop = this.controller.selectedProp;
+    if (prop && this.lastTarget && this.isValidGesture(this.lastTarget)) {
+      this.applyToProp(prop, this.lastTarget);
+    }
+    this.lastTarget = null;
+  }
 
-    if (this.lastGesture.type === 'translate') {
-      // Update prop position
-      prop.x = Math.max(0, Math.min(1, this.lastGesture.x));
-      prop.y = Math.max(0, Math.min(1, this.lastGesture.y));
-    } else if (this.lastGesture.type === 'transform') {
-      // Update prop position, scale, and rotation
-      prop.x = Math.max(0, Math.min(1, this.lastGesture.centerX));
-      prop.y = Math.max(0, Math.min(1, this.lastGesture.centerY));
-      
-      // Apply scale with limits
-      const newScale = Math.max(CONFIG.UI.MIN_SCALE, Math.min(CONFIG.UI.MAX_SCALE, this.lastGesture.scale));
-      prop.scale = newScale;
-      
-      // Apply rotation
-      prop.rotation = this.lastGesture.rotation;
+  finishGesture() {
+    const prop = this.controller.selectedProp;
+    this.settleGesture();
+
+    // Only fling if the finger was still moving when it lifted
+    const idle = this.velocitySample ? Date.now() - this.velocitySample.timestamp : Infinity;
+    if (prop && this.velocity && idle < CONFIG.UI.INERTIA_IDLE_TIMEOUT) {
+      this.startInertia(prop, this.velocity);
     }
 
-    // Trigger a redraw if needed
-    this.requestRedraw();
+    this.gestureStart = null;
+    this.currentGesture = null;
+    this.lastGesture = null;
+    this.velocity = null;
+    this.velocitySample = null;
   }
 
-  requestRedraw() {
-    // Debounced redraw to avoid excessive updates
-    if (this.redrawTimeout) {
-      clearTimeout(this.redrawTimeout);
+  // Inertia
+
+  trackVelocity(pointer) {
+    const previous = this.velocitySample;
+
+    if (previous) {
+      const dt = pointer.timestamp - previous.timestamp;
+      if (dt > 0) {
+        const vx = (pointer.x - previous.x) / this.canvas.offsetWidth / dt;
+        const vy = (pointer.y - previous.y) / this.canvas.offsetHeight / dt;
+
+        // Low-pass so one jittery sample doesn't decide the fling
+        this.velocity = this.velocity
+          ? { x: this.velocity.x * 0.2 + vx * 0.8, y: this.velocity.y * 0.2 + vy * 0.8 }
+          : { x: vx, y: vy };
+      }
     }
-    
-    this.redrawTimeout = setTimeout(() => {
-      this.redraw();
-    }, 16); // ~60fps
+
+    this.velocitySample = pointer;
+  }
+
+  startInertia(prop, velocity) {
+    if (Math.hypot(velocity.x, velocity.y) < CONFIG.UI.INERTIA_MIN_SPEED) return;
+
+    this.stopInertia();
+
+    let vx = velocity.x;
+    let vy = velocity.y;
+    let last = performance.now();
+
+    const step = (now) => {
+      const dt = Math.min(now - last, 64);
+      last = now;
+
+      const x = prop.x + vx * dt;
+      const y = prop.y + vy * dt;
+      prop.x = this.clampPosition(x);
+      prop.y = this.clampPosition(y);
+
+      // Stop dead against the stage edges
+      if (prop.x !== x) vx = 0;
+      if (prop.y !== y) vy = 0;
+
+      const decay = Math.pow(CONFIG.UI.INERTIA_FRICTION, dt / 16);
+      vx *= decay;
+      vy *= decay;
+
+      if (Math.hypot(vx, vy) < CONFIG.UI.INERTIA_STOP_SPEED) {
+        this.inertiaFrame = null;
+        this.commitTransform();
+        return;
+      }
+      this.inertiaFrame = requestAnimationFrame(step);
+    };
+
+    this.inertiaFrame = requestAnimationFrame(step);
+  }
+
+  stopInertia() {
+    if (this.inertiaFrame) {
+      cancelAnimationFrame(this.inertiaFrame);
+      this.inertiaFrame = null;
+      this.commitTransform();
+    }
+  }
+
+  // History - one undo step per gesture, from first touch until the prop comes to rest
+
+  beginTransform() {
+    const prop = this.controller.selectedProp;
+    this.transformStart = prop && !prop.locked
+      ? { prop, state: this.controller.getPropTransform(prop) }
+      : null;
+  }
+
+  commitTransform() {
+    if (!this.transformStart) return;
+
+    const { prop, state } = this.transformStart;
+    this.transformStart = null;
+    this.controller.recordPropTransform(prop, state);
   }
 
-  redraw() {
-    // This would trigger a canvas redraw in a more complete implementation
-    // For now, we'll just update the visual feedback
-    this.updateVisualFeedback();
+  // Live preview rendering
+
+  startRenderLoop() {
+    if (this.animationFrame) return;
+
+    const loop = () => {
+      try {
+        this.render();
+      } catch (error) {
+        Utils.logError('GestureHandler.render', error);
+      }
+      this.animationFrame = requestAnimationFrame(loop);
+    };
+
+    this.animationFrame = requestAnimationFrame(loop);
   }
 
-  updateVisualFeedback() {
-    // Add visual feedback for selected prop
-    if (this.controller.selectedProp) {
-      // This could add selection indicators, handles, etc.
-      // For now, we'll just ensure the prop is marked as selected
+  stopRenderLoop() {
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
     }
   }
 
+  render() {
+    if (!this.canvas || !this.controller) return;
+
+    // Render at device resolution; props scale from CSS pixels in drawOverlayAndProps
+    const dpr = window.devicePixelRatio || 1;
+    const maxDimension = Math.max(this.canvas.offsetWidth, this.canvas.offsetHeight) * dpr;
+    if (!maxDimension) return;
+
+    try {
+      this.controller.camera.drawFrame(this.canvas, maxDimension);
+    } catch (error) {
+      // No camera frame yet - keep overlay and props visible on a blank stage
+      this.clearCanvas(dpr);
+    }
+
+    const { width, height } = this.canvas;
+    const ctx = this.canvas.getContext('2d');
+
+    this.controller.applyFaceAnchors();
+    this.controller.drawOverlayAndProps(ctx, width, height, this.controller.overlayImage);
+    this.drawSelection(ctx, width / this.canvas.offsetWidth);
+  }
+
+  clearCanvas(dpr) {
+    const width = Math.round(this.canvas.offsetWidth * dpr);
+    const height = Math.round(this.canvas.offsetHeight * dpr);
+
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    const ctx = this.canvas.getContext('2d');
+    ctx.fillStyle = '#0b0f16';
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  drawSelection(ctx, ratio) {
+    const prop = this.controller.selectedProp;
+    if (!prop) return;
+
+    const halfWidth = (prop.width * prop.scale * ratio) / 2;
+    const halfHeight = (prop.height * prop.scale * ratio) / 2;
+    const knobY = -halfHeight - CONFIG.UI.ROTATE_HANDLE_OFFSET * ratio;
+
+    ctx.save();
+    ctx.translate(prop.x * this.canvas.width, prop.y * this.canvas.height);
+    ctx.rotate(prop.rotation);
+    ctx.lineWidth = 2 * ratio;
+    ctx.strokeStyle = prop.locked ? CONFIG.UI.LOCKED_COLOR : CONFIG.UI.SELECTION_COLOR;
+
+    // Bounding box
+    ctx.setLineDash([6 * ratio, 4 * ratio]);
+    ctx.strokeRect(-halfWidth, -halfHeight, halfWidth * 2, halfHeight * 2);
+    ctx.setLineDash([]);
+
+    // Locked props can't be transformed, so no knobs
+    if (prop.locked) {
+      ctx.restore();
+      return;
+    }
+
+    // Stem to the rotate knob
+    ctx.beginPath();
+    ctx.moveTo(0, -halfHeight);
+    ctx.lineTo(0, knobY);
+    ctx.stroke();
+
+    this.drawKnob(ctx, 0, knobY, ratio);
+    this.drawKnob(ctx, halfWidth, halfHeight, ratio);
+    ctx.restore();
+  }
+
+  drawKnob(ctx, x, y, ratio) {
+    ctx.beginPath();
+    ctx.arc(x, y, CONFIG.UI.HANDLE_RADIUS * ratio, 0, Math.PI * 2);
+    ctx.fillStyle = CONFIG.UI.SELECTION_COLOR;
+    ctx.fill();
+    ctx.lineWidth = 2 * ratio;
+    ctx.strokeStyle = '#121212';
+    ctx.stroke();
+  }
+
   // Utility methods for gesture recognition
 
   getDistance(p1, p2) {
@@ -257,6 +594,14 @@ class GestureHandler {
     };
   }
 
+  normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+  }
+
+  clampPosition(value) {
+    return Math.max(0, Math.min(1, value));
+  }
+
   // Gesture validation and smoothing
 
   isValidGesture(gesture) {
@@ -306,14 +651,15 @@ class GestureHandler {
     this.canvas.removeEventListener('touchmove', this.preventDefault);
     this.canvas.removeEventListener('touchend', this.preventDefault);
 
-    // Clear timeouts
-    if (this.redrawTimeout) {
-      clearTimeout(this.redrawTimeout);
-    }
+    this.stopRenderLoop();
+    this.transformStart = null;
+    this.stopInertia();
 
     // Reset state
     this.pointers.clear();
+    this.gestureStart = null;
     this.lastGesture = null;
+    this.activeHandle = null;
     this.isActive = false;
     this.canvas = null;
     this.controller = null;
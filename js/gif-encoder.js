@@ -0,0 +1,337 @@
+/**
+ * GIF Encoder
+ * Pure JavaScript animated GIF (GIF89a) encoder with a shared median-cut palette
+ */
+
+class GifEncoder {
+  /**
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   * @param {Object} options - Encoder options
+   * @param {number} options.delay - Delay between frames in milliseconds
+   * @param {number} options.loop - Loop count (0 = forever)
+   */
+  constructor(width, height, options = {}) {
+    this.width = width;
+    this.height = height;
+    this.delay = options.delay || 100;
+    this.loop = options.loop || 0;
+    this.frames = [];
+  }
+
+  /**
+   * Add a frame
+   * @param {ImageData} imageData - RGBA pixels matching the encoder size
+   */
+  addFrame(imageData) {
+    if (imageData.width !== this.width || imageData.height !== this.height) {
+      throw new Error('Frame size does not match encoder size');
+    }
+    this.frames.push(imageData.data);
+  }
+
+  /**
+   * Encode all frames
+   * @returns {Uint8Array} - GIF file bytes
+   */
+  encode() {
+    if (!this.frames.length) {
+      throw new Error('No frames to encode');
+    }
+
+    const { palette, lookup } = GifEncoder.buildPalette(this.frames);
+    const out = new ByteWriter();
+
+    // Header and logical screen descriptor with a 256 entry global color table
+    out.writeString('GIF89a');
+    out.writeShort(this.width);
+    out.writeShort(this.height);
+    out.writeByte(0xf7);
+    out.writeByte(0);
+    out.writeByte(0);
+
+    for (let i = 0; i < 256; i++) {
+      const color = palette[i] || [0, 0, 0];
+      out.writeByte(color[0]);
+      out.writeByte(color[1]);
+      out.writeByte(color[2]);
+    }
+
+    // NETSCAPE2.0 application extension for looping
+    out.writeByte(0x21);
+    out.writeByte(0xff);
+    out.writeByte(0x0b);
+    out.writeString('NETSCAPE2.0');
+    out.writeByte(0x03);
+    out.writeByte(0x01);
+    out.writeShort(this.loop);
+    out.writeByte(0);
+
+    const delayCs = Math.round(this.delay / 10);
+    const indices = new Uint8Array(this.width * this.height);
+
+    this.frames.forEach(data => {
+      // Graphic control extension
+      out.writeByte(0x21);
+      out.writeByte(0xf9);
+      out.writeByte(0x04);
+      out.writeByte(0x04); // disposal: do not dispose
+      out.writeShort(delayCs);
+      out.writeByte(0);
+      out.writeByte(0);
+
+      // Image descriptor
+      out.writeByte(0x2c);
+      out.writeShort(0);
+      out.writeShort(0);
+      out.writeShort(this.width);
+      out.writeShort(this.height);
+      out.writeByte(0);
+
+      for (let p = 0, i = 0; i < data.length; i += 4, p++) {
+        indices[p] = lookup[GifEncoder.colorKey(data[i], data[i + 1], data[i + 2])];
+      }
+
+      GifEncoder.lzwEncode(indices, 8, out);
+    });
+
+    out.writeByte(0x3b);
+    return out.toUint8Array();
+  }
+
+  /**
+   * Encode all frames into a Blob
+   * @returns {Blob} - GIF blob
+   */
+  toBlob() {
+    return new Blob([this.encode()], { type: 'image/gif' });
+  }
+
+  /**
+   * Reduce an RGB color to its 15-bit histogram key
+   * @param {number} r - Red
+   * @param {number} g - Green
+   * @param {number} b - Blue
+   * @returns {number}
+   */
+  static colorKey(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+  }
+
+  /**
+   * Build a global palette for all frames using median cut
+   * @param {Uint8ClampedArray[]} frames - RGBA frame data
+   * @param {number} maxColors - Palette size
+   * @returns {{palette: number[][], lookup: Uint8Array}}
+   */
+  static buildPalette(frames, maxColors = 256) {
+    const histogram = new Uint32Array(32768);
+    frames.forEach(data => {
+      for (let i = 0; i < data.length; i += 4) {
+        histogram[GifEncoder.colorKey(data[i], data[i + 1], data[i + 2])]++;
+      }
+    });
+
+    const colors = [];
+    for (let key = 0; key < histogram.length; key++) {
+      if (histogram[key]) colors.push(key);
+    }
+
+    const boxes = [GifEncoder.makeBox(colors, histogram)];
+    while (boxes.length < maxColors) {
+      let target = -1;
+      let best = 0;
+      boxes.forEach((box, index) => {
+        const score = box.colors.length > 1 ? box.count * box.range : 0;
+        if (score > best) {
+          best = score;
+          target = index;
+        }
+      });
+      if (target < 0) break;
+
+      boxes.splice(target, 1, ...GifEncoder.splitBox(boxes[target], histogram));
+    }
+
+    const lookup = new Uint8Array(32768);
+    const palette = boxes.map((box, index) => {
+      let r = 0, g = 0, b = 0;
+      box.colors.forEach(key => {
+        const weight = histogram[key];
+        r += ((key >> 10) & 31) * weight;
+        g += ((key >> 5) & 31) * weight;
+        b += (key & 31) * weight;
+        lookup[key] = index;
+      });
+      return [r, g, b].map(sum => Math.min(255, Math.round((sum / box.count) * 8 + 4)));
+    });
+
+    return { palette, lookup };
+  }
+
+  /**
+   * Describe a median-cut box
+   * @param {number[]} colors - Histogram keys in the box
+   * @param {Uint32Array} histogram - Color histogram
+   * @returns {Object} - Box with count, range and split axis
+   */
+  static makeBox(colors, histogram) {
+    const min = [31, 31, 31];
+    const max = [0, 0, 0];
+    let count = 0;
+
+    colors.forEach(key => {
+      const channels = [(key >> 10) & 31, (key >> 5) & 31, key & 31];
+      channels.forEach((value, c) => {
+        if (value < min[c]) min[c] = value;
+        if (value > max[c]) max[c] = value;
+      });
+      count += histogram[key];
+    });
+
+    const ranges = max.map((value, c) => value - min[c]);
+    const range = Math.max(...ranges);
+    return { colors, count, range, axis: ranges.indexOf(range) };
+  }
+
+  /**
+   * Split a box at the weighted median of its longest axis
+   * @param {Object} box - Box to split
+   * @param {Uint32Array} histogram - Color histogram
+   * @returns {Object[]} - Two boxes
+   */
+  static splitBox(box, histogram) {
+    const shift = [10, 5, 0][box.axis];
+    const sorted = box.colors.slice().sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+
+    let cut = 1;
+    let running = 0;
+    for (let i = 0; i < sorted.length - 1; i++) {
+      running += histogram[sorted[i]];
+      cut = i + 1;
+      if (running >= box.count / 2) break;
+    }
+
+    return [
+      GifEncoder.makeBox(sorted.slice(0, cut), histogram),
+      GifEncoder.makeBox(sorted.slice(cut), histogram)
+    ];
+  }
+
+  /**
+   * LZW-compress palette indices into GIF sub-blocks
+   * @param {Uint8Array} indices - Palette index per pixel
+   * @param {number} minCodeSize - Minimum code size (8 for 256 colors)
+   * @param {ByteWriter} out - Output writer
+   */
+  static lzwEncode(indices, minCodeSize, out) {
+    const clearCode = 1 << minCodeSize;
+    const eoiCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = eoiCode + 1;
+    let table = new Map();
+    let cur = 0;
+    let curShift = 0;
+
+    const emit = (code) => {
+      cur |= code << curShift;
+      curShift += codeSize;
+      while (curShift >= 8) {
+        bytes.push(cur & 0xff);
+        cur >>= 8;
+        curShift -= 8;
+      }
+    };
+
+    out.writeByte(minCodeSize);
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = (prefix << 8) | k;
+      const code = table.get(key);
+
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      emit(prefix);
+      if (nextCode === 4096) {
+        emit(clearCode);
+        table = new Map();
+        nextCode = eoiCode + 1;
+        codeSize = minCodeSize + 1;
+      } else {
+        if (nextCode >= (1 << codeSize)) codeSize++;
+        table.set(key, nextCode++);
+      }
+      prefix = k;
+    }
+
+    emit(prefix);
+    emit(eoiCode);
+    if (curShift > 0) {
+      bytes.push(cur & 0xff);
+    }
+
+    for (let i = 0; i < bytes.length; i += 255) {
+      const block = bytes.slice(i, i + 255);
+      out.writeByte(block.length);
+      out.writeBytes(block);
+    }
+    out.writeByte(0);
+  }
+}
+
+/**
+ * Growable byte buffer used by the encoder
+ */
+class ByteWriter {
+  constructor(initialSize = 64 * 1024) {
+    this.buffer = new Uint8Array(initialSize);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(this.buffer.subarray(0, this.length));
+    this.buffer = next;
+  }
+
+  writeByte(value) {
+    this.ensure(1);
+    this.buffer[this.length++] = value & 0xff;
+  }
+
+  writeShort(value) {
+    this.writeByte(value & 0xff);
+    this.writeByte((value >> 8) & 0xff);
+  }
+
+  writeBytes(values) {
+    this.ensure(values.length);
+    this.buffer.set(values, this.length);
+    this.length += values.length;
+  }
+
+  writeString(text) {
+    for (let i = 0; i < text.length; i++) {
+      this.writeByte(text.charCodeAt(i));
+    }
+  }
+
+  toUint8Array() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GifEncoder;
+}
@@ -0,0 +1,103 @@
+/**
+ * History Manager
+ * Command-based undo/redo stack for the sticker editing session
+ */
+
+class HistoryManager {
+  /**
+   * @param {number} limit - Maximum number of undo steps kept
+   */
+  constructor(limit = CONFIG.UI.HISTORY_LIMIT) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.onChange = null;
+  }
+
+  /**
+   * Record a command that has already been applied
+   * @param {Object} command - {label, undo(), redo()}
+   */
+  push(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+
+    // A new edit invalidates anything that was undone
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Revert the most recent command
+   * @returns {Object|null} - The reverted command
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    try {
+      command.undo();
+      this.redoStack.push(command);
+    } catch (error) {
+      Utils.logError('HistoryManager.undo', error);
+    }
+
+    this.notify();
+    return command;
+  }
+
+  /**
+   * Re-apply the most recently undone command
+   * @returns {Object|null} - The re-applied command
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    try {
+      command.redo();
+      this.undoStack.push(command);
+    } catch (error) {
+      Utils.logError('HistoryManager.redo', error);
+    }
+
+    this.notify();
+    return command;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget all history
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify();
+  }
+
+  notify() {
+    if (typeof this.onChange === 'function') {
+      this.onChange(this);
+    }
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryManager;
+}
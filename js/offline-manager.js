@@ -0,0 +1,116 @@
+/**
+ * Offline Manager
+ * Registers the service worker (sw.js) and reports when a new version has been
+ * downloaded, so staff can choose when to apply it instead of mid-session.
+ */
+
+class OfflineManager {
+  constructor() {
+    this.registration = null;
+    this.listeners = [];
+    this.reloading = false;
+  }
+
+  /**
+   * Check if service workers can run (HTTPS or localhost only)
+   * @returns {boolean}
+   */
+  isSupported() {
+    return 'serviceWorker' in navigator && window.isSecureContext;
+  }
+
+  /**
+   * Register the service worker
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  async register() {
+    if (!this.isSupported()) return null;
+
+    try {
+      this.registration = await navigator.serviceWorker.register(CONFIG.OFFLINE.SERVICE_WORKER);
+    } catch (error) {
+      Utils.logError('OfflineManager.register', error);
+      return null;
+    }
+
+    const registration = this.registration;
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.notify();
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        // With no controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.notify();
+        }
+      });
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.reloading) window.location.reload();
+    });
+
+    return registration;
+  }
+
+  /**
+   * Call back when an update is ready to apply
+   * @param {Function} callback - Called with no arguments
+   */
+  onUpdate(callback) {
+    this.listeners.push(callback);
+    if (this.isUpdateReady()) callback();
+  }
+
+  /**
+   * @returns {boolean} - Whether a downloaded update is waiting
+   */
+  isUpdateReady() {
+    return !!(this.registration && this.registration.waiting && navigator.serviceWorker.controller);
+  }
+
+  /**
+   * Look for a newer version now rather than on the browser's schedule
+   * @returns {Promise<void>}
+   */
+  async checkForUpdate() {
+    if (!this.registration) return;
+    try {
+      await this.registration.update();
+    } catch (error) {
+      Utils.logError('OfflineManager.checkForUpdate', error);
+    }
+  }
+
+  /**
+   * Activate the waiting version and reload this page onto it
+   * @returns {boolean} - False if no update was waiting
+   */
+  applyUpdate() {
+    if (!this.isUpdateReady()) return false;
+    this.reloading = true;
+    this.registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+    return true;
+  }
+
+  notify() {
+    this.listeners.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        Utils.logError('OfflineManager.notify', error);
+      }
+    });
+  }
+}
+
+// Create global offline manager instance
+const Offline = new OfflineManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineManager;
+}
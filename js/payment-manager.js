@@ -0,0 +1,741 @@
+/**
+ * Payment Manager
+ * Runs payments through pluggable providers and verifies them before a paid
+ * session is granted.
+ *
+ * Each payment starts an attempt with a single-use state nonce. Redirect providers
+ * (Square Point of Sale, hosted payment links) come back to the login page, where
+ * the callback only counts if it matches a pending attempt from this device, its
+ * transaction hasn't been used before, and the provider's verification passes.
+ */
+
+/**
+ * Default verifier: trusts a Point of Sale callback once the state nonce and replay
+ * checks have passed. Subclass and pass to Payments.setVerifier() to check elsewhere.
+ */
+class PaymentVerifier {
+  /**
+   * @param {Object} callback - Parsed callback {provider, status, transactionId, clientTransactionId, orderId, state}
+   * @param {Object} attempt - Pending attempt {provider, packageId, amount, currency, createdAt}
+   * @returns {Promise<Object>} - {verified, reason, retry}; retry means no answer yet, so ask again later
+   */
+  async verify(callback, attempt) {
+    if (callback.provider === 'payment-link') {
+      return { verified: false, reason: 'Payment links need a verification endpoint' };
+    }
+    return { verified: true, reason: null };
+  }
+}
+
+/**
+ * Verifier that asks a backend to confirm the transaction with the processor.
+ * POSTs {provider, transactionId, clientTransactionId, orderId, state, amount, currency}
+ * and expects {verified: true} or {verified: false, reason}.
+ */
+class EndpointPaymentVerifier extends PaymentVerifier {
+  constructor(url, timeout = CONFIG.PAYMENT.VERIFY_TIMEOUT) {
+    super();
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  async verify(callback, attempt) {
+    const response = await PaymentProvider.post(this.url, {
+      provider: callback.provider,
+      transactionId: callback.transactionId,
+      clientTransactionId: callback.clientTransactionId,
+      orderId: callback.orderId,
+      state: callback.state,
+      amount: attempt.amount,
+      currency: attempt.currency
+    }, this.timeout);
+
+    if (!response.ok) {
+      // Server trouble says nothing about the payment itself
+      const retry = response.status >= 500 || response.status === 408 || response.status === 429;
+      return { verified: false, reason: `Payment verification failed (${response.status})`, retry };
+    }
+
+    const result = await response.json();
+    return { verified: result.verified === true, reason: result.reason || null };
+  }
+}
+
+/**
+ * Base payment provider. Providers implement:
+ * - start(nonce, attempt, pkg, options): begin a payment; resolves {status: 'redirect'} when the
+ *   page is leaving, {status: 'verified', transactionId} when paid on the spot, or {status: 'failed', reason}
+ * - parseReturn(url): read this provider's callback from a URL, or null
+ * - verify(callback, attempt, verifier): confirm a parsed callback
+ * - refund(transaction): undo a payment
+ */
+class PaymentProvider {
+  constructor(id, label) {
+    this.id = id;
+    this.label = label;
+    this.statelessReturn = false; // Callbacks carry the state nonce back
+  }
+
+  /**
+   * @param {Object} pkg - Package being bought
+   * @param {PaymentVerifier} verifier - Verifier its callbacks would be checked with
+   * @returns {boolean} - Whether this provider can take the payment
+   */
+  isAvailable(pkg, verifier) {
+    return true;
+  }
+
+  async start(nonce, attempt, pkg, options = {}) {
+    return { status: 'failed', reason: `${this.label} is not set up` };
+  }
+
+  parseReturn(url) {
+    return null;
+  }
+
+  async verify(callback, attempt, verifier) {
+    return verifier.verify(callback, attempt);
+  }
+
+  /**
+   * Refund through the configured backend; without one, staff refund in Square directly
+   * @param {Object} transaction - Recorded transaction
+   * @returns {Promise<Object>} - {refunded, reason}
+   */
+  async refund(transaction) {
+    if (!CONFIG.PAYMENT.REFUND_URL) {
+      return { refunded: false, reason: 'Refund this payment from the Square dashboard' };
+    }
+
+    const response = await PaymentProvider.post(CONFIG.PAYMENT.REFUND_URL, {
+      provider: this.id,
+      transactionId: transaction.id,
+      amount: transaction.amount,
+      currency: transaction.currency
+    });
+
+    if (!response.ok) {
+      return { refunded: false, reason: `Refund failed (${response.status})` };
+    }
+
+    const result = await response.json();
+    return { refunded: result.refunded === true, reason: result.reason || null };
+  }
+
+  /**
+   * POST JSON with a timeout
+   * @param {string} url - Endpoint
+   * @param {Object} body - Request body
+   * @param {number} timeout - Milliseconds before giving up
+   * @returns {Promise<Response>}
+   */
+  static async post(url, body, timeout = CONFIG.PAYMENT.VERIFY_TIMEOUT) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+
+    try {
+      return await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller ? controller.signal : undefined
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Square Point of Sale app on this device. Returns with ?data=<JSON> on iOS
+ * or com.squareup.pos.* parameters on Android.
+ */
+class SquarePosProvider extends PaymentProvider {
+  constructor() {
+    super('square-pos', 'Square');
+  }
+
+  isAvailable(pkg, verifier) {
+    return !!CONFIG.PAYMENT.SQUARE_APP_ID && pkg.amountCents > 0;
+  }
+
+  async start(nonce, attempt, pkg) {
+    window.location.href = this.createDeepLink(nonce, attempt);
+    return { status: 'redirect' };
+  }
+
+  /**
+   * Build the Point of Sale deep link for an attempt
+   * @param {string} nonce - State nonce
+   * @param {Object} attempt - Pending attempt
+   * @param {string} callbackUrl - Page Square returns to
+   * @returns {string} - Deep link URL
+   */
+  createDeepLink(nonce, attempt, callbackUrl = `${location.origin}${location.pathname}`) {
+    const data = {
+      amount_money: {
+        amount: attempt.amount,
+        currency_code: attempt.currency
+      },
+      callback_url: callbackUrl,
+      client_id: CONFIG.PAYMENT.SQUARE_APP_ID,
+      version: '1.3',
+      state: nonce,
+      notes: `Photobooth: ${attempt.packageName}`,
+      options: {
+        supported_tender_types: ['CREDIT_CARD', 'CASH', 'OTHER', 'SQUARE_GIFT_CARD', 'CARD_ON_FILE']
+      }
+    };
+
+    return `square-commerce-v1://payment/create?data=${encodeURIComponent(JSON.stringify(data))}`;
+  }
+
+  parseReturn(url) {
+    const params = url.searchParams;
+    const callback = {
+      provider: this.id,
+      status: 'error',
+      transactionId: null,
+      clientTransactionId: null,
+      orderId: null,
+      state: null,
+      errorCode: null
+    };
+
+    // iOS
+    if (params.has('data')) {
+      let data;
+      try {
+        data = JSON.parse(params.get('data'));
+      } catch (error) {
+        return { ...callback, errorCode: 'data_invalid' };
+      }
+      if (!data || typeof data !== 'object') {
+        return { ...callback, errorCode: 'data_invalid' };
+      }
+
+      return {
+        ...callback,
+        status: data.status === 'ok' ? 'ok' : 'error',
+        transactionId: data.transaction_id || null,
+        clientTransactionId: data.client_transaction_id || null,
+        state: data.state || null,
+        errorCode: data.error_code || null
+      };
+    }
+
+    // Android
+    const android = 'com.squareup.pos.';
+    if (Array.from(params.keys()).some(key => key.startsWith(android))) {
+      const errorCode = params.get(`${android}ERROR_CODE`);
+      return {
+        ...callback,
+        status: errorCode ? 'error' : 'ok',
+        transactionId: params.get(`${android}SERVER_TRANSACTION_ID`),
+        clientTransactionId: params.get(`${android}CLIENT_TRANSACTION_ID`),
+        state: params.get(`${android}REQUEST_METADATA`),
+        errorCode
+      };
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Hosted payment page (e.g. a Square payment link) that redirects back with the order.
+ * Redirects carry no state, so they match the newest link attempt and need a backend verifier.
+ */
+class PaymentLinkProvider extends PaymentProvider {
+  constructor() {
+    super('payment-link', 'Pay online');
+    this.statelessReturn = true;
+  }
+
+  /**
+   * Only offered with VERIFY_URL or a custom verifier, since the default one rejects link callbacks
+   */
+  isAvailable(pkg, verifier) {
+    return !!(pkg.linkUrl || CONFIG.PAYMENT.PAYMENT_LINK_URL) && pkg.amountCents > 0 &&
+      !!verifier && verifier.constructor !== PaymentVerifier;
+  }
+
+  async start(nonce, attempt, pkg) {
+    window.location.href = pkg.linkUrl || CONFIG.PAYMENT.PAYMENT_LINK_URL;
+    return { status: 'redirect' };
+  }
+
+  parseReturn(url) {
+    const params = url.searchParams;
+    if (!params.has('transactionId') && !params.has('orderId')) return null;
+
+    return {
+      provider: this.id,
+      status: 'ok',
+      transactionId: params.get('transactionId') || params.get('orderId'),
+      clientTransactionId: null,
+      orderId: params.get('orderId'),
+      state: null,
+      errorCode: null
+    };
+  }
+}
+
+/**
+ * Staff take cash or comp the session themselves; their name and staff PIN authorize it
+ */
+class StaffPaymentProvider extends PaymentProvider {
+  constructor() {
+    super('staff', 'Staff');
+  }
+
+  /**
+   * @param {Object} options - {staffId, pin, method: 'cash'|'comp'}
+   */
+  async start(nonce, attempt, pkg, options = {}) {
+    const check = await Staff.authenticate(options.staffId, String(options.pin || ''));
+    if (!check.valid) {
+      return { status: 'failed', reason: check.reason };
+    }
+
+    const method = options.method === 'comp' ? 'comp' : 'cash';
+    Audit.record('payments.staff', { method, package: pkg.name, amount: method === 'comp' ? 0 : pkg.amountCents }, check.account);
+    return { status: 'verified', transactionId: `${method}-${nonce}`, method, staff: check.account.name };
+  }
+
+  async refund(transaction) {
+    // Cash goes back by hand and comps cost nothing, so only the record changes
+    return { refunded: true, reason: null };
+  }
+}
+
+class PaymentManager {
+  constructor() {
+    this.providers = new Map();
+    this.callbackCheck = null; // Callback verification in progress
+    this.verifier = CONFIG.PAYMENT.VERIFY_URL
+      ? new EndpointPaymentVerifier(CONFIG.PAYMENT.VERIFY_URL)
+      : new PaymentVerifier();
+
+    [new SquarePosProvider(), new PaymentLinkProvider(), new StaffPaymentProvider()]
+      .forEach(provider => this.registerProvider(provider));
+  }
+
+  /**
+   * Add or replace a payment provider
+   * @param {PaymentProvider} provider - Provider with an id
+   */
+  registerProvider(provider) {
+    if (!provider || !provider.id || typeof provider.start !== 'function') {
+      throw new Error('Payment provider must have an id and start()');
+    }
+    this.providers.set(provider.id, provider);
+  }
+
+  /**
+   * @param {string} id - Provider ID
+   * @returns {PaymentProvider|null}
+   */
+  getProvider(id) {
+    return this.providers.get(id) || null;
+  }
+
+  /**
+   * Providers that can take payment for a package
+   * @param {Object} pkg - Package
+   * @returns {Array<PaymentProvider>}
+   */
+  getAvailableProviders(pkg) {
+    return Array.from(this.providers.values()).filter(provider => provider.isAvailable(pkg, this.verifier));
+  }
+
+  /**
+   * Replace the verifier used by redirect providers
+   * @param {PaymentVerifier} verifier - Object with an async verify(callback, attempt)
+   */
+  setVerifier(verifier) {
+    if (!verifier || typeof verifier.verify !== 'function') {
+      throw new Error('Payment verifier must implement verify()');
+    }
+    this.verifier = verifier;
+  }
+
+  /**
+   * @returns {Array} - Packages configured in settings
+   */
+  getPackages() {
+    return Storage.getPaymentPackages();
+  }
+
+  /**
+   * @param {string} id - Package ID
+   * @returns {Object|null}
+   */
+  getPackage(id) {
+    return this.getPackages().find(pkg => pkg.id === id) || null;
+  }
+
+  /**
+   * Start paying for a package
+   * @param {string} providerId - Provider ID
+   * @param {string} packageId - Package ID
+   * @param {Object} options - Provider options, e.g. {pin, method} for staff
+   * @returns {Promise<Object>} - {status: 'redirect'|'verified'|'failed', reason, transaction}
+   */
+  async start(providerId, packageId, options = {}) {
+    const provider = this.getProvider(providerId);
+    const pkg = this.getPackage(packageId);
+    if (!provider || !pkg || !provider.isAvailable(pkg, this.verifier)) {
+      return { status: 'failed', reason: 'Payment option not available', transaction: null };
+    }
+
+    const nonce = this.beginAttempt(provider.id, pkg);
+    let result;
+    try {
+      result = await provider.start(nonce, Storage.getPaymentAttempts()[nonce], pkg, options);
+    } catch (error) {
+      Utils.logError('PaymentManager.start', error);
+      result = { status: 'failed', reason: CONFIG.ERRORS.PAYMENT_ERROR };
+    }
+
+    if (result.status === 'redirect') {
+      return { status: 'redirect', reason: null, transaction: null };
+    }
+
+    const attempt = this.consumeAttempt({ provider: provider.id, state: nonce });
+    if (result.status !== 'verified') {
+      return { status: 'failed', reason: result.reason || CONFIG.ERRORS.PAYMENT_ERROR, transaction: null };
+    }
+
+    return this.finishPayment(result.transactionId, attempt, { method: result.method || null, staff: result.staff || null });
+  }
+
+  /**
+   * Record a new payment attempt
+   * @param {string} providerId - Provider ID
+   * @param {Object} pkg - Package being bought
+   * @returns {string} - State nonce to send with the payment
+   */
+  beginAttempt(providerId, pkg) {
+    const nonce = PaymentManager.generateNonce();
+    const attempts = this.pruneAttempts(Storage.getPaymentAttempts());
+
+    attempts[nonce] = {
+      provider: providerId,
+      packageId: pkg.id,
+      packageName: pkg.name,
+      shots: pkg.shots,
+      amount: pkg.amountCents,
+      currency: Storage.getPaymentCurrency(),
+      createdAt: Date.now()
+    };
+    Storage.setPaymentAttempts(attempts);
+
+    return nonce;
+  }
+
+  /**
+   * Read a payment callback from a URL
+   * @param {string} href - URL to read
+   * @returns {Object|null} - {provider, status, transactionId, clientTransactionId, orderId, state, errorCode}, or null if none
+   */
+  parseCallback(href) {
+    const url = new URL(href);
+
+    for (const provider of this.providers.values()) {
+      const callback = provider.parseReturn(url);
+      if (callback) return callback;
+    }
+
+    // The old ?paid=1 flag proves nothing, but it still has to be cleared
+    const hash = new URLSearchParams(url.hash.substring(1));
+    if (url.searchParams.get('paid') === '1' || hash.get('paid') === '1') {
+      return { provider: 'legacy', status: 'error', errorCode: 'unverified' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Verify the payment callback in the current URL, if any
+   * Calls made while one is still verifying (focus and visibility events) share its
+   * result, so a callback is never processed twice.
+   * @returns {Promise<Object>} - {status: 'none'|'verified'|'failed', reason, transaction, retry}
+   */
+  handleCallback() {
+    if (!this.callbackCheck) {
+      this.callbackCheck = this.processCallback().finally(() => { this.callbackCheck = null; });
+    }
+    return this.callbackCheck;
+  }
+
+  /**
+   * The callback and its attempt are only used up once verification gives a definite
+   * answer. If the verifier can't be reached, both are kept and the result has
+   * retry: true, so the guest who paid can check again instead of paying twice.
+   * @returns {Promise<Object>} - {status: 'none'|'verified'|'failed', reason, transaction, retry}
+   */
+  async processCallback() {
+    const callback = this.parseCallback(window.location.href);
+    if (!callback) {
+      return { status: 'none', reason: null, transaction: null, retry: false };
+    }
+
+    const settle = (result) => {
+      this.clearCallbackFromURL();
+      this.consumeAttempt(callback);
+      return { ...result, retry: false };
+    };
+    const failed = (reason) => settle({ status: 'failed', reason, transaction: null });
+
+    if (callback.provider === 'legacy') {
+      return failed('Payment could not be verified');
+    }
+
+    const attempt = this.findAttempt(callback);
+    if (!attempt) {
+      return failed('Payment was not started on this device or has expired');
+    }
+
+    if (callback.status !== 'ok') {
+      return failed(PaymentManager.describeError(callback.errorCode));
+    }
+
+    const transactionId = callback.transactionId || callback.clientTransactionId;
+    if (!transactionId) {
+      return failed('Payment did not return a transaction');
+    }
+
+    if (this.isTransactionUsed(transactionId)) {
+      return failed('Payment already used');
+    }
+
+    let result;
+    try {
+      result = await this.getProvider(callback.provider).verify(callback, attempt, this.verifier);
+    } catch (error) {
+      Utils.logError('PaymentManager.handleCallback', error);
+      result = { verified: false, retry: true };
+    }
+
+    if (result && result.retry) {
+      return { status: 'failed', reason: 'Could not reach the payment service to verify this payment', transaction: null, retry: true };
+    }
+
+    if (!result || !result.verified) {
+      return failed((result && result.reason) || CONFIG.ERRORS.PAYMENT_ERROR);
+    }
+
+    return settle(this.finishPayment(transactionId, attempt));
+  }
+
+  /**
+   * Record a verified payment so it can't start a second session
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} attempt - The attempt it paid for
+   * @param {Object} details - Extra transaction fields, e.g. {method, staff}
+   * @returns {Object} - {status: 'verified'|'failed', reason, transaction}
+   */
+  finishPayment(transactionId, attempt, details = {}) {
+    if (this.isTransactionUsed(transactionId)) {
+      return { status: 'failed', reason: 'Payment already used', transaction: null };
+    }
+
+    const transaction = {
+      id: transactionId,
+      provider: attempt.provider,
+      method: details.method || null,
+      staff: details.staff || null,
+      packageId: attempt.packageId,
+      packageName: attempt.packageName,
+      shots: attempt.shots,
+      amount: details.method === 'comp' ? 0 : attempt.amount,
+      currency: attempt.currency
+    };
+
+    if (!this.markTransactionUsed(transaction)) {
+      return { status: 'failed', reason: 'Could not record payment', transaction: null };
+    }
+
+    return { status: 'verified', reason: null, transaction };
+  }
+
+  /**
+   * Find the pending attempt a callback belongs to, leaving it pending
+   * @param {Object} callback - Parsed callback {provider, state}
+   * @returns {Object|null} - Attempt, or null if none is pending
+   */
+  findAttempt(callback) {
+    const attempts = this.pruneAttempts(Storage.getPaymentAttempts());
+    const nonce = this.getAttemptNonce(callback, attempts);
+    const attempt = nonce ? attempts[nonce] : null;
+    return attempt && attempt.provider === callback.provider ? attempt : null;
+  }
+
+  /**
+   * Remove and return the pending attempt a callback belongs to
+   * @param {Object} callback - Parsed callback {provider, state}
+   * @returns {Object|null} - Attempt, or null if none is pending
+   */
+  consumeAttempt(callback) {
+    const attempts = this.pruneAttempts(Storage.getPaymentAttempts());
+    const nonce = this.getAttemptNonce(callback, attempts);
+    const attempt = nonce ? attempts[nonce] : null;
+    if (attempt) {
+      delete attempts[nonce];
+    }
+    Storage.setPaymentAttempts(attempts);
+
+    return attempt && attempt.provider === callback.provider ? attempt : null;
+  }
+
+  /**
+   * Callbacks from stateless providers match the newest attempt for the same provider;
+   * any other callback without state matches nothing.
+   * @param {Object} callback - Parsed callback {provider, state}
+   * @param {Object} attempts - Map of nonce to attempt
+   * @returns {string|null} - Nonce of the matching attempt
+   */
+  getAttemptNonce(callback, attempts) {
+    const provider = this.getProvider(callback.provider);
+    let nonce = callback.state;
+
+    if (!nonce && provider && provider.statelessReturn) {
+      nonce = Object.keys(attempts)
+        .filter(key => attempts[key].provider === callback.provider)
+        .sort((a, b) => attempts[b].createdAt - attempts[a].createdAt)[0];
+    }
+
+    return nonce && Object.prototype.hasOwnProperty.call(attempts, nonce) ? nonce : null;
+  }
+
+  /**
+   * Drop attempts that were never completed in time
+   * @param {Object} attempts - Map of nonce to attempt
+   * @returns {Object} - Pruned map
+   */
+  pruneAttempts(attempts) {
+    const cutoff = Date.now() - CONFIG.PAYMENT.ATTEMPT_TTL;
+    Object.keys(attempts).forEach(nonce => {
+      if (!(attempts[nonce].createdAt >= cutoff)) delete attempts[nonce];
+    });
+    return attempts;
+  }
+
+  /**
+   * @param {string} id - Transaction ID
+   * @returns {boolean}
+   */
+  isTransactionUsed(id) {
+    return Object.prototype.hasOwnProperty.call(Storage.getPaymentTransactions(), id);
+  }
+
+  /**
+   * Record a transaction as having started a session
+   * @param {Object} transaction - Verified transaction
+   * @returns {boolean} - Success status
+   */
+  markTransactionUsed(transaction) {
+    const used = Storage.getPaymentTransactions();
+    const cutoff = Date.now() - CONFIG.PAYMENT.TRANSACTION_RETENTION;
+    Object.keys(used).forEach(key => {
+      if (!(used[key].usedAt >= cutoff)) delete used[key];
+    });
+
+    const { id, ...record } = transaction;
+    used[id] = { ...record, usedAt: Date.now(), refundedAt: null };
+    return Storage.setPaymentTransactions(used);
+  }
+
+  /**
+   * Recent transactions, newest first
+   * @returns {Array} - Transactions {id, provider, method, packageName, amount, currency, usedAt, refundedAt}
+   */
+  getTransactions() {
+    const used = Storage.getPaymentTransactions();
+    return Object.keys(used)
+      .map(id => ({ id, ...used[id] }))
+      .sort((a, b) => b.usedAt - a.usedAt);
+  }
+
+  /**
+   * Refund a recorded transaction through its provider
+   * @param {string} id - Transaction ID
+   * @returns {Promise<Object>} - {refunded, reason}
+   */
+  async refund(id) {
+    const used = Storage.getPaymentTransactions();
+    const record = used[id];
+    if (!record) return { refunded: false, reason: 'Payment not found' };
+    if (record.refundedAt) return { refunded: false, reason: 'Payment already refunded' };
+
+    const provider = this.getProvider(record.provider);
+    if (!provider) return { refunded: false, reason: 'Payment provider not available' };
+
+    let result;
+    try {
+      result = await provider.refund({ id, ...record });
+    } catch (error) {
+      Utils.logError('PaymentManager.refund', error);
+      return { refunded: false, reason: 'Could not reach the refund service' };
+    }
+
+    if (result.refunded) {
+      record.refundedAt = Date.now();
+      Storage.setPaymentTransactions(used);
+    }
+    return result;
+  }
+
+  /**
+   * Strip callback parameters from the address bar
+   */
+  clearCallbackFromURL() {
+    const url = new URL(window.location.href);
+    Array.from(url.searchParams.keys()).forEach(key => {
+      if (key === 'data' || key === 'paid' || key.startsWith('com.squareup.pos.') ||
+          ['transactionId', 'orderId', 'checkoutId', 'referenceId'].includes(key)) {
+        url.searchParams.delete(key);
+      }
+    });
+    url.hash = '';
+    window.history.replaceState({}, document.title, url.toString());
+  }
+
+  /**
+   * Turn a Square error code into a message for the guest
+   * @param {string} code - iOS or Android error code
+   * @returns {string}
+   */
+  static describeError(code) {
+    const value = String(code || '').toLowerCase();
+    if (value.includes('cancel')) return 'Payment was canceled';
+    if (value.includes('not_logged_in')) return 'Square app is not signed in';
+    if (value.includes('network')) return 'No network connection';
+    return CONFIG.ERRORS.PAYMENT_ERROR;
+  }
+
+  /**
+   * Random hex state nonce
+   * @returns {string}
+   */
+  static generateNonce() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+// Create global payment manager instance
+const Payments = new PaymentManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PaymentManager,
+    PaymentProvider,
+    SquarePosProvider,
+    PaymentLinkProvider,
+    StaffPaymentProvider,
+    PaymentVerifier,
+    EndpointPaymentVerifier
+  };
+}
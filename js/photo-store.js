@@ -0,0 +1,347 @@
+/**
+ * Photo Store
+ * IndexedDB-backed photo library keeping metadata, Blobs and thumbnails in separate stores
+ */
+
+class PhotoStore {
+  constructor() {
+    this.db = null;
+    this.connecting = null;
+    this.readyPromise = null;
+  }
+
+  /**
+   * Check if IndexedDB is available
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database and migrate legacy photos before first use
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.connect()
+        .then(async () => {
+          this.requestPersistence();
+          await this.migrateFromLocalStorage();
+        })
+        .catch(error => {
+          this.readyPromise = null;
+          throw error;
+        });
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Open the database, creating stores on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  connect() {
+    if (this.db) return Promise.resolve(this.db);
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CONFIG.STORAGE.DB.NAME, CONFIG.STORAGE.DB.VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const { STORES } = CONFIG.STORAGE.DB;
+
+        if (!db.objectStoreNames.contains(STORES.PHOTOS)) {
+          const photos = db.createObjectStore(STORES.PHOTOS, { keyPath: 'id' });
+          photos.createIndex('timestamp', 'timestamp');
+        }
+        if (!db.objectStoreNames.contains(STORES.BLOBS)) {
+          db.createObjectStore(STORES.BLOBS);
+        }
+        if (!db.objectStoreNames.contains(STORES.THUMBNAILS)) {
+          db.createObjectStore(STORES.THUMBNAILS);
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+          this.connecting = null;
+        };
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Photo database is blocked by another tab'));
+    }).catch(error => {
+      Utils.logError('PhotoStore.connect', error);
+      this.connecting = null;
+      throw error;
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Run a transaction and resolve when it completes
+   * @param {string[]} storeNames - Object stores in the transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the stores keyed by name and queues requests
+   * @returns {Promise<void>}
+   */
+  async transaction(storeNames, mode, work) {
+    const db = await this.connect();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = {};
+      storeNames.forEach(name => {
+        stores[name] = tx.objectStore(name);
+      });
+
+      work(stores);
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Add a photo
+   * @param {Object} photo - Photo with a `blob` or `dataURL` plus metadata
+   * @returns {Promise<Object>} - Stored metadata
+   */
+  async addPhoto(photo) {
+    await this.ready();
+    return this.putPhoto(photo);
+  }
+
+  /**
+   * Write a photo without waiting for migration (used by the migration itself)
+   * @param {Object} photo - Photo with a `blob` or `dataURL` plus metadata
+   * @returns {Promise<Object>} - Stored metadata
+   */
+  async putPhoto(photo) {
+    const { STORES } = CONFIG.STORAGE.DB;
+    const blob = photo.blob || Utils.dataURLtoBlob(photo.dataURL);
+    const thumbnail = await this.createThumbnail(blob, photo.poster);
+
+    const meta = {
+      id: photo.id || Utils.generateUUID(),
+      name: photo.name || `photo-${Date.now()}`,
+      type: blob.type,
+      size: blob.size,
+      timestamp: photo.timestamp || photo.createdAt || Date.now(),
+      session: photo.session || null
+    };
+
+    await this.transaction([STORES.PHOTOS, STORES.BLOBS, STORES.THUMBNAILS], 'readwrite', stores => {
+      stores[STORES.PHOTOS].put(meta);
+      stores[STORES.BLOBS].put(blob, meta.id);
+      if (thumbnail) {
+        stores[STORES.THUMBNAILS].put(thumbnail, meta.id);
+      }
+    });
+
+    return meta;
+  }
+
+  /**
+   * Get metadata for all photos, oldest first
+   * @returns {Promise<Array>}
+   */
+  async getPhotos() {
+    await this.ready();
+    const { STORES } = CONFIG.STORAGE.DB;
+    let request;
+
+    await this.transaction([STORES.PHOTOS], 'readonly', stores => {
+      request = stores[STORES.PHOTOS].index('timestamp').getAll();
+    });
+
+    return request.result || [];
+  }
+
+  /**
+   * Get the full-size Blob for a photo
+   * @param {string} id - Photo ID
+   * @returns {Promise<Blob|null>}
+   */
+  async getPhotoBlob(id) {
+    return this.getFromStore(CONFIG.STORAGE.DB.STORES.BLOBS, id);
+  }
+
+  /**
+   * Get the thumbnail Blob for a photo
+   * @param {string} id - Photo ID
+   * @returns {Promise<Blob|null>}
+   */
+  async getThumbnail(id) {
+    return this.getFromStore(CONFIG.STORAGE.DB.STORES.THUMBNAILS, id);
+  }
+
+  /**
+   * Read one value by key
+   * @param {string} storeName - Object store name
+   * @param {string} key - Key
+   * @returns {Promise<*>}
+   */
+  async getFromStore(storeName, key) {
+    await this.ready();
+    let request;
+
+    await this.transaction([storeName], 'readonly', stores => {
+      request = stores[storeName].get(key);
+    });
+
+    return request.result || null;
+  }
+
+  /**
+   * Remove photos and their Blobs
+   * @param {string[]} ids - Photo IDs
+   * @returns {Promise<void>}
+   */
+  async removePhotos(ids) {
+    await this.ready();
+    const { STORES } = CONFIG.STORAGE.DB;
+
+    await this.transaction([STORES.PHOTOS, STORES.BLOBS, STORES.THUMBNAILS], 'readwrite', stores => {
+      ids.forEach(id => {
+        stores[STORES.PHOTOS].delete(id);
+        stores[STORES.BLOBS].delete(id);
+        stores[STORES.THUMBNAILS].delete(id);
+      });
+    });
+  }
+
+  /**
+   * Remove every photo
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.ready();
+    const { STORES } = CONFIG.STORAGE.DB;
+
+    await this.transaction([STORES.PHOTOS, STORES.BLOBS, STORES.THUMBNAILS], 'readwrite', stores => {
+      Object.values(stores).forEach(store => store.clear());
+    });
+  }
+
+  /**
+   * Create a JPEG thumbnail for image Blobs, or from a poster for videos
+   * @param {Blob} blob - Full-size Blob
+   * @param {string} poster - Optional poster data URL
+   * @returns {Promise<Blob|null>}
+   */
+  async createThumbnail(blob, poster) {
+    let url = null;
+
+    try {
+      let src = poster;
+      if (!src) {
+        if (!blob.type.startsWith('image/')) return null;
+        url = URL.createObjectURL(blob);
+        src = url;
+      }
+
+      const img = await Utils.loadImage(src);
+      const size = CONFIG.STORAGE.DB.THUMBNAIL_SIZE;
+      const scale = Math.min(1, size / Math.max(img.width, img.height));
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+      return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', CONFIG.PHOTOS.QUALITY));
+    } catch (error) {
+      Utils.logError('PhotoStore.createThumbnail', error);
+      return null;
+    } finally {
+      Utils.cleanupObjectURLs([url]);
+    }
+  }
+
+  /**
+   * Move photos saved as data URLs in localStorage into IndexedDB
+   * @returns {Promise<number>} - Number of migrated photos
+   */
+  async migrateFromLocalStorage() {
+    const key = CONFIG.STORAGE.KEYS.PHOTOS;
+    let legacy;
+
+    try {
+      legacy = JSON.parse(localStorage.getItem(key) || 'null');
+    } catch (error) {
+      Utils.logError('PhotoStore.migrateFromLocalStorage', error);
+      return 0;
+    }
+
+    if (!Array.isArray(legacy)) return 0;
+
+    let migrated = 0;
+    for (const photo of legacy) {
+      if (!photo || typeof photo.dataURL !== 'string') continue;
+      try {
+        await this.putPhoto(photo);
+        migrated++;
+      } catch (error) {
+        Utils.logError('PhotoStore.migrateFromLocalStorage', error);
+      }
+    }
+
+    // Only drop the legacy array once every entry made it across
+    if (migrated === legacy.filter(p => p && typeof p.dataURL === 'string').length) {
+      localStorage.removeItem(key);
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Ask the browser not to evict the library under storage pressure
+   */
+  requestPersistence() {
+    if (navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist().catch(error => Utils.logError('PhotoStore.requestPersistence', error));
+    }
+  }
+
+  /**
+   * Estimate storage usage
+   * @returns {Promise<Object>} - {usage, quota} in bytes, or nulls if unknown
+   */
+  async estimate() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+      return { usage: null, quota: null };
+    }
+
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    } catch (error) {
+      Utils.logError('PhotoStore.estimate', error);
+      return { usage: null, quota: null };
+    }
+  }
+
+  /**
+   * Check if the origin is close to its storage quota
+   * @returns {Promise<boolean>}
+   */
+  async isFull() {
+    const { usage, quota } = await this.estimate();
+    if (!usage || !quota) return false;
+    return usage > quota * 0.9;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PhotoStore;
+}
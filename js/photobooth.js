@@ -9,11 +9,24 @@ class PhotoboothController {
     this.overlays = [];
     this.props = [];
     this.currentOverlay = null;
+    this.overlayImage = null;
     this.selectedProp = null;
     this.isCapturing = false;
     this.countdownTimer = null;
+    this.captureMode = 'single';
+    this.stripShots = CONFIG.STRIP.DEFAULT_SHOTS;
+    this.stripLayout = CONFIG.STRIP.DEFAULT_LAYOUT;
+    this.lastCapture = null;
+    this.frameCanvas = null;
     this.elements = {};
     this.gestureHandler = new GestureHandler();
+    this.videoRecorder = new VideoRecorder();
+    this.videoDuration = CONFIG.VIDEO.DEFAULT_DURATION;
+    this.history = new HistoryManager();
+    this.faceTracker = new FaceTracker(this.camera);
+    this.faceTracking = false;
+    this.captureCharged = false;
+    this.savedPhoto = null; // Library copy of the capture in the preview, once saved
     this.init();
   }
 
@@ -29,30 +42,71 @@ class PhotoboothController {
     this.initEventListeners();
     this.initCamera();
     this.loadAssets();
+    this.setAspectRatio(Profiles.getActive().aspect, false);
+    this.updatePropToolbar();
+    this.history.onChange = () => this.updateHistoryButtons();
+    this.updateHistoryButtons();
+    this.updateShotsDisplay();
     
-    // Initialize gesture handling
-    this.gestureHandler.init(this.elements.canvas, this);
+    // Gesture handling and the live preview share the stage canvas
+    this.gestureHandler.init(this.elements.liveCanvas, this);
   }
 
   initElements() {
     this.elements = {
+      stage: Utils.$('#stage'),
       video: Utils.$('#video'),
       canvas: Utils.$('#canvas'),
+      liveCanvas: Utils.$('#liveCanvas'),
       captureBtn: Utils.$('#captureBtn'),
       switchBtn: Utils.$('#switchBtn'),
       mirrorBtn: Utils.$('#mirrorBtn'),
+      faceTrackBtn: Utils.$('#faceTrackBtn'),
       aspectBtns: Utils.$$('.aspect-btn'),
-      overlayGrid: Utils.$('#overlayGrid'),
-      propGrid: Utils.$('#propGrid'),
-      uploadOverlay: Utils.$('#uploadOverlay'),
-      uploadProp: Utils.$('#uploadProp'),
+      aspectSelect: Utils.$('#aspectSel'),
+      aspectPill: Utils.$('#aspectPill'),
+      shotsPill: Utils.$('#shotsPill'),
+      modeBtns: Utils.$$('.mode-btn'),
+      stripShots: Utils.$('#stripShots'),
+      stripLayout: Utils.$('#stripLayout'),
+      videoDuration: Utils.$('#videoDuration'),
+      overlayGrid: Utils.$('#overlayThumbs'),
+      propGrid: Utils.$('#propThumbs'),
+      uploadOverlay: Utils.$('#overlayFile'),
+      uploadProp: Utils.$('#propFile'),
+      overlayNone: Utils.$('#overlayNone'),
+      deletePropBtn: Utils.$('#deletePropBtn'),
+      propForwardBtn: Utils.$('#propForwardBtn'),
+      propBackwardBtn: Utils.$('#propBackwardBtn'),
+      propDuplicateBtn: Utils.$('#propDuplicateBtn'),
+      propFlipBtn: Utils.$('#propFlipBtn'),
+      propLockBtn: Utils.$('#propLockBtn'),
+      propOpacity: Utils.$('#propOpacity'),
+      undoBtn: Utils.$('#undoBtn'),
+      redoBtn: Utils.$('#redoBtn'),
       preview: Utils.$('#preview'),
+      previewNote: Utils.$('#previewNote'),
       previewImg: Utils.$('#previewImg'),
+      previewVideo: Utils.$('#previewVideo'),
       saveBtn: Utils.$('#saveBtn'),
       shareBtn: Utils.$('#shareBtn'),
+      phoneBtn: Utils.$('#phoneBtn'),
+      delivery: Utils.$('#delivery'),
+      deliveryQR: Utils.$('#deliveryQR'),
+      deliveryCode: Utils.$('#deliveryCode'),
+      sendBtn: Utils.$('#sendBtn'),
+      sendForm: Utils.$('#sendForm'),
+      sendContact: Utils.$('#sendContact'),
+      sendConsent: Utils.$('#sendConsent'),
+      sendConsentText: Utils.$('#sendConsentText'),
+      sendMarketing: Utils.$('#sendMarketing'),
+      sendMarketingText: Utils.$('#sendMarketingText'),
+      sendConfirmBtn: Utils.$('#sendConfirmBtn'),
+      sendCancelBtn: Utils.$('#sendCancelBtn'),
       retakeBtn: Utils.$('#retakeBtn'),
       countdown: Utils.$('#countdown'),
-      backBtn: Utils.$('#backBtn')
+      backBtn: Utils.$('#backBtn'),
+      endSessionBtn: Utils.$('#endSessionBtn')
     };
   }
 
@@ -67,11 +121,31 @@ class PhotoboothController {
     if (this.elements.mirrorBtn) {
       this.elements.mirrorBtn.addEventListener('click', () => this.toggleMirror());
     }
+    if (this.elements.faceTrackBtn) {
+      this.elements.faceTrackBtn.addEventListener('click', () => this.toggleFaceTracking());
+    }
 
     // Aspect ratio buttons
     this.elements.aspectBtns.forEach(btn => {
       btn.addEventListener('click', () => this.setAspectRatio(btn.dataset.aspect));
     });
+    if (this.elements.aspectSelect) {
+      this.elements.aspectSelect.addEventListener('change', (e) => this.setAspectRatio(e.target.value));
+    }
+
+    // Capture mode and strip options
+    this.elements.modeBtns.forEach(btn => {
+      btn.addEventListener('click', () => this.setCaptureMode(btn.dataset.mode));
+    });
+    if (this.elements.stripShots) {
+      this.elements.stripShots.addEventListener('change', (e) => this.setStripShots(e.target.value));
+    }
+    if (this.elements.stripLayout) {
+      this.elements.stripLayout.addEventListener('change', (e) => this.setStripLayout(e.target.value));
+    }
+    if (this.elements.videoDuration) {
+      this.elements.videoDuration.addEventListener('change', (e) => this.setVideoDuration(e.target.value));
+    }
 
     // File uploads
     if (this.elements.uploadOverlay) {
@@ -81,13 +155,76 @@ class PhotoboothController {
       this.elements.uploadProp.addEventListener('change', (e) => this.handlePropUpload(e));
     }
 
+    // Overlay and prop controls
+    if (this.elements.overlayNone) {
+      this.elements.overlayNone.addEventListener('click', () => this.selectOverlay(null));
+    }
+    if (this.elements.deletePropBtn) {
+      this.elements.deletePropBtn.addEventListener('click', () => {
+        if (this.selectedProp) this.removeProp(this.selectedProp);
+      });
+    }
+
+    // Prop toolbar
+    const propActions = {
+      propForwardBtn: prop => this.bringPropForward(prop),
+      propBackwardBtn: prop => this.sendPropBackward(prop),
+      propDuplicateBtn: prop => this.duplicateProp(prop),
+      propFlipBtn: prop => this.flipProp(prop),
+      propLockBtn: prop => this.togglePropLock(prop)
+    };
+    Object.entries(propActions).forEach(([key, action]) => {
+      if (this.elements[key]) {
+        this.elements[key].addEventListener('click', () => {
+          if (this.selectedProp) action(this.selectedProp);
+        });
+      }
+    });
+    if (this.elements.propOpacity) {
+      // One undo step per slider drag, recorded when it's let go
+      let opacityStart = null;
+      this.elements.propOpacity.addEventListener('input', (e) => {
+        const prop = this.selectedProp;
+        if (!prop) return;
+        if (!opacityStart || opacityStart.prop !== prop) {
+          opacityStart = { prop, before: { opacity: prop.opacity } };
+        }
+        this.setPropOpacity(prop, e.target.value / 100, false);
+      });
+      this.elements.propOpacity.addEventListener('change', () => {
+        if (opacityStart) this.recordPropChange(opacityStart.prop, 'Change prop opacity', opacityStart.before);
+        opacityStart = null;
+      });
+    }
+
+    // History
+    if (this.elements.undoBtn) {
+      this.elements.undoBtn.addEventListener('click', () => this.undo());
+    }
+    if (this.elements.redoBtn) {
+      this.elements.redoBtn.addEventListener('click', () => this.redo());
+    }
+
     // Preview controls
     if (this.elements.saveBtn) {
       this.elements.saveBtn.addEventListener('click', () => this.savePhoto());
     }
+    if (this.elements.phoneBtn) {
+      this.elements.phoneBtn.addEventListener('click', () => this.sendToPhone());
+    }
     if (this.elements.shareBtn) {
       this.elements.shareBtn.addEventListener('click', () => this.sharePhoto());
     }
+    if (this.elements.sendBtn) {
+      this.elements.sendBtn.addEventListener('click', () => this.showSendForm(true));
+      this.elements.sendCancelBtn.addEventListener('click', () => this.showSendForm(false));
+      this.elements.sendConfirmBtn.addEventListener('click', () => this.sendToGuest());
+      this.elements.sendContact.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.sendToGuest();
+      });
+      Utils.setTextContent(this.elements.sendConsentText, CONFIG.DELIVERY.CONSENT_TEXT);
+      Utils.setTextContent(this.elements.sendMarketingText, CONFIG.DELIVERY.MARKETING_TEXT);
+    }
     if (this.elements.retakeBtn) {
       this.elements.retakeBtn.addEventListener('click', () => this.retakePhoto());
     }
@@ -96,6 +233,9 @@ class PhotoboothController {
     if (this.elements.backBtn) {
       this.elements.backBtn.addEventListener('click', () => this.goBack());
     }
+    if (this.elements.endSessionBtn) {
+      this.elements.endSessionBtn.addEventListener('click', () => this.endSession());
+    }
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => this.handleKeyboard(e));
@@ -113,19 +253,26 @@ class PhotoboothController {
   }
 
   loadAssets() {
-    // Load default overlays
-    CONFIG.ASSETS.DEFAULT_OVERLAYS.forEach(overlay => {
+    // Overlays and props come from the active event profile
+    const profile = Profiles.getActive();
+    profile.overlays.forEach(overlay => {
       this.addOverlayToGrid(overlay);
     });
 
-    // Load default props
-    CONFIG.ASSETS.DEFAULT_PROPS.forEach(prop => {
+    profile.props.forEach(prop => {
       this.addPropToGrid(prop);
     });
+
+    // Face tracking only moves anchored props, so there's nothing to offer without them
+    if (this.elements.faceTrackBtn && !profile.props.some(prop => prop.anchor)) {
+      this.elements.faceTrackBtn.style.display = 'none';
+    }
   }
 
   addOverlayToGrid(overlay) {
-    const item = Utils.createElement('div', '', 'overlay-item');
+    const item = Utils.createElement('button', '', 'thumb overlay-item');
+    item.type = 'button';
+    item.title = overlay.name;
     item.dataset.src = overlay.src;
     
     const img = Utils.createElement('img');
@@ -149,7 +296,9 @@ class PhotoboothController {
   }
 
   addPropToGrid(prop) {
-    const item = Utils.createElement('div', '', 'prop-item');
+    const item = Utils.createElement('button', '', 'thumb prop-item');
+    item.type = 'button';
+    item.title = prop.name;
     item.dataset.src = prop.src;
     
     const img = Utils.createElement('img');
@@ -173,14 +322,34 @@ class PhotoboothController {
   }
 
   selectOverlay(overlay) {
+    const previous = this.currentOverlay;
+    if (previous === overlay) return;
+
+    this.applyOverlay(overlay);
+    this.history.push({
+      label: 'Overlay change',
+      undo: () => this.applyOverlay(previous),
+      redo: () => this.applyOverlay(overlay)
+    });
+    
+    Utils.showToast(overlay ? `Overlay selected: ${overlay.name}` : 'Overlay removed', 'ok');
+  }
+
+  applyOverlay(overlay) {
     this.currentOverlay = overlay;
     
     // Update UI to show selected overlay
     Utils.$$('.overlay-item').forEach(item => {
-      item.classList.toggle('selected', item.dataset.src === overlay.src);
+      item.classList.toggle('selected', !!overlay && item.dataset.src === overlay.src);
     });
-    
-    Utils.showToast(`Overlay selected: ${overlay.name}`, 'ok');
+
+    // Keep a decoded copy for the live preview
+    this.overlayImage = null;
+    if (overlay) {
+      this.loadOverlayImage().then(img => {
+        if (this.currentOverlay === overlay) this.overlayImage = img;
+      });
+    }
   }
 
   async addProp(prop) {
@@ -197,11 +366,18 @@ class PhotoboothController {
         scale: 1,
         rotation: 0,
         width: CONFIG.UI.STICKER_BASE_SIZE,
-        height: CONFIG.UI.STICKER_BASE_SIZE * (img.height / img.width)
+        height: CONFIG.UI.STICKER_BASE_SIZE * (img.height / img.width),
+        flipX: false,
+        opacity: 1,
+        locked: false,
+        anchor: prop.anchor || null,
+        followFace: !!prop.anchor,
+        // A second pair of shades goes on the second face
+        faceIndex: prop.anchor ? this.props.filter(p => p.anchor && p.anchor.point === prop.anchor.point).length : 0
       };
       
-      this.props.push(propObj);
-      this.selectedProp = propObj;
+      this.insertProp(propObj);
+      this.recordPropInsert(propObj, 'Add prop');
       
       Utils.showToast(`Prop added: ${prop.name}`, 'ok');
     } catch (error) {
@@ -210,6 +386,113 @@ class PhotoboothController {
     }
   }
 
+  insertProp(prop, index = this.props.length) {
+    this.props.splice(index, 0, prop);
+    this.selectProp(prop);
+  }
+
+  detachProp(prop) {
+    const index = this.props.indexOf(prop);
+    if (index > -1) {
+      this.props.splice(index, 1);
+      if (this.selectedProp === prop) {
+        this.selectProp(null);
+      }
+    }
+    return index;
+  }
+
+  recordPropInsert(prop, label) {
+    const index = this.props.indexOf(prop);
+    this.history.push({
+      label,
+      undo: () => this.detachProp(prop),
+      redo: () => this.insertProp(prop, index)
+    });
+  }
+
+  getPropTransform(prop) {
+    return { x: prop.x, y: prop.y, scale: prop.scale, rotation: prop.rotation };
+  }
+
+  // Called by the gesture handler once per finished gesture
+  recordPropTransform(prop, before) {
+    this.recordPropChange(prop, 'Move prop', before);
+  }
+
+  /**
+   * Add one undo step for a change to some of a prop's fields
+   * @param {Object} prop - Prop that changed
+   * @param {string} label - Shown when it's undone or redone
+   * @param {Object} before - The changed fields as they were
+   */
+  recordPropChange(prop, label, before) {
+    const after = {};
+    Object.keys(before).forEach(key => { after[key] = prop[key]; });
+    const changed = Object.keys(after).some(key => after[key] !== before[key]);
+    if (!changed || !this.props.includes(prop)) return;
+
+    const apply = (state) => {
+      Object.assign(prop, state);
+      this.selectProp(prop);
+    };
+
+    this.history.push({
+      label,
+      undo: () => apply(before),
+      redo: () => apply(after)
+    });
+  }
+
+  /**
+   * Move a prop to another layer as one undo step
+   * @param {Object} prop - Prop to move
+   * @param {number} to - New index in this.props (0 is the bottom layer)
+   * @param {string} label - Shown when it's undone or redone
+   */
+  reorderProp(prop, to, label) {
+    const from = this.props.indexOf(prop);
+    const move = (index) => {
+      this.props.splice(this.props.indexOf(prop), 1);
+      this.props.splice(index, 0, prop);
+      this.selectProp(prop);
+    };
+
+    move(to);
+    this.history.push({
+      label,
+      undo: () => move(from),
+      redo: () => move(to)
+    });
+  }
+
+  undo() {
+    const command = this.history.undo();
+    if (command) {
+      Utils.showToast(`Undo: ${command.label}`, 'ok');
+    }
+  }
+
+  redo() {
+    const command = this.history.redo();
+    if (command) {
+      Utils.showToast(`Redo: ${command.label}`, 'ok');
+    }
+  }
+
+  updateHistoryButtons() {
+    if (this.elements.undoBtn) {
+      this.elements.undoBtn.disabled = !this.history.canUndo();
+    }
+    if (this.elements.redoBtn) {
+      this.elements.redoBtn.disabled = !this.history.canRedo();
+    }
+  }
+
+  getPreviewWidth() {
+    return (this.elements.liveCanvas && this.elements.liveCanvas.offsetWidth) || 0;
+  }
+
   async handleOverlayUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
@@ -228,10 +511,12 @@ class PhotoboothController {
       };
       
       this.addOverlayToGrid(overlay);
-      Utils.showToast('Overlay uploaded successfully', 'ok');
+      this.selectOverlay(overlay);
     } catch (error) {
       Utils.showToast('Failed to upload overlay', 'warn');
       Utils.logError('PhotoboothController.handleOverlayUpload', error);
+    } finally {
+      event.target.value = '';
     }
   }
 
@@ -253,10 +538,12 @@ class PhotoboothController {
       };
       
       this.addPropToGrid(prop);
-      Utils.showToast('Prop uploaded successfully', 'ok');
+      await this.addProp(prop);
     } catch (error) {
       Utils.showToast('Failed to upload prop', 'warn');
       Utils.logError('PhotoboothController.handlePropUpload', error);
+    } finally {
+      event.target.value = '';
     }
   }
 
@@ -280,21 +567,142 @@ class PhotoboothController {
     }
   }
 
+  toggleFaceTracking() {
+    this.faceTracking = !this.faceTracking;
+
+    if (this.faceTracking) {
+      // Re-attach props that were dragged off their face
+      this.props.forEach(prop => {
+        if (prop.anchor) prop.followFace = true;
+      });
+      this.faceTracker.start();
+    } else {
+      this.faceTracker.stop();
+    }
+
+    if (this.elements.faceTrackBtn) {
+      this.elements.faceTrackBtn.classList.toggle('active', this.faceTracking);
+      Utils.setTextContent(this.elements.faceTrackBtn, `Face: ${this.faceTracking ? 'On' : 'Off'}`);
+    }
+    Utils.showToast(this.faceTracking ? 'Props follow faces' : 'Face tracking off', 'ok');
+  }
+
+  applyFaceAnchors(faces = this.faceTracker.getFaces()) {
+    if (!this.faceTracking || !faces.length) return;
+
+    const width = this.getPreviewWidth();
+    const height = this.elements.liveCanvas ? this.elements.liveCanvas.offsetHeight : 0;
+    if (!width || !height) return;
+
+    this.props.forEach(prop => {
+      if (!prop.anchor || !prop.followFace || prop.locked) return;
+
+      const face = faces[prop.faceIndex];
+      if (!face) return;
+
+      const point = FaceTracker.getAnchorPoint(face, prop.anchor.point);
+      if (!point) return;
+
+      // Size against the face, then shift along the face's own vertical axis
+      const scale = (face.width * width * prop.anchor.width) / prop.width;
+      const offset = prop.anchor.offsetY * prop.height * scale;
+
+      prop.scale = Math.max(CONFIG.UI.MIN_SCALE, Math.min(CONFIG.UI.MAX_SCALE, scale));
+      prop.rotation = face.roll;
+      prop.x = point.x - (offset * Math.sin(face.roll)) / width;
+      prop.y = point.y + (offset * Math.cos(face.roll)) / height;
+    });
+  }
+
+  async trackFacesForCapture(canvas) {
+    if (!this.faceTracking) return;
+
+    try {
+      const faces = await this.faceTracker.detect(canvas);
+      this.applyFaceAnchors(faces);
+    } catch (error) {
+      Utils.logError('PhotoboothController.trackFacesForCapture', error);
+    }
+  }
+
   toggleMirror() {
     this.camera.toggleMirror();
     this.updateCameraUI();
     Utils.showToast(`Mirror ${this.camera.mirror ? 'on' : 'off'}`, 'ok');
   }
 
-  setAspectRatio(aspect) {
+  setAspectRatio(aspect, notify = true) {
+    if (!CONFIG.CAMERA.ASPECT_RATIOS[aspect]) return;
     this.camera.setAspectRatio(aspect);
     
     // Update UI
     this.elements.aspectBtns.forEach(btn => {
       btn.classList.toggle('active', btn.dataset.aspect === aspect);
     });
+    if (this.elements.aspectSelect) {
+      this.elements.aspectSelect.value = aspect;
+    }
+    Utils.setTextContent(this.elements.aspectPill, `Aspect: ${aspect}`);
+
+    // Match the live stage to the capture crop
+    const stage = this.elements.stage;
+    if (stage) {
+      const { width, height } = CONFIG.CAMERA.ASPECT_RATIOS[aspect];
+      if (CSS.supports('aspect-ratio', '1 / 1')) {
+        stage.style.aspectRatio = `${width} / ${height}`;
+      } else {
+        stage.style.paddingBottom = `${(height / width) * 100}%`;
+        stage.style.height = '0';
+      }
+    }
     
-    Utils.showToast(`Aspect ratio: ${aspect}`, 'ok');
+    if (notify) {
+      Utils.showToast(`Aspect ratio: ${aspect}`, 'ok');
+    }
+  }
+
+  setCaptureMode(mode) {
+    const labels = {
+      single: 'Single photo mode',
+      strip: `Strip mode: ${this.stripShots} shots`,
+      gif: 'Animated GIF mode',
+      boomerang: 'Boomerang mode',
+      video: `Video mode: ${this.videoDuration}s clips`
+    };
+    if (!labels[mode]) return;
+    this.captureMode = mode;
+
+    this.elements.modeBtns.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+
+    Utils.showToast(labels[mode], 'ok');
+  }
+
+  setStripShots(count) {
+    const shots = parseInt(count, 10);
+    if (!shots) return;
+    this.stripShots = Math.max(CONFIG.STRIP.MIN_SHOTS, Math.min(CONFIG.STRIP.MAX_SHOTS, shots));
+
+    if (this.elements.stripShots) {
+      this.elements.stripShots.value = String(this.stripShots);
+    }
+  }
+
+  setVideoDuration(seconds) {
+    const duration = parseInt(seconds, 10);
+    if (!duration) return;
+    this.videoDuration = Math.max(CONFIG.VIDEO.MIN_DURATION, Math.min(CONFIG.VIDEO.MAX_DURATION, duration));
+
+    if (this.elements.videoDuration) {
+      this.elements.videoDuration.value = String(this.videoDuration);
+    }
+  }
+
+  setStripLayout(layout) {
+    if (!CONFIG.STRIP.LAYOUTS[layout]) return;
+    this.stripLayout = layout;
+    Utils.showToast(`Layout: ${CONFIG.STRIP.LAYOUTS[layout].name}`, 'ok');
   }
 
   updateCameraUI() {
@@ -303,6 +711,7 @@ class PhotoboothController {
     // Update mirror button
     if (this.elements.mirrorBtn) {
       this.elements.mirrorBtn.classList.toggle('active', status.mirror);
+      Utils.setTextContent(this.elements.mirrorBtn, `Mirror: ${status.mirror ? 'On' : 'Off'}`);
     }
     
     // Update video mirror effect
@@ -313,15 +722,32 @@ class PhotoboothController {
 
   async capturePhoto() {
     if (this.isCapturing) return;
+
+    if (Session.getShotsRemaining() <= 0) {
+      this.handleOutOfShots();
+      return;
+    }
     
     try {
       this.isCapturing = true;
-      await this.startCountdown();
-      
-      const dataURL = await this.camera.capturePhoto(this.elements.canvas);
-      await this.compositeImage(dataURL);
-      
-      this.showPreview();
+
+      let capture;
+      if (this.captureMode === 'strip') {
+        await this.captureStrip();
+      } else if (this.captureMode === 'gif' || this.captureMode === 'boomerang') {
+        capture = await this.captureAnimation(this.captureMode === 'boomerang');
+      } else if (this.captureMode === 'video') {
+        capture = await this.captureVideo();
+      } else {
+        await this.startCountdown();
+        const dataURL = await this.camera.capturePhoto(this.elements.canvas);
+        await this.compositeImage(dataURL);
+      }
+
+      // A new capture isn't paid for until it is saved or shared
+      this.captureCharged = false;
+      this.savedPhoto = null;
+      this.showPreview(capture);
     } catch (error) {
       Utils.showToast('Failed to capture photo', 'warn');
       Utils.logError('PhotoboothController.capturePhoto', error);
@@ -330,24 +756,192 @@ class PhotoboothController {
     }
   }
 
+  async captureStrip() {
+    const frames = [];
+
+    for (let shot = 1; shot <= this.stripShots; shot++) {
+      if (shot > 1) {
+        await Utils.delay(CONFIG.STRIP.SHOT_PAUSE);
+      }
+
+      Utils.showToast(`Shot ${shot} of ${this.stripShots}`, 'ok');
+      await this.startCountdown();
+
+      // Each frame gets the current overlay and props before it is laid out
+      const dataURL = await this.camera.capturePhoto(this.elements.canvas);
+      await this.compositeImage(dataURL);
+      frames.push(this.elements.canvas.toDataURL('image/png'));
+    }
+
+    await this.assembleStrip(frames, CONFIG.STRIP.LAYOUTS[this.stripLayout]);
+  }
+
+  async assembleStrip(frames, layout) {
+    const canvas = this.elements.canvas;
+    const ctx = canvas.getContext('2d');
+    const columns = Math.min(layout.columns, frames.length);
+    const rows = Math.ceil(frames.length / columns);
+
+    const cellW = (layout.width - layout.padding * 2 - layout.gap * (columns - 1)) / columns;
+    const cellH = (layout.height - layout.padding * 2 - layout.footer - layout.gap * (rows - 1)) / rows;
+
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+
+    ctx.fillStyle = layout.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    for (let i = 0; i < frames.length; i++) {
+      const img = await Utils.loadImage(frames[i]);
+      const row = Math.floor(i / columns);
+      const col = i % columns;
+
+      // Center an incomplete last row
+      const inRow = Math.min(columns, frames.length - row * columns);
+      const rowOffset = ((columns - inRow) * (cellW + layout.gap)) / 2;
+
+      const x = layout.padding + rowOffset + col * (cellW + layout.gap);
+      const y = layout.padding + row * (cellH + layout.gap);
+      this.drawImageCover(ctx, img, x, y, cellW, cellH);
+    }
+
+    // Footer branding
+    const footerTop = layout.height - layout.padding - layout.footer;
+    ctx.fillStyle = layout.footerColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `900 ${Math.round(layout.footer * 0.3)}px system-ui, sans-serif`;
+    ctx.fillText(CONFIG.APP.NAME, layout.width / 2, footerTop + layout.footer * 0.4);
+    ctx.font = `700 ${Math.round(layout.footer * 0.16)}px system-ui, sans-serif`;
+    ctx.fillText(new Date().toLocaleDateString(), layout.width / 2, footerTop + layout.footer * 0.78);
+  }
+
+  async captureAnimation(boomerang) {
+    await this.startCountdown();
+
+    const shots = await this.camera.captureBurst(
+      this.elements.canvas,
+      CONFIG.GIF.FRAME_COUNT,
+      CONFIG.GIF.FRAME_INTERVAL
+    );
+
+    Utils.showToast(boomerang ? 'Building boomerang...' : 'Building GIF...', 'ok');
+
+    // Composite overlay and props onto every frame, then downscale for the GIF
+    const frames = [];
+    for (const shot of shots) {
+      await this.compositeImage(shot);
+      frames.push(this.scaleFrame(this.elements.canvas, CONFIG.GIF.MAX_DIMENSION));
+    }
+
+    // Boomerang plays forward then backward without repeating the end frames
+    if (boomerang && frames.length > 2) {
+      frames.push(...frames.slice(1, -1).reverse());
+    }
+
+    const encoder = new GifEncoder(frames[0].width, frames[0].height, {
+      delay: CONFIG.GIF.FRAME_DELAY,
+      loop: CONFIG.GIF.LOOP
+    });
+    frames.forEach(frame => encoder.addFrame(frame));
+
+    const dataURL = await this.fileToDataURL(encoder.toBlob());
+    return { type: 'image/gif', extension: 'gif', dataURL };
+  }
+
+  async captureVideo() {
+    // Without MediaRecorder or a usable codec, fall back to a boomerang
+    if (!this.videoRecorder.isSupported()) {
+      Utils.showToast(`${CONFIG.ERRORS.VIDEO_UNSUPPORTED} Recording a boomerang instead.`, 'warn');
+      return this.captureAnimation(true);
+    }
+
+    await this.startCountdown();
+
+    const canvas = this.elements.canvas;
+    const ctx = canvas.getContext('2d');
+    const overlayImg = await this.loadOverlayImage();
+
+    const drawFrame = () => {
+      this.camera.drawFrame(canvas, CONFIG.VIDEO.MAX_DIMENSION);
+      this.drawOverlayAndProps(ctx, canvas.width, canvas.height, overlayImg);
+    };
+
+    // Show the remaining seconds while recording
+    let remaining = this.videoDuration;
+    const showRemaining = () => this.showCountdown(`● ${remaining}`);
+    showRemaining();
+    const ticker = setInterval(() => {
+      remaining = Math.max(0, remaining - 1);
+      showRemaining();
+    }, 1000);
+
+    let clip;
+    try {
+      clip = await this.videoRecorder.record(canvas, this.videoDuration * 1000, drawFrame);
+    } catch (error) {
+      Utils.logError('PhotoboothController.captureVideo', error);
+      Utils.showToast(`${CONFIG.ERRORS.VIDEO_UNSUPPORTED} Recording a boomerang instead.`, 'warn');
+      return this.captureAnimation(true);
+    } finally {
+      clearInterval(ticker);
+      this.hideCountdown();
+    }
+
+    const dataURL = await this.fileToDataURL(clip.blob);
+    return {
+      type: clip.type,
+      extension: clip.extension,
+      dataURL,
+      poster: canvas.toDataURL('image/jpeg', CONFIG.PHOTOS.QUALITY)
+    };
+  }
+
+  scaleFrame(source, maxDimension) {
+    const scale = Math.min(1, maxDimension / Math.max(source.width, source.height));
+    const width = Math.round(source.width * scale);
+    const height = Math.round(source.height * scale);
+
+    if (!this.frameCanvas) {
+      this.frameCanvas = document.createElement('canvas');
+    }
+    this.frameCanvas.width = width;
+    this.frameCanvas.height = height;
+
+    const ctx = this.frameCanvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+  }
+
+  drawImageCover(ctx, img, x, y, width, height) {
+    // Crop the source to the target aspect ratio, keeping it centered
+    const targetAR = width / height;
+    let sw = img.width;
+    let sh = Math.round(img.width / targetAR);
+
+    if (sh > img.height) {
+      sh = img.height;
+      sw = Math.round(img.height * targetAR);
+    }
+
+    const sx = Math.floor((img.width - sw) / 2);
+    const sy = Math.floor((img.height - sh) / 2);
+    ctx.drawImage(img, sx, sy, sw, sh, x, y, width, height);
+  }
+
   startCountdown() {
     return new Promise((resolve) => {
       let count = CONFIG.UI.COUNTDOWN_DURATION;
       
       const updateCountdown = () => {
-        if (this.elements.countdown) {
-          Utils.setTextContent(this.elements.countdown, count > 0 ? count.toString() : '📸');
-          this.elements.countdown.style.display = 'block';
-        }
+        this.showCountdown(count > 0 ? count.toString() : '📸');
         
         if (count > 0) {
           count--;
           this.countdownTimer = setTimeout(updateCountdown, CONFIG.UI.COUNTDOWN_INTERVAL);
         } else {
           setTimeout(() => {
-            if (this.elements.countdown) {
-              this.elements.countdown.style.display = 'none';
-            }
+            this.hideCountdown();
             resolve();
           }, 200);
         }
@@ -357,6 +951,19 @@ class PhotoboothController {
     });
   }
 
+  showCountdown(text) {
+    if (this.elements.countdown) {
+      Utils.setTextContent(this.elements.countdown, text);
+      this.elements.countdown.classList.add('show');
+    }
+  }
+
+  hideCountdown() {
+    if (this.elements.countdown) {
+      this.elements.countdown.classList.remove('show');
+    }
+  }
+
   async compositeImage(photoDataURL) {
     const canvas = this.elements.canvas;
     const ctx = canvas.getContext('2d');
@@ -370,60 +977,206 @@ class PhotoboothController {
     
     // Draw the photo
     ctx.drawImage(photoImg, 0, 0);
+
+    // Place anchored props on the faces in this exact frame
+    await this.trackFacesForCapture(canvas);
     
+    // Draw overlay and props
+    const overlayImg = await this.loadOverlayImage();
+    this.drawOverlayAndProps(ctx, canvas.width, canvas.height, overlayImg);
+  }
+
+  async loadOverlayImage() {
+    if (!this.currentOverlay) return null;
+
+    try {
+      return await Utils.loadImage(this.currentOverlay.src);
+    } catch (error) {
+      Utils.logError('PhotoboothController.loadOverlayImage', error);
+      return null;
+    }
+  }
+
+  drawOverlayAndProps(ctx, width, height, overlayImg) {
     // Draw overlay if selected
-    if (this.currentOverlay) {
-      try {
-        const overlayImg = await Utils.loadImage(this.currentOverlay.src);
-        ctx.drawImage(overlayImg, 0, 0, canvas.width, canvas.height);
-      } catch (error) {
-        Utils.logError('PhotoboothController.compositeImage.overlay', error);
-      }
+    if (overlayImg) {
+      ctx.drawImage(overlayImg, 0, 0, width, height);
     }
     
+    // Prop sizes are in live preview pixels; map them onto the output size
+    const previewWidth = this.getPreviewWidth();
+    const ratio = previewWidth ? width / previewWidth : 1;
+
     // Draw props
     for (const prop of this.props) {
       try {
-        const x = prop.x * canvas.width - (prop.width * prop.scale) / 2;
-        const y = prop.y * canvas.height - (prop.height * prop.scale) / 2;
-        
+        const scale = prop.scale * ratio;
+
         ctx.save();
-        ctx.translate(x + (prop.width * prop.scale) / 2, y + (prop.height * prop.scale) / 2);
+        ctx.globalAlpha = prop.opacity;
+        ctx.translate(prop.x * width, prop.y * height);
         ctx.rotate(prop.rotation);
-        ctx.scale(prop.scale, prop.scale);
+        ctx.scale(prop.flipX ? -scale : scale, scale);
         ctx.drawImage(prop.img, -prop.width / 2, -prop.height / 2, prop.width, prop.height);
         ctx.restore();
       } catch (error) {
-        Utils.logError('PhotoboothController.compositeImage.prop', error);
+        Utils.logError('PhotoboothController.drawOverlayAndProps', error);
       }
     }
   }
 
-  showPreview() {
-    const dataURL = this.elements.canvas.toDataURL('image/png', CONFIG.PHOTOS.QUALITY);
+  canvasCapture() {
+    return {
+      type: 'image/png',
+      extension: 'png',
+      dataURL: this.elements.canvas.toDataURL('image/png', CONFIG.PHOTOS.QUALITY)
+    };
+  }
+
+  showPreview(capture = this.canvasCapture()) {
+    this.lastCapture = capture;
+    const isVideo = capture.type.startsWith('video/');
     
     if (this.elements.previewImg) {
-      this.elements.previewImg.src = dataURL;
+      this.elements.previewImg.src = isVideo ? (capture.poster || '') : capture.dataURL;
+      this.elements.previewImg.hidden = isVideo && !!this.elements.previewVideo;
+    }
+
+    if (this.elements.previewVideo) {
+      this.elements.previewVideo.hidden = !isVideo;
+      if (isVideo) {
+        this.elements.previewVideo.src = capture.dataURL;
+        this.elements.previewVideo.play().catch(() => {});
+      } else {
+        this.elements.previewVideo.removeAttribute('src');
+      }
     }
     
-    if (this.elements.preview) {
-      this.elements.preview.hidden = false;
+    if (this.elements.previewNote) {
+      Utils.setTextContent(this.elements.previewNote, new Date().toLocaleString());
+    }
+
+    // Guests can only pick up photos by QR when there is a gallery to upload to
+    if (this.elements.phoneBtn) {
+      this.elements.phoneBtn.hidden = !Uploads.canDeliver();
+    }
+    if (this.elements.delivery) {
+      this.elements.delivery.hidden = true;
+    }
+    if (this.elements.sendBtn) {
+      this.elements.sendBtn.hidden = !Deliveries.isEnabled();
+      this.showSendForm(false);
+    }
+    
+    const preview = this.elements.preview;
+    if (preview) {
+      if (typeof preview.showModal === 'function') {
+        if (!preview.open) preview.showModal();
+      } else {
+        preview.hidden = false;
+      }
+    }
+  }
+
+  isPreviewOpen() {
+    const preview = this.elements.preview;
+    if (!preview) return false;
+    return typeof preview.showModal === 'function' ? preview.open : !preview.hidden;
+  }
+
+  /**
+   * Check there's a shot left to spend before saving or sharing the capture
+   * @returns {boolean} - False if the session has no shots left
+   */
+  canChargeCapture() {
+    if (this.captureCharged) return true;
+
+    if (Session.getShotsRemaining() <= 0) {
+      this.handleOutOfShots();
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Spend a shot on the capture once it has been saved or shared; a failed save or a
+   * cancelled share costs nothing, and keeping the same capture again only costs once
+   */
+  chargeCapture() {
+    if (this.captureCharged) return;
+
+    const remaining = Session.useShot();
+    this.captureCharged = true;
+    this.updateShotsDisplay();
+
+    if (Number.isFinite(remaining)) {
+      Utils.showToast(`${remaining} shot${remaining === 1 ? '' : 's'} left`, 'ok');
+    }
+  }
+
+  updateShotsDisplay() {
+    const pill = this.elements.shotsPill;
+    if (!pill) return;
+
+    const remaining = Session.getShotsRemaining();
+    pill.hidden = !Number.isFinite(remaining);
+    Utils.setTextContent(pill, `${Session.isCreditSession() ? 'Credits' : 'Shots'}: ${remaining}`);
+  }
+
+  /**
+   * Offer to end the session once its shots or credits are used up
+   */
+  handleOutOfShots() {
+    const message = Session.isCreditSession()
+      ? 'No credits left on this account. Ask staff to top up in Settings, or end the session now?'
+      : 'No shots left on this ticket. End the session now?';
+
+    if (confirm(message)) {
+      Session.endSession();
+      window.location.href = 'login.html';
     }
   }
 
+  /**
+   * Save the capture in the preview to the library and queue it for upload
+   * Saving the same capture again returns the first copy.
+   * @returns {Promise<Object|null>} - Saved photo, or null if it couldn't be stored
+   */
+  async storeCapture() {
+    if (this.savedPhoto) return this.savedPhoto;
+
+    const capture = this.lastCapture || this.canvasCapture();
+    const timestamp = Date.now();
+    const photo = {
+      id: Utils.generateUUID(),
+      code: UploadQueue.generateCode(),
+      name: `photobooth-${timestamp}.${capture.extension}`,
+      dataURL: capture.dataURL,
+      type: capture.type,
+      poster: capture.poster,
+      timestamp: timestamp,
+      session: Session.getCurrentSession()?.id
+    };
+
+    if (!await Storage.addPhoto(photo)) return null;
+
+    Uploads.enqueue(photo, {
+      capturedAt: new Date(timestamp).toISOString(),
+      sessionType: Session.getCurrentSession()?.type || null,
+      app: CONFIG.APP.VERSION
+    });
+    this.savedPhoto = photo;
+    return photo;
+  }
+
   async savePhoto() {
+    if (!this.canChargeCapture()) return;
+
     try {
-      const dataURL = this.elements.canvas.toDataURL('image/png', CONFIG.PHOTOS.QUALITY);
-      const photo = {
-        id: Utils.generateUUID(),
-        dataURL: dataURL,
-        timestamp: Date.now(),
-        session: Session.getCurrentSession()?.id
-      };
-      
-      const success = Storage.addPhoto(photo);
-      if (success) {
-        Utils.showToast('Photo saved successfully', 'ok');
+      const photo = await this.storeCapture();
+      if (photo) {
+        this.chargeCapture();
+        Utils.showToast(photo.type.startsWith('video/') ? 'Clip saved successfully' : 'Photo saved successfully', 'ok');
       } else {
         Utils.showToast('Failed to save photo', 'warn');
       }
@@ -433,12 +1186,98 @@ class PhotoboothController {
     }
   }
 
+  /**
+   * Save the capture and show a QR code linking to its gallery page, so guests
+   * can take it home on their own phone
+   */
+  async sendToPhone() {
+    if (!this.canChargeCapture()) return;
+
+    try {
+      const photo = await this.storeCapture();
+      const link = photo && Uploads.getDeliveryLink(photo);
+      if (!link) {
+        Utils.showToast('Failed to save photo', 'warn');
+        return;
+      }
+
+      this.elements.deliveryQR.src = QREncoder.toDataURL(link, { scale: 6 });
+      Utils.setTextContent(this.elements.deliveryCode, photo.code);
+      this.elements.delivery.hidden = false;
+      this.chargeCapture();
+    } catch (error) {
+      Utils.showToast('Failed to make QR code', 'warn');
+      Utils.logError('PhotoboothController.sendToPhone', error);
+    }
+  }
+
+  /**
+   * Show or hide the "Send to me" form, clearing what the last guest typed
+   * @param {boolean} show - Whether to show it
+   */
+  showSendForm(show) {
+    const { sendForm, sendContact, sendConsent, sendMarketing } = this.elements;
+    if (!sendForm) return;
+
+    sendContact.value = '';
+    sendConsent.checked = false;
+    sendMarketing.checked = false;
+    sendForm.hidden = !show;
+    if (show) sendContact.focus();
+  }
+
+  /**
+   * Save the capture and queue it to be sent to the email address or phone
+   * number the guest entered, recording their consent
+   */
+  async sendToGuest() {
+    const contact = this.elements.sendContact.value;
+    const consent = this.elements.sendConsent.checked;
+    const marketing = this.elements.sendMarketing.checked;
+
+    // Check the form before a shot is spent on it
+    if (!Deliveries.parseRecipient(contact)) {
+      Utils.showToast('Enter a valid email address or phone number', 'warn');
+      return;
+    }
+    if (!consent) {
+      Utils.showToast('Please tick the box to have your photo sent', 'warn');
+      return;
+    }
+    if (!this.canChargeCapture()) return;
+
+    try {
+      const photo = await this.storeCapture();
+      if (!photo) {
+        Utils.showToast('Failed to save photo', 'warn');
+        return;
+      }
+
+      const result = Deliveries.request(photo, contact, consent, marketing);
+      if (!result.queued) {
+        Utils.showToast(result.error, 'warn');
+        return;
+      }
+
+      this.chargeCapture();
+      this.showSendForm(false);
+      Utils.showToast(result.channel === 'email' ? 'On its way to your inbox' : 'On its way to your phone', 'ok');
+    } catch (error) {
+      Utils.showToast('Failed to send photo', 'warn');
+      Utils.logError('PhotoboothController.sendToGuest', error);
+    }
+  }
+
   async sharePhoto() {
+    if (!this.canChargeCapture()) return;
+
     try {
-      const dataURL = this.elements.canvas.toDataURL('image/png', CONFIG.PHOTOS.QUALITY);
+      const capture = this.lastCapture || this.canvasCapture();
+      const dataURL = capture.dataURL;
+      const filename = `photobooth-${Date.now()}.${capture.extension}`;
       
       if (Utils.isFeatureSupported('shareFiles')) {
-        const file = Utils.dataURLtoFile(dataURL, `photobooth-${Date.now()}.png`);
+        const file = Utils.dataURLtoFile(dataURL, filename);
         await navigator.share({
           files: [file],
           title: 'GLO GANG Photobooth',
@@ -453,20 +1292,35 @@ class PhotoboothController {
       } else {
         // Fallback: download the image
         const link = document.createElement('a');
-        link.download = `photobooth-${Date.now()}.png`;
+        link.download = filename;
         link.href = dataURL;
         link.click();
         Utils.showToast('Photo downloaded', 'ok');
       }
+      this.chargeCapture();
     } catch (error) {
+      // Closing the share sheet isn't a failure, just a change of mind
+      if (error && error.name === 'AbortError') return;
       Utils.showToast('Failed to share photo', 'warn');
       Utils.logError('PhotoboothController.sharePhoto', error);
     }
   }
 
   retakePhoto() {
-    if (this.elements.preview) {
-      this.elements.preview.hidden = true;
+    this.lastCapture = null;
+    this.savedPhoto = null;
+
+    if (this.elements.previewVideo) {
+      this.elements.previewVideo.pause();
+    }
+
+    const preview = this.elements.preview;
+    if (preview) {
+      if (typeof preview.close === 'function') {
+        if (preview.open) preview.close();
+      } else {
+        preview.hidden = true;
+      }
     }
   }
 
@@ -474,19 +1328,30 @@ class PhotoboothController {
     window.location.href = 'index.html';
   }
 
+  endSession() {
+    if (!confirm('End current session?')) return;
+    Session.endSession();
+    window.location.href = 'login.html';
+  }
+
   handleKeyboard(event) {
+    // Leave typing in form fields alone
+    if (event.target.closest && event.target.closest('input, select, textarea')) return;
+
+    const prop = this.selectedProp;
+
     switch (event.key) {
       case ' ':
       case 'Enter':
         event.preventDefault();
-        if (!this.elements.preview?.hidden) {
+        if (this.isPreviewOpen()) {
           this.retakePhoto();
         } else {
           this.capturePhoto();
         }
         break;
       case 'Escape':
-        if (!this.elements.preview?.hidden) {
+        if (this.isPreviewOpen()) {
           this.retakePhoto();
         } else {
           this.goBack();
@@ -498,22 +1363,162 @@ class PhotoboothController {
           this.savePhoto();
         }
         break;
+      case 'z':
+      case 'Z':
+        if (event.ctrlKey || event.metaKey) {
+          event.preventDefault();
+          if (event.shiftKey) {
+            this.redo();
+          } else {
+            this.undo();
+          }
+        }
+        break;
+      case 'y':
+        if (event.ctrlKey || event.metaKey) {
+          event.preventDefault();
+          this.redo();
+        }
+        break;
       case 'Delete':
       case 'Backspace':
-        if (this.selectedProp) {
-          this.removeProp(this.selectedProp);
+        if (prop) {
+          this.removeProp(prop);
         }
         break;
+      case ']':
+        if (prop) this.bringPropForward(prop);
+        break;
+      case '[':
+        if (prop) this.sendPropBackward(prop);
+        break;
+      case 'd':
+        if (prop && !event.ctrlKey && !event.metaKey) this.duplicateProp(prop);
+        break;
+      case 'f':
+        if (prop) this.flipProp(prop);
+        break;
+      case 'l':
+        if (prop) this.togglePropLock(prop);
+        break;
+      case '-':
+        if (prop) this.setPropOpacity(prop, prop.opacity - 0.1);
+        break;
+      case '=':
+      case '+':
+        if (prop) this.setPropOpacity(prop, prop.opacity + 0.1);
+        break;
     }
   }
 
-  removeProp(prop) {
+  selectProp(prop) {
+    this.selectedProp = prop;
+    this.updatePropToolbar();
+  }
+
+  updatePropToolbar() {
+    const prop = this.selectedProp;
+
+    ['propForwardBtn', 'propBackwardBtn', 'propDuplicateBtn', 'propFlipBtn', 'propLockBtn', 'propOpacity', 'deletePropBtn']
+      .forEach(key => {
+        if (this.elements[key]) this.elements[key].disabled = !prop;
+      });
+    if (this.elements.deletePropBtn) {
+      this.elements.deletePropBtn.disabled = !prop || prop.locked;
+    }
+
+    if (this.elements.propLockBtn) {
+      Utils.setTextContent(this.elements.propLockBtn, prop && prop.locked ? 'Unlock' : 'Lock');
+      this.elements.propLockBtn.classList.toggle('active', !!prop && prop.locked);
+    }
+    if (this.elements.propFlipBtn) {
+      this.elements.propFlipBtn.classList.toggle('active', !!prop && prop.flipX);
+    }
+    if (this.elements.propOpacity) {
+      this.elements.propOpacity.value = String(Math.round((prop ? prop.opacity : 1) * 100));
+    }
+  }
+
+  bringPropForward(prop) {
     const index = this.props.indexOf(prop);
+    if (index < 0 || index === this.props.length - 1) return;
+
+    this.reorderProp(prop, index + 1, 'Bring prop forward');
+    Utils.showToast('Brought forward', 'ok');
+  }
+
+  sendPropBackward(prop) {
+    const index = this.props.indexOf(prop);
+    if (index <= 0) return;
+
+    this.reorderProp(prop, index - 1, 'Send prop backward');
+    Utils.showToast('Sent backward', 'ok');
+  }
+
+  duplicateProp(prop) {
+    const index = this.props.indexOf(prop);
+    if (index < 0) return;
+
+    // Offset the copy so it doesn't hide exactly behind the original
+    const copy = {
+      ...prop,
+      id: Utils.generateUUID(),
+      x: Math.min(1, prop.x + 0.04),
+      y: Math.min(1, prop.y + 0.04),
+      locked: false,
+      faceIndex: prop.anchor ? prop.faceIndex + 1 : 0
+    };
+
+    this.insertProp(copy, index + 1);
+    this.recordPropInsert(copy, 'Duplicate prop');
+    Utils.showToast(`Duplicated: ${prop.name}`, 'ok');
+  }
+
+  flipProp(prop) {
+    if (prop.locked) return;
+    const before = { flipX: prop.flipX };
+    prop.flipX = !prop.flipX;
+    this.updatePropToolbar();
+    this.recordPropChange(prop, 'Flip prop', before);
+  }
+
+  /**
+   * @param {Object} prop - Prop to change
+   * @param {number} opacity - 0.1 to 1
+   * @param {boolean} record - Add an undo step; the slider records one per drag instead
+   */
+  setPropOpacity(prop, opacity, record = true) {
+    const value = parseFloat(opacity);
+    if (isNaN(value)) return;
+
+    const before = { opacity: prop.opacity };
+    prop.opacity = Math.max(0.1, Math.min(1, Math.round(value * 100) / 100));
+    this.updatePropToolbar();
+    if (record) this.recordPropChange(prop, 'Change prop opacity', before);
+  }
+
+  togglePropLock(prop) {
+    const before = { locked: prop.locked };
+    prop.locked = !prop.locked;
+    this.updatePropToolbar();
+    this.recordPropChange(prop, prop.locked ? 'Lock prop' : 'Unlock prop', before);
+    Utils.showToast(prop.locked ? `Locked: ${prop.name}` : `Unlocked: ${prop.name}`, 'ok');
+  }
+
+  removeProp(prop) {
+    // Lock in place also means it can't be deleted by a stray tap or key
+    if (prop.locked) {
+      Utils.showToast(`Unlock ${prop.name} to remove it`, 'warn');
+      return;
+    }
+
+    const index = this.detachProp(prop);
     if (index > -1) {
-      this.props.splice(index, 1);
-      if (this.selectedProp === prop) {
-        this.selectedProp = null;
-      }
+      this.history.push({
+        label: 'Remove prop',
+        undo: () => this.insertProp(prop, index),
+        redo: () => this.detachProp(prop)
+      });
       Utils.showToast('Prop removed', 'ok');
     }
   }
@@ -524,6 +1529,8 @@ class PhotoboothController {
     }
     
     this.camera.destroy();
+    this.videoRecorder.destroy();
+    this.faceTracker.destroy();
     this.gestureHandler.destroy();
   }
 }
@@ -0,0 +1,90 @@
+/**
+ * PIN Dialog
+ * Asks for a staff PIN in a modal with a masked input, instead of window.prompt(),
+ * which shows what's typed to anyone looking at the screen. It can ask who is
+ * entering the PIN first, so only that account's PIN has to be checked.
+ * Styled from the page's .btn classes and colour variables.
+ */
+
+class PinDialog {
+  /**
+   * @param {Object} options - {title, text, accounts: [{id, name}] to choose from, submit: button label}
+   * @returns {Promise<Object|null>} - {accountId, pin}, or null if cancelled
+   */
+  static ask({ title, text = '', accounts = null, submit = 'OK' } = {}) {
+    return new Promise(resolve => {
+      const dialog = Utils.createElement('dialog');
+      dialog.style.cssText = `
+        border:1px solid rgba(255,255,255,.12); border-radius:20px; padding:18px;
+        width:min(92vw, 360px); background:var(--panel, #171a21); color:var(--text, #f6f7fb);
+        box-shadow:0 16px 40px rgba(0,0,0,.5);
+      `;
+      const fieldStyle = `
+        display:block; width:100%; box-sizing:border-box; margin:0 0 12px; padding:12px;
+        border-radius:14px; border:1px solid rgba(255,255,255,.12); background:#0f1320;
+        color:var(--text, #f6f7fb); font:inherit;
+      `;
+
+      const form = Utils.createElement('form');
+      form.method = 'dialog';
+      const heading = Utils.createElement('h2', title);
+      heading.style.margin = '0 0 10px';
+      form.appendChild(heading);
+      if (text) form.appendChild(Utils.createElement('p', text, 'muted'));
+
+      let select = null;
+      if (accounts) {
+        select = Utils.createElement('select');
+        select.required = true;
+        select.setAttribute('aria-label', 'Your name');
+        select.style.cssText = fieldStyle;
+        select.appendChild(new Option('Choose your name', ''));
+        accounts.forEach(account => select.appendChild(new Option(account.name, account.id)));
+        form.appendChild(select);
+      }
+
+      const input = Utils.createElement('input');
+      Object.assign(input, {
+        type: 'password',
+        inputMode: 'numeric',
+        autocomplete: 'off',
+        required: true,
+        maxLength: CONFIG.SECURITY.PIN_LENGTH,
+        pattern: `\\d{${CONFIG.SECURITY.PIN_LENGTH}}`
+      });
+      input.setAttribute('aria-label', 'PIN');
+      input.style.cssText = `${fieldStyle} text-align:center; font-size:28px; font-weight:900; letter-spacing:.3em;`;
+      input.addEventListener('input', () => { input.value = input.value.replace(/\D/g, ''); });
+      form.appendChild(input);
+
+      const buttons = Utils.createElement('div');
+      buttons.style.cssText = 'display:flex; gap:10px; justify-content:flex-end';
+      const cancel = Utils.createElement('button', 'Cancel', 'btn');
+      cancel.type = 'button';
+      cancel.addEventListener('click', () => dialog.close());
+      const ok = Utils.createElement('button', submit, 'btn accent');
+      ok.value = 'ok';
+      buttons.appendChild(cancel);
+      buttons.appendChild(ok);
+      form.appendChild(buttons);
+      dialog.appendChild(form);
+
+      dialog.addEventListener('close', () => {
+        const result = dialog.returnValue === 'ok'
+          ? { accountId: select ? select.value : null, pin: input.value }
+          : null;
+        dialog.remove();
+        resolve(result);
+      });
+
+      document.body.appendChild(dialog);
+      dialog.showModal();
+      (select || input).focus();
+    });
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PinDialog;
+}
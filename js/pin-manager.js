@@ -0,0 +1,141 @@
+/**
+ * PIN Manager
+ * Salted PBKDF2-SHA256 PIN hashing and a failed-attempt lockout that is kept in
+ * storage so reloading the page doesn't reset it. Staff accounts use these to
+ * store and check their PINs.
+ */
+
+class PinManager {
+  /**
+   * Check if WebCrypto hashing is available (requires HTTPS or localhost)
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  /**
+   * Check a new PIN before saving it
+   * @param {string} pin - Proposed PIN
+   * @returns {string|null} - Problem with the PIN, or null if it's acceptable
+   */
+  validateNewPin(pin) {
+    if (typeof pin !== 'string' || !new RegExp(`^\\d{${CONFIG.SECURITY.PIN_LENGTH}}$`).test(pin)) {
+      return `PIN must be exactly ${CONFIG.SECURITY.PIN_LENGTH} digits.`;
+    }
+    if (pin === CONFIG.SECURITY.DEFAULT_PIN) {
+      return `Choose a PIN other than ${CONFIG.SECURITY.DEFAULT_PIN}.`;
+    }
+    return null;
+  }
+
+  /**
+   * Hash a PIN with a new random salt
+   * @param {string} pin - PIN
+   * @returns {Promise<Object>} - {salt, hash, iterations}
+   */
+  async createRecord(pin) {
+    const salt = PinManager.toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const iterations = CONFIG.SECURITY.PIN_HASH_ITERATIONS;
+    return { salt, hash: await this.hash(pin, salt, iterations), iterations };
+  }
+
+  /**
+   * Check a PIN against a stored record
+   * @param {string} pin - Entered PIN
+   * @param {Object|string} record - {salt, hash, iterations}, or a legacy plain-text PIN
+   * @returns {Promise<boolean>}
+   */
+  async matches(pin, record) {
+    pin = String(pin || '');
+    if (typeof record === 'string') {
+      return PinManager.constantTimeEqual(pin, record);
+    }
+    const hash = await this.hash(pin, record.salt, record.iterations || CONFIG.SECURITY.PIN_HASH_ITERATIONS);
+    return PinManager.constantTimeEqual(hash, record.hash);
+  }
+
+  /**
+   * Count a failed attempt and start a lockout once the free attempts are used;
+   * each further failure doubles it
+   * @returns {number} - Lockout length in milliseconds, 0 if not locked
+   */
+  recordFailure() {
+    const lockout = Storage.getPinLockout();
+    lockout.failures++;
+
+    const over = lockout.failures - CONFIG.SECURITY.MAX_LOGIN_ATTEMPTS;
+    const duration = over >= 0
+      ? Math.min(CONFIG.SECURITY.PIN_LOCKOUT_BASE * Math.pow(2, over), CONFIG.SECURITY.PIN_LOCKOUT_MAX)
+      : 0;
+    lockout.lockedUntil = duration ? Date.now() + duration : 0;
+
+    Storage.setPinLockout(lockout);
+    return duration;
+  }
+
+  /**
+   * Reset the failure count after a correct PIN
+   */
+  clearFailures() {
+    Storage.setPinLockout({ failures: 0, lockedUntil: 0 });
+  }
+
+  /**
+   * @returns {number} - Milliseconds until PIN entry is allowed again
+   */
+  getLockRemaining() {
+    return Math.max(0, Storage.getPinLockout().lockedUntil - Date.now());
+  }
+
+  /**
+   * Derive the PBKDF2 hash of a PIN
+   * @param {string} pin - PIN
+   * @param {string} salt - Hex salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<string>} - Hex hash
+   */
+  async hash(pin, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: PinManager.fromHex(salt), iterations, hash: 'SHA-256' },
+      key,
+      256
+    );
+    return PinManager.toHex(new Uint8Array(bits));
+  }
+
+  static describeLockout(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    const wait = seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds}s`;
+    return `Too many attempts. Try again in ${wait}.`;
+  }
+
+  /**
+   * Compare strings without stopping at the first difference
+   */
+  static constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  static toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  static fromHex(hex) {
+    return Uint8Array.from(hex.match(/../g) || [], pair => parseInt(pair, 16));
+  }
+}
+
+// Create global PIN manager instance
+const Pin = new PinManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PinManager;
+}
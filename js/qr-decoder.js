@@ -0,0 +1,1060 @@
+/**
+ * QR Decoder
+ * Pure JavaScript QR code reader for browsers without BarcodeDetector (iPad Safari).
+ * Self-contained - no CONFIG or Utils - so it also runs inside js/qr-worker.js.
+ */
+
+// Error correction per block and block count, indexed [level][version - 1] with levels in L, M, Q, H order
+const QR_EC_CODEWORDS_PER_BLOCK = [
+  [7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const QR_EC_BLOCKS = [
+  [1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+// Format info stores levels as M=0, L=1, H=2, Q=3; map to the table order above
+const QR_FORMAT_LEVELS = [1, 0, 3, 2];
+const QR_ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+class QRDecoder {
+  /**
+   * Decode the first QR code found in an image
+   * @param {ImageData|Object} image - {data, width, height} RGBA pixels
+   * @returns {string|null} - Decoded text or null if no readable code was found
+   */
+  static decode(image) {
+    const matrix = QRDecoder.binarize(image.data, image.width, image.height);
+    const finders = QRDecoder.locateFinders(matrix);
+    if (!finders) return null;
+
+    for (const dimension of QRDecoder.estimateDimensions(finders)) {
+      for (const transform of QRDecoder.buildTransforms(matrix, finders, dimension)) {
+        const grid = QRDecoder.sampleGrid(matrix, transform, dimension);
+
+        // A mirrored code (selfie camera) reads correctly once transposed
+        const text = QRDecoder.decodeGrid(grid, dimension) ||
+          QRDecoder.decodeGrid(QRDecoder.transpose(grid, dimension), dimension);
+        if (text !== null) return text;
+      }
+    }
+
+    return null;
+  }
+
+  // Binarization
+
+  /**
+   * Threshold against the local average so uneven lighting doesn't wash out modules
+   * @returns {BitMatrix} - true = dark
+   */
+  static binarize(data, width, height) {
+    const gray = new Uint8Array(width * height);
+    for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+      gray[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+    }
+
+    const block = 8;
+    const blocksX = Math.ceil(width / block);
+    const blocksY = Math.ceil(height / block);
+    const blackPoints = new Float32Array(blocksX * blocksY);
+    const flat = new Uint8Array(blocksX * blocksY);
+
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        let sum = 0;
+        let count = 0;
+        let min = 255;
+        let max = 0;
+
+        for (let y = by * block; y < Math.min(height, (by + 1) * block); y++) {
+          for (let x = bx * block; x < Math.min(width, (bx + 1) * block); x++) {
+            const value = gray[y * width + x];
+            sum += value;
+            count++;
+            if (value < min) min = value;
+            if (value > max) max = value;
+          }
+        }
+
+        let average = sum / count;
+        if (max - min <= 24) {
+          flat[by * blocksX + bx] = 1;
+          // Flat block: assume it's light unless its neighbours say otherwise
+          average = min / 2;
+          if (by > 0 && bx > 0) {
+            const neighbours = (
+              blackPoints[(by - 1) * blocksX + bx] +
+              2 * blackPoints[by * blocksX + bx - 1] +
+              blackPoints[(by - 1) * blocksX + bx - 1]
+            ) / 4;
+            if (min < neighbours) average = neighbours;
+          }
+        }
+        blackPoints[by * blocksX + bx] = average;
+      }
+    }
+
+    const matrix = new BitMatrix(width, height);
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        // Only blocks with real contrast set the threshold. A flat block's guess would
+        // drag it under the dark modules of a low-contrast code, so it only decides
+        // when nothing around it has contrast.
+        let sum = 0;
+        let count = 0;
+        let flatSum = 0;
+        let flatCount = 0;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            const ny = by + dy;
+            const nx = bx + dx;
+            if (ny >= 0 && ny < blocksY && nx >= 0 && nx < blocksX) {
+              const index = ny * blocksX + nx;
+              if (flat[index]) {
+                flatSum += blackPoints[index];
+                flatCount++;
+              } else {
+                sum += blackPoints[index];
+                count++;
+              }
+            }
+          }
+        }
+        const threshold = count ? sum / count : flatSum / flatCount;
+
+        for (let y = by * block; y < Math.min(height, (by + 1) * block); y++) {
+          for (let x = bx * block; x < Math.min(width, (bx + 1) * block); x++) {
+            matrix.set(x, y, gray[y * width + x] <= threshold);
+          }
+        }
+      }
+    }
+
+    return matrix;
+  }
+
+  // Finder patterns
+
+  /**
+   * Find the three finder patterns
+   * @param {BitMatrix} matrix - Binarized image
+   * @returns {Object|null} - {topLeft, topRight, bottomLeft} with x, y and module size
+   */
+  static locateFinders(matrix) {
+    const centers = [];
+
+    for (let y = 0; y < matrix.height; y += 2) {
+      const state = [0, 0, 0, 0, 0];
+      let current = 0;
+
+      for (let x = 0; x < matrix.width; x++) {
+        if (matrix.get(x, y)) {
+          if (current & 1) current++;
+          state[current]++;
+        } else if (current & 1) {
+          state[current]++;
+        } else if (current === 4) {
+          if (QRDecoder.isFinderRatio(state)) {
+            QRDecoder.addFinderCenter(matrix, centers, state, x, y);
+            state.fill(0);
+            current = 0;
+          } else {
+            // Keep the last dark-light-dark and look for the rest of a pattern
+            state[0] = state[2];
+            state[1] = state[3];
+            state[2] = state[4];
+            state[3] = 1;
+            state[4] = 0;
+            current = 3;
+          }
+        } else {
+          current++;
+          state[current]++;
+        }
+      }
+
+      if (current === 4 && QRDecoder.isFinderRatio(state)) {
+        QRDecoder.addFinderCenter(matrix, centers, state, matrix.width, y);
+      }
+    }
+
+    return QRDecoder.selectFinders(centers);
+  }
+
+  /**
+   * Check for the 1:1:3:1:1 run ratio of a finder pattern
+   * @param {number[]} state - Run lengths
+   * @returns {boolean}
+   */
+  static isFinderRatio(state) {
+    let total = 0;
+    for (const count of state) {
+      if (!count) return false;
+      total += count;
+    }
+    if (total < 7) return false;
+
+    const module = total / 7;
+    const variance = module / 2;
+    return Math.abs(module - state[0]) < variance &&
+      Math.abs(module - state[1]) < variance &&
+      Math.abs(3 * module - state[2]) < 3 * variance &&
+      Math.abs(module - state[3]) < variance &&
+      Math.abs(module - state[4]) < variance;
+  }
+
+  static addFinderCenter(matrix, centers, state, endX, y) {
+    const total = state.reduce((a, b) => a + b, 0);
+    let centerX = endX - state[4] - state[3] - state[2] / 2;
+
+    const centerY = QRDecoder.crossCheck(matrix, Math.floor(centerX), y, state[2], total, true);
+    if (centerY === null) return;
+
+    centerX = QRDecoder.crossCheck(matrix, Math.floor(centerX), Math.floor(centerY), state[2], total, false);
+    if (centerX === null) return;
+
+    const module = total / 7;
+    const existing = centers.find(c =>
+      Math.abs(c.x - centerX) <= module &&
+      Math.abs(c.y - centerY) <= module &&
+      Math.abs(c.module - module) <= Math.max(1, c.module)
+    );
+
+    if (existing) {
+      const n = existing.count;
+      existing.x = (existing.x * n + centerX) / (n + 1);
+      existing.y = (existing.y * n + centerY) / (n + 1);
+      existing.module = (existing.module * n + module) / (n + 1);
+      existing.count++;
+    } else {
+      centers.push({ x: centerX, y: centerY, module, count: 1 });
+    }
+  }
+
+  /**
+   * Confirm a finder pattern along the other axis and return its centre on that axis
+   * @returns {number|null}
+   */
+  static crossCheck(matrix, x, y, maxCount, originalTotal, vertical) {
+    const limit = vertical ? matrix.height : matrix.width;
+    const at = vertical ? i => matrix.get(x, i) : i => matrix.get(i, y);
+    const start = vertical ? y : x;
+    const state = [0, 0, 0, 0, 0];
+
+    let i = start;
+    while (i >= 0 && at(i)) { state[2]++; i--; }
+    if (i < 0) return null;
+    while (i >= 0 && !at(i) && state[1] <= maxCount) { state[1]++; i--; }
+    if (i < 0 || state[1] > maxCount) return null;
+    while (i >= 0 && at(i) && state[0] <= maxCount) { state[0]++; i--; }
+    if (state[0] > maxCount) return null;
+
+    i = start + 1;
+    while (i < limit && at(i)) { state[2]++; i++; }
+    if (i === limit) return null;
+    while (i < limit && !at(i) && state[3] < maxCount) { state[3]++; i++; }
+    if (i === limit || state[3] >= maxCount) return null;
+    while (i < limit && at(i) && state[4] < maxCount) { state[4]++; i++; }
+    if (state[4] >= maxCount) return null;
+
+    const total = state.reduce((a, b) => a + b, 0);
+    if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal) return null;
+
+    return QRDecoder.isFinderRatio(state) ? i - state[4] - state[3] - state[2] / 2 : null;
+  }
+
+  /**
+   * Pick the three centres that best form a right isosceles triangle and orient them
+   * @param {Array} centers - Candidate centres
+   * @returns {Object|null}
+   */
+  static selectFinders(centers) {
+    let candidates = centers.filter(c => c.count >= 2);
+    if (candidates.length < 3) candidates = centers;
+    if (candidates.length < 3) return null;
+
+    candidates = candidates.sort((a, b) => b.count - a.count).slice(0, 10);
+
+    let best = null;
+    let bestScore = Infinity;
+
+    for (let i = 0; i < candidates.length - 2; i++) {
+      for (let j = i + 1; j < candidates.length - 1; j++) {
+        for (let k = j + 1; k < candidates.length; k++) {
+          const triple = [candidates[i], candidates[j], candidates[k]];
+          const modules = triple.map(c => c.module);
+          const spread = (Math.max(...modules) - Math.min(...modules)) / Math.max(...modules);
+          if (spread > 0.5) continue;
+
+          const [a, b, c] = [
+            QRDecoder.distance(triple[0], triple[1]),
+            QRDecoder.distance(triple[1], triple[2]),
+            QRDecoder.distance(triple[0], triple[2])
+          ].sort((p, q) => p - q);
+
+          // Centres of the smallest code are 14 modules apart
+          const module = (modules[0] + modules[1] + modules[2]) / 3;
+          if (a < module * 10) continue;
+
+          const score = Math.abs(c * c - (a * a + b * b)) / (c * c) + Math.abs(a - b) / b + spread;
+          if (score < bestScore) {
+            bestScore = score;
+            best = triple;
+          }
+        }
+      }
+    }
+
+    if (!best) return null;
+
+    // Top-left sits opposite the longest side
+    const d01 = QRDecoder.distance(best[0], best[1]);
+    const d12 = QRDecoder.distance(best[1], best[2]);
+    const d02 = QRDecoder.distance(best[0], best[2]);
+    let topLeft;
+    let others;
+    if (d12 >= d01 && d12 >= d02) {
+      topLeft = best[0];
+      others = [best[1], best[2]];
+    } else if (d02 >= d01) {
+      topLeft = best[1];
+      others = [best[0], best[2]];
+    } else {
+      topLeft = best[2];
+      others = [best[0], best[1]];
+    }
+
+    let [topRight, bottomLeft] = others;
+    const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) -
+      (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+    if (cross < 0) {
+      [topRight, bottomLeft] = [bottomLeft, topRight];
+    }
+
+    return { topLeft, topRight, bottomLeft };
+  }
+
+  /**
+   * Likely symbol sizes, best guess first
+   * @returns {number[]} - Module counts per side
+   */
+  static estimateDimensions({ topLeft, topRight, bottomLeft }) {
+    // Module size comes from horizontal runs, which a rotated symbol stretches
+    const angle = Math.atan2(topRight.y - topLeft.y, topRight.x - topLeft.x);
+    const stretch = Math.max(Math.abs(Math.cos(angle)), Math.abs(Math.sin(angle)));
+    const module = (topLeft.module + topRight.module + bottomLeft.module) / 3 * stretch;
+    const span = (QRDecoder.distance(topLeft, topRight) + QRDecoder.distance(topLeft, bottomLeft)) / 2;
+    const raw = Math.round(span / module) + 7;
+
+    // Valid sizes are 17 + 4 * version
+    const base = raw + [1, 0, -1, 2][raw & 3];
+    return [base, base - 4, base + 4, base - 8, base + 8]
+      .filter(size => size >= 21 && size <= 177);
+  }
+
+  // Sampling
+
+  /**
+   * Perspective transforms from module space to image space, most precise first
+   * @returns {Function[]}
+   */
+  static buildTransforms(matrix, { topLeft, topRight, bottomLeft }, dimension) {
+    const bottomRight = {
+      x: topRight.x - topLeft.x + bottomLeft.x,
+      y: topRight.y - topLeft.y + bottomLeft.y
+    };
+    const transforms = [];
+
+    if (dimension > 21) {
+      // The bottom-right alignment pattern fixes perspective that three finders can't
+      const module = (topLeft.module + topRight.module + bottomLeft.module) / 3;
+      const axes = {
+        x: { x: (topRight.x - topLeft.x) / (dimension - 7), y: (topRight.y - topLeft.y) / (dimension - 7) },
+        y: { x: (bottomLeft.x - topLeft.x) / (dimension - 7), y: (bottomLeft.y - topLeft.y) / (dimension - 7) }
+      };
+      const correction = 1 - 3 / (dimension - 7);
+      const estimate = {
+        x: topLeft.x + correction * (bottomRight.x - topLeft.x),
+        y: topLeft.y + correction * (bottomRight.y - topLeft.y)
+      };
+
+      for (const allowance of [4, 8, 16]) {
+        const alignment = QRDecoder.findAlignment(matrix, estimate, module, allowance, axes);
+        if (alignment) {
+          transforms.push(QRDecoder.perspective(
+            [[3.5, 3.5], [dimension - 3.5, 3.5], [dimension - 6.5, dimension - 6.5], [3.5, dimension - 3.5]],
+            [[topLeft.x, topLeft.y], [topRight.x, topRight.y], [alignment.x, alignment.y], [bottomLeft.x, bottomLeft.y]]
+          ));
+          break;
+        }
+      }
+    }
+
+    transforms.push(QRDecoder.perspective(
+      [[3.5, 3.5], [dimension - 3.5, 3.5], [dimension - 3.5, dimension - 3.5], [3.5, dimension - 3.5]],
+      [[topLeft.x, topLeft.y], [topRight.x, topRight.y], [bottomRight.x, bottomRight.y], [bottomLeft.x, bottomLeft.y]]
+    ));
+
+    return transforms.filter(Boolean);
+  }
+
+  /**
+   * Find the alignment pattern (a dark module in a light ring) near its expected position
+   * @param {Object} axes - One-module steps along the symbol's x and y axes
+   * @returns {Object|null} - {x, y}
+   */
+  static findAlignment(matrix, estimate, module, allowance, axes) {
+    const radius = allowance * module;
+    const left = Math.max(0, Math.floor(estimate.x - radius));
+    const right = Math.min(matrix.width - 1, Math.ceil(estimate.x + radius));
+    const top = Math.max(0, Math.floor(estimate.y - radius));
+    const bottom = Math.min(matrix.height - 1, Math.ceil(estimate.y + radius));
+    if (right - left < module * 3 || bottom - top < module * 3) return null;
+
+    const near = length => Math.abs(length - module) < module * 0.7;
+    let best = null;
+    let bestScore = Infinity;
+
+    for (let y = top; y <= bottom; y++) {
+      // Runs of equal colour along the row
+      const runs = [];
+      for (let x = left; x <= right; x++) {
+        const dark = matrix.get(x, y);
+        const last = runs[runs.length - 1];
+        if (last && last.dark === dark) {
+          last.length++;
+        } else {
+          runs.push({ dark, start: x, length: 1 });
+        }
+      }
+
+      for (let i = 1; i < runs.length - 1; i++) {
+        const run = runs[i];
+        if (!run.dark || !near(run.length) || !near(runs[i - 1].length) || !near(runs[i + 1].length)) continue;
+
+        const centerX = run.start + run.length / 2;
+        const centerY = QRDecoder.crossCheckAlignment(matrix, Math.floor(centerX), y, module);
+        if (centerY === null) continue;
+
+        // Lone dark data modules look the same along two lines; check the whole 5x5 pattern
+        const candidate = { x: centerX, y: centerY };
+        const mismatches = QRDecoder.alignmentMismatches(matrix, candidate, axes);
+        if (mismatches > 3) continue;
+
+        const score = mismatches * radius + QRDecoder.distance(candidate, estimate);
+        if (score < bestScore) {
+          bestScore = score;
+          best = candidate;
+        }
+      }
+    }
+
+    return best;
+  }
+
+  static crossCheckAlignment(matrix, x, y, module) {
+    const limit = module * 1.7;
+    let top = y;
+    while (top > 0 && matrix.get(x, top - 1)) top--;
+    let bottom = y;
+    while (bottom < matrix.height - 1 && matrix.get(x, bottom + 1)) bottom++;
+
+    const dark = bottom - top + 1;
+    if (dark > limit) return null;
+
+    // Light ring above and below, then the dark outer ring
+    let above = 0;
+    for (let i = top - 1; i >= 0 && !matrix.get(x, i); i--) above++;
+    let below = 0;
+    for (let i = bottom + 1; i < matrix.height && !matrix.get(x, i); i++) below++;
+    if (!above || !below || above > limit || below > limit) return null;
+
+    return (top + bottom + 1) / 2;
+  }
+
+  static alignmentMismatches(matrix, center, axes) {
+    let mismatches = 0;
+    for (let j = -2; j <= 2; j++) {
+      for (let i = -2; i <= 2; i++) {
+        const x = Math.floor(center.x + i * axes.x.x + j * axes.y.x);
+        const y = Math.floor(center.y + i * axes.x.y + j * axes.y.y);
+        if (x < 0 || y < 0 || x >= matrix.width || y >= matrix.height) return Infinity;
+
+        const expectDark = Math.max(Math.abs(i), Math.abs(j)) !== 1;
+        if (matrix.get(x, y) !== expectDark) mismatches++;
+      }
+    }
+    return mismatches;
+  }
+
+  /**
+   * Solve the homography mapping four source points onto four destination points
+   * @returns {Function|null} - (x, y) => {x, y}
+   */
+  static perspective(src, dst) {
+    const a = [];
+    const b = [];
+    for (let i = 0; i < 4; i++) {
+      const [u, v] = src[i];
+      const [x, y] = dst[i];
+      a.push([u, v, 1, 0, 0, 0, -u * x, -v * x]);
+      b.push(x);
+      a.push([0, 0, 0, u, v, 1, -u * y, -v * y]);
+      b.push(y);
+    }
+
+    const h = QRDecoder.solve(a, b);
+    if (!h) return null;
+
+    return (u, v) => {
+      const w = h[6] * u + h[7] * v + 1;
+      return {
+        x: (h[0] * u + h[1] * v + h[2]) / w,
+        y: (h[3] * u + h[4] * v + h[5]) / w
+      };
+    };
+  }
+
+  /**
+   * Gaussian elimination with partial pivoting
+   * @returns {number[]|null}
+   */
+  static solve(a, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+      if (Math.abs(a[pivot][col]) < 1e-12) return null;
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+      [b[col], b[pivot]] = [b[pivot], b[col]];
+
+      for (let row = col + 1; row < n; row++) {
+        const factor = a[row][col] / a[col][col];
+        for (let k = col; k < n; k++) a[row][k] -= factor * a[col][k];
+        b[row] -= factor * b[col];
+      }
+    }
+
+    const x = new Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = b[row];
+      for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+      x[row] = sum / a[row][row];
+    }
+    return x;
+  }
+
+  static sampleGrid(matrix, transform, dimension) {
+    const grid = new Uint8Array(dimension * dimension);
+    for (let y = 0; y < dimension; y++) {
+      for (let x = 0; x < dimension; x++) {
+        const point = transform(x + 0.5, y + 0.5);
+        const px = Math.floor(point.x);
+        const py = Math.floor(point.y);
+        if (px >= 0 && py >= 0 && px < matrix.width && py < matrix.height && matrix.get(px, py)) {
+          grid[y * dimension + x] = 1;
+        }
+      }
+    }
+    return grid;
+  }
+
+  static transpose(grid, dimension) {
+    const result = new Uint8Array(grid.length);
+    for (let y = 0; y < dimension; y++) {
+      for (let x = 0; x < dimension; x++) {
+        result[x * dimension + y] = grid[y * dimension + x];
+      }
+    }
+    return result;
+  }
+
+  // Symbol decoding
+
+  /**
+   * Decode a sampled module grid
+   * @param {Uint8Array} grid - dimension x dimension, 1 = dark
+   * @param {number} dimension - Modules per side
+   * @returns {string|null}
+   */
+  static decodeGrid(grid, dimension) {
+    const get = (x, y) => grid[y * dimension + x];
+
+    const format = QRDecoder.readFormat(get, dimension);
+    if (!format) return null;
+
+    let version = (dimension - 17) / 4;
+    if (version >= 7) {
+      const read = QRDecoder.readVersion(get, dimension);
+      if (read && read !== version) return null;
+    }
+
+    const isFunction = QRDecoder.functionPatterns(version, dimension);
+    const codewords = QRDecoder.readCodewords(get, isFunction, format.mask, version, dimension);
+    const data = QRDecoder.correctErrors(codewords, version, format.level);
+    if (!data) return null;
+
+    return QRDecoder.decodeSegments(data, version);
+  }
+
+  static readFormat(get, dimension) {
+    let first = 0;
+    let second = 0;
+
+    for (let i = 0; i <= 5; i++) first |= get(8, i) << i;
+    first |= get(8, 7) << 6;
+    first |= get(8, 8) << 7;
+    first |= get(7, 8) << 8;
+    for (let i = 9; i < 15; i++) first |= get(14 - i, 8) << i;
+
+    for (let i = 0; i < 8; i++) second |= get(dimension - 1 - i, 8) << i;
+    for (let i = 8; i < 15; i++) second |= get(8, dimension - 15 + i) << i;
+
+    let best = null;
+    let bestDistance = 4;
+    for (let data = 0; data < 32; data++) {
+      let rem = data;
+      for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+      const code = ((data << 10) | rem) ^ 0x5412;
+
+      const distance = Math.min(QRDecoder.bitCount(code ^ first), QRDecoder.bitCount(code ^ second));
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = { level: QR_FORMAT_LEVELS[data >> 3], mask: data & 7 };
+      }
+    }
+
+    return best;
+  }
+
+  static readVersion(get, dimension) {
+    let first = 0;
+    let second = 0;
+    for (let i = 0; i < 18; i++) {
+      const a = dimension - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      first |= get(a, b) << i;
+      second |= get(b, a) << i;
+    }
+
+    let best = null;
+    let bestDistance = 4;
+    for (let version = 7; version <= 40; version++) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const code = (version << 12) | rem;
+
+      const distance = Math.min(QRDecoder.bitCount(code ^ first), QRDecoder.bitCount(code ^ second));
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = version;
+      }
+    }
+
+    return best;
+  }
+
+  static alignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+      positions.splice(1, 0, pos);
+    }
+    return positions;
+  }
+
+  static functionPatterns(version, dimension) {
+    const isFunction = new Uint8Array(dimension * dimension);
+    const mark = (left, top, width, height) => {
+      for (let y = top; y < top + height; y++) {
+        for (let x = left; x < left + width; x++) {
+          isFunction[y * dimension + x] = 1;
+        }
+      }
+    };
+
+    // Finders with separators and format info
+    mark(0, 0, 9, 9);
+    mark(dimension - 8, 0, 8, 9);
+    mark(0, dimension - 8, 9, 8);
+
+    // Timing patterns
+    mark(6, 0, 1, dimension);
+    mark(0, 6, dimension, 1);
+
+    const positions = QRDecoder.alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        // Skip the three corners taken by finders
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        mark(cx - 2, cy - 2, 5, 5);
+      });
+    });
+
+    if (version >= 7) {
+      mark(dimension - 11, 0, 3, 6);
+      mark(0, dimension - 11, 6, 3);
+    }
+
+    return isFunction;
+  }
+
+  static readCodewords(get, isFunction, mask, version, dimension) {
+    const total = Math.floor(QRDecoder.rawDataModules(version) / 8);
+    const codewords = new Uint8Array(total);
+    const masks = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x, y) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+      (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+    const invert = masks[mask];
+    let bit = 0;
+
+    // Two-module columns zigzag up and down from the right, skipping the vertical timing column
+    for (let right = dimension - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+
+      for (let vert = 0; vert < dimension; vert++) {
+        const y = upward ? dimension - 1 - vert : vert;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (isFunction[y * dimension + x]) continue;
+          if (bit >= total * 8) return codewords;
+
+          let value = get(x, y);
+          if (invert(x, y)) value ^= 1;
+          if (value) codewords[bit >> 3] |= 0x80 >> (bit & 7);
+          bit++;
+        }
+      }
+    }
+
+    return codewords;
+  }
+
+  static rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const count = Math.floor(version / 7) + 2;
+      result -= (25 * count - 10) * count - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  /**
+   * De-interleave blocks and repair them with Reed-Solomon
+   * @returns {Uint8Array|null} - Data codewords
+   */
+  static correctErrors(codewords, version, level) {
+    const ecLength = QR_EC_CODEWORDS_PER_BLOCK[level][version - 1];
+    const blockCount = QR_EC_BLOCKS[level][version - 1];
+    const shortCount = blockCount - (codewords.length % blockCount);
+    const shortLength = Math.floor(codewords.length / blockCount);
+
+    const blocks = [];
+    for (let i = 0; i < blockCount; i++) {
+      const dataLength = shortLength - ecLength + (i < shortCount ? 0 : 1);
+      blocks.push({ dataLength, bytes: new Uint8Array(dataLength + ecLength) });
+    }
+
+    let k = 0;
+    for (let i = 0; i <= shortLength - ecLength; i++) {
+      blocks.forEach(block => {
+        if (i < block.dataLength) block.bytes[i] = codewords[k++];
+      });
+    }
+    for (let i = 0; i < ecLength; i++) {
+      blocks.forEach(block => {
+        block.bytes[block.dataLength + i] = codewords[k++];
+      });
+    }
+
+    const data = [];
+    for (const block of blocks) {
+      const corrected = QRDecoder.reedSolomon(block.bytes, ecLength);
+      if (!corrected) return null;
+      for (let i = 0; i < block.dataLength; i++) data.push(corrected[i]);
+    }
+
+    return Uint8Array.from(data);
+  }
+
+  static galois() {
+    if (!QRDecoder.gf) {
+      const exp = new Uint8Array(512);
+      const log = new Uint8Array(256);
+      let x = 1;
+      for (let i = 0; i < 255; i++) {
+        exp[i] = x;
+        log[x] = i;
+        x <<= 1;
+        if (x & 0x100) x ^= 0x11D;
+      }
+      for (let i = 255; i < 512; i++) exp[i] = exp[i - 255];
+      QRDecoder.gf = { exp, log };
+    }
+    return QRDecoder.gf;
+  }
+
+  /**
+   * Correct a Reed-Solomon block (Berlekamp-Massey, Chien search, Forney)
+   * @param {Uint8Array} received - Data followed by EC codewords
+   * @param {number} ecLength - Number of EC codewords
+   * @returns {Uint8Array|null} - Corrected block or null if beyond repair
+   */
+  static reedSolomon(received, ecLength) {
+    const { exp, log } = QRDecoder.galois();
+    const mul = (a, b) => (a && b ? exp[log[a] + log[b]] : 0);
+    const div = (a, b) => (a ? exp[(log[a] + 255 - log[b]) % 255] : 0);
+    const n = received.length;
+
+    const syndromes = new Uint8Array(ecLength);
+    let clean = true;
+    for (let i = 0; i < ecLength; i++) {
+      let value = 0;
+      for (let j = 0; j < n; j++) value = mul(value, exp[i]) ^ received[j];
+      syndromes[i] = value;
+      if (value) clean = false;
+    }
+    if (clean) return received;
+
+    // Berlekamp-Massey: error locator, lowest degree first
+    let locator = [1];
+    let previous = [1];
+    let errors = 0;
+    let shift = 1;
+    let lastDiscrepancy = 1;
+
+    for (let step = 0; step < ecLength; step++) {
+      let discrepancy = syndromes[step];
+      for (let i = 1; i <= errors; i++) discrepancy ^= mul(locator[i] || 0, syndromes[step - i]);
+
+      if (!discrepancy) {
+        shift++;
+        continue;
+      }
+
+      const factor = div(discrepancy, lastDiscrepancy);
+      const next = locator.slice();
+      for (let i = 0; i < previous.length; i++) {
+        next[i + shift] = (next[i + shift] || 0) ^ mul(factor, previous[i]);
+      }
+
+      if (2 * errors <= step) {
+        errors = step + 1 - errors;
+        previous = locator;
+        lastDiscrepancy = discrepancy;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      locator = next;
+    }
+
+    if (2 * errors > ecLength) return null;
+
+    const evaluate = (poly, x) => {
+      let value = 0;
+      for (let i = poly.length - 1; i >= 0; i--) value = mul(value, x) ^ (poly[i] || 0);
+      return value;
+    };
+
+    // Chien search over every codeword position
+    const positions = [];
+    for (let index = 0; index < n; index++) {
+      const power = n - 1 - index;
+      if (evaluate(locator, exp[(255 - power) % 255]) === 0) positions.push(index);
+    }
+    if (positions.length !== errors) return null;
+
+    // Forney: omega = S(x) * locator(x) mod x^ecLength
+    const omega = new Array(ecLength).fill(0);
+    for (let i = 0; i < ecLength; i++) {
+      for (let j = 0; j <= i && j < locator.length; j++) {
+        omega[i] ^= mul(syndromes[i - j], locator[j] || 0);
+      }
+    }
+    const derivative = locator.map((c, i) => (i & 1 ? c : 0)).slice(1);
+
+    const corrected = Uint8Array.from(received);
+    for (const index of positions) {
+      const power = n - 1 - index;
+      const xInverse = exp[(255 - power) % 255];
+      const denominator = evaluate(derivative, xInverse);
+      if (!denominator) return null;
+      const magnitude = mul(exp[power], div(evaluate(omega, xInverse), denominator));
+      corrected[index] ^= magnitude;
+    }
+
+    return corrected;
+  }
+
+  /**
+   * Decode numeric, alphanumeric, byte and kanji segments
+   * @returns {string|null}
+   */
+  static decodeSegments(data, version) {
+    const reader = new BitReader(data);
+    const group = version < 10 ? 0 : version < 27 ? 1 : 2;
+    let text = '';
+
+    while (reader.available() >= 4) {
+      const mode = reader.read(4);
+      if (mode === 0) break;
+
+      if (mode === 7) {
+        // ECI designator; payloads are treated as UTF-8 either way
+        const first = reader.read(8);
+        if ((first & 0xC0) === 0x80) reader.read(8);
+        else if ((first & 0xE0) === 0xC0) reader.read(16);
+        continue;
+      }
+      if (mode === 3) {
+        reader.read(16);
+        continue;
+      }
+      if (mode === 5) continue;
+      if (mode === 9) {
+        reader.read(8);
+        continue;
+      }
+
+      if (mode === 1) {
+        let count = reader.read([10, 12, 14][group]);
+        while (count >= 3) {
+          text += String(reader.read(10)).padStart(3, '0');
+          count -= 3;
+        }
+        if (count === 2) text += String(reader.read(7)).padStart(2, '0');
+        if (count === 1) text += String(reader.read(4));
+      } else if (mode === 2) {
+        let count = reader.read([9, 11, 13][group]);
+        while (count >= 2) {
+          const value = reader.read(11);
+          text += QR_ALPHANUMERIC[Math.floor(value / 45)] + QR_ALPHANUMERIC[value % 45];
+          count -= 2;
+        }
+        if (count === 1) text += QR_ALPHANUMERIC[reader.read(6)];
+      } else if (mode === 4) {
+        const count = reader.read([8, 16, 16][group]);
+        const bytes = new Uint8Array(count);
+        for (let i = 0; i < count; i++) bytes[i] = reader.read(8);
+        text += QRDecoder.decodeText(bytes, 'utf-8');
+      } else if (mode === 8) {
+        const count = reader.read([8, 10, 12][group]);
+        const bytes = new Uint8Array(count * 2);
+        for (let i = 0; i < count; i++) {
+          const value = reader.read(13);
+          let assembled = ((Math.floor(value / 0xC0)) << 8) | (value % 0xC0);
+          assembled += assembled < 0x1F00 ? 0x8140 : 0xC140;
+          bytes[i * 2] = assembled >> 8;
+          bytes[i * 2 + 1] = assembled & 0xFF;
+        }
+        text += QRDecoder.decodeText(bytes, 'shift_jis');
+      } else {
+        return null;
+      }
+
+      if (reader.overrun) return null;
+    }
+
+    return text;
+  }
+
+  static decodeText(bytes, encoding) {
+    if (typeof TextDecoder !== 'undefined') {
+      try {
+        return new TextDecoder(encoding, { fatal: true }).decode(bytes);
+      } catch (error) {
+        // Not valid in that encoding - fall through to Latin-1, the QR default
+      }
+    }
+    return String.fromCharCode(...bytes);
+  }
+
+  static bitCount(value) {
+    let count = 0;
+    while (value) {
+      count += value & 1;
+      value >>>= 1;
+    }
+    return count;
+  }
+
+  static distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+}
+
+/**
+ * Minimal binary image, one byte per pixel
+ */
+class BitMatrix {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.data = new Uint8Array(width * height);
+  }
+
+  get(x, y) {
+    return this.data[y * this.width + x] === 1;
+  }
+
+  set(x, y, value) {
+    this.data[y * this.width + x] = value ? 1 : 0;
+  }
+}
+
+/**
+ * Reads big-endian bit fields from a byte array
+ */
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+    this.overrun = false;
+  }
+
+  available() {
+    return this.bytes.length * 8 - this.offset;
+  }
+
+  read(bits) {
+    if (bits > this.available()) {
+      this.overrun = true;
+      this.offset = this.bytes.length * 8;
+      return 0;
+    }
+
+    let value = 0;
+    for (let i = 0; i < bits; i++) {
+      const byte = this.bytes[this.offset >> 3];
+      value = (value << 1) | ((byte >> (7 - (this.offset & 7))) & 1);
+      this.offset++;
+    }
+    return value;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QRDecoder;
+}
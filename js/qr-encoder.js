@@ -0,0 +1,395 @@
+/**
+ * QR Encoder
+ * Renders text as a QR code for printed tickets and hand-off codes.
+ * Byte mode only. Shares its tables and Galois field with QRDecoder, so load js/qr-decoder.js first.
+ */
+
+class QREncoder {
+  /**
+   * Encode text into a module matrix
+   * @param {string} text - Text to encode (UTF-8)
+   * @param {string} level - Error correction level: 'L', 'M', 'Q' or 'H'
+   * @returns {Object} - {size, version, modules: Uint8Array, get(x, y)}
+   */
+  static encode(text, level = 'M') {
+    const levelIndex = 'LMQH'.indexOf(level);
+    if (levelIndex < 0) {
+      throw new Error(`Unknown error correction level: ${level}`);
+    }
+
+    const bytes = new TextEncoder().encode(String(text));
+    const version = QREncoder.pickVersion(bytes.length, levelIndex);
+    const codewords = QREncoder.addErrorCorrection(
+      QREncoder.buildData(bytes, version, levelIndex),
+      version,
+      levelIndex
+    );
+
+    const size = version * 4 + 17;
+    const symbol = {
+      size,
+      version,
+      modules: new Uint8Array(size * size),
+      isFunction: new Uint8Array(size * size)
+    };
+
+    QREncoder.drawFunctionPatterns(symbol, levelIndex);
+    QREncoder.drawCodewords(symbol, codewords);
+
+    // Keep the mask that produces the fewest scanner-confusing patterns
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      QREncoder.applyMask(symbol, mask);
+      QREncoder.drawFormatBits(symbol, levelIndex, mask);
+      const penalty = QREncoder.penalty(symbol);
+      if (penalty < bestPenalty) {
+        bestPenalty = penalty;
+        bestMask = mask;
+      }
+      QREncoder.applyMask(symbol, mask);
+    }
+    QREncoder.applyMask(symbol, bestMask);
+    QREncoder.drawFormatBits(symbol, levelIndex, bestMask);
+
+    return {
+      size,
+      version,
+      modules: symbol.modules,
+      get: (x, y) => symbol.modules[y * size + x] === 1
+    };
+  }
+
+  /**
+   * Render text as a QR code canvas
+   * @param {string} text - Text to encode
+   * @param {Object} options - {scale, margin, level, dark, light}
+   * @returns {HTMLCanvasElement}
+   */
+  static toCanvas(text, options = {}) {
+    const { scale = 8, margin = 4, level = 'M', dark = '#000', light = '#fff' } = options;
+    const qr = QREncoder.encode(text, level);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = (qr.size + margin * 2) * scale;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = light;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = dark;
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        if (qr.get(x, y)) {
+          ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+        }
+      }
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Render text as a QR code PNG data URL
+   * @param {string} text - Text to encode
+   * @param {Object} options - See toCanvas
+   * @returns {string}
+   */
+  static toDataURL(text, options = {}) {
+    return QREncoder.toCanvas(text, options).toDataURL('image/png');
+  }
+
+  static dataCodewords(version, levelIndex) {
+    return Math.floor(QRDecoder.rawDataModules(version) / 8) -
+      QR_EC_CODEWORDS_PER_BLOCK[levelIndex][version - 1] * QR_EC_BLOCKS[levelIndex][version - 1];
+  }
+
+  static pickVersion(length, levelIndex) {
+    for (let version = 1; version <= 40; version++) {
+      const bits = 4 + (version < 10 ? 8 : 16) + length * 8;
+      if (bits <= QREncoder.dataCodewords(version, levelIndex) * 8) {
+        return version;
+      }
+    }
+    throw new Error('Text is too long for a QR code');
+  }
+
+  static buildData(bytes, version, levelIndex) {
+    const capacity = QREncoder.dataCodewords(version, levelIndex) * 8;
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    // Terminator, byte alignment, then alternating pad bytes
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+      push(pad, 8);
+    }
+
+    const data = new Uint8Array(bits.length / 8);
+    bits.forEach((bit, i) => {
+      data[i >> 3] |= bit << (7 - (i & 7));
+    });
+    return data;
+  }
+
+  /**
+   * Split data into blocks, append Reed-Solomon codewords and interleave
+   * @returns {Uint8Array}
+   */
+  static addErrorCorrection(data, version, levelIndex) {
+    const ecLength = QR_EC_CODEWORDS_PER_BLOCK[levelIndex][version - 1];
+    const blockCount = QR_EC_BLOCKS[levelIndex][version - 1];
+    const rawCodewords = Math.floor(QRDecoder.rawDataModules(version) / 8);
+    const shortCount = blockCount - (rawCodewords % blockCount);
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = QREncoder.divisor(ecLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+      const dataLength = shortLength - ecLength + (i < shortCount ? 0 : 1);
+      const blockData = data.subarray(offset, offset + dataLength);
+      offset += dataLength;
+      blocks.push({ data: blockData, ec: QREncoder.remainder(blockData, divisor) });
+    }
+
+    const result = [];
+    for (let i = 0; i <= shortLength - ecLength; i++) {
+      blocks.forEach(block => {
+        if (i < block.data.length) result.push(block.data[i]);
+      });
+    }
+    for (let i = 0; i < ecLength; i++) {
+      blocks.forEach(block => result.push(block.ec[i]));
+    }
+
+    return Uint8Array.from(result);
+  }
+
+  static multiply(a, b) {
+    const { exp, log } = QRDecoder.galois();
+    return a && b ? exp[log[a] + log[b]] : 0;
+  }
+
+  static divisor(degree) {
+    const result = new Uint8Array(degree);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = QREncoder.multiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = QREncoder.multiply(root, 2);
+    }
+    return result;
+  }
+
+  static remainder(data, divisor) {
+    const result = new Uint8Array(divisor.length);
+    for (const byte of data) {
+      const factor = byte ^ result[0];
+      result.copyWithin(0, 1);
+      result[result.length - 1] = 0;
+      for (let i = 0; i < result.length; i++) {
+        result[i] ^= QREncoder.multiply(divisor[i], factor);
+      }
+    }
+    return result;
+  }
+
+  static setFunction(symbol, x, y, dark) {
+    const index = y * symbol.size + x;
+    symbol.modules[index] = dark ? 1 : 0;
+    symbol.isFunction[index] = 1;
+  }
+
+  static drawFunctionPatterns(symbol, levelIndex) {
+    const { size, version } = symbol;
+
+    for (let i = 0; i < size; i++) {
+      QREncoder.setFunction(symbol, 6, i, i % 2 === 0);
+      QREncoder.setFunction(symbol, i, 6, i % 2 === 0);
+    }
+
+    // Finders with their light separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const ring = Math.max(Math.abs(dx), Math.abs(dy));
+          QREncoder.setFunction(symbol, x, y, ring !== 2 && ring !== 4);
+        }
+      }
+    });
+
+    const positions = QRDecoder.alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            QREncoder.setFunction(symbol, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format area; the real bits are drawn once the mask is chosen
+    QREncoder.drawFormatBits(symbol, levelIndex, 0);
+
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        QREncoder.setFunction(symbol, a, b, dark);
+        QREncoder.setFunction(symbol, b, a, dark);
+      }
+    }
+  }
+
+  static drawFormatBits(symbol, levelIndex, mask) {
+    const { size } = symbol;
+    // Format info stores levels as M=0, L=1, H=2, Q=3
+    const data = ([1, 0, 3, 2][levelIndex] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) QREncoder.setFunction(symbol, 8, i, bit(i));
+    QREncoder.setFunction(symbol, 8, 7, bit(6));
+    QREncoder.setFunction(symbol, 8, 8, bit(7));
+    QREncoder.setFunction(symbol, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) QREncoder.setFunction(symbol, 14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) QREncoder.setFunction(symbol, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) QREncoder.setFunction(symbol, 8, size - 15 + i, bit(i));
+    QREncoder.setFunction(symbol, 8, size - 8, true);
+  }
+
+  static drawCodewords(symbol, codewords) {
+    const { size, modules, isFunction } = symbol;
+    let bit = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+
+      for (let vert = 0; vert < size; vert++) {
+        const y = upward ? size - 1 - vert : vert;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const index = y * size + x;
+          if (isFunction[index]) continue;
+
+          // Remainder bits past the last codeword stay light
+          if (bit < codewords.length * 8) {
+            modules[index] = (codewords[bit >> 3] >> (7 - (bit & 7))) & 1;
+            bit++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * XOR a mask over the data modules; applying it twice undoes it
+   */
+  static applyMask(symbol, mask) {
+    const { size, modules, isFunction } = symbol;
+    const masks = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x, y) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+      (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+    const invert = masks[mask];
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const index = y * size + x;
+        if (!isFunction[index] && invert(x, y)) modules[index] ^= 1;
+      }
+    }
+  }
+
+  /**
+   * Mask penalty from the QR specification: long runs, 2x2 blocks, finder look-alikes and imbalance
+   * @returns {number}
+   */
+  static penalty(symbol) {
+    const { size, modules } = symbol;
+    const get = (x, y) => modules[y * size + x];
+    const finderLike = [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0];
+    let penalty = 0;
+    let dark = 0;
+
+    for (let line = 0; line < size; line++) {
+      for (const read of [i => get(i, line), i => get(line, i)]) {
+        let runColor = -1;
+        let runLength = 0;
+        for (let i = 0; i < size; i++) {
+          const value = read(i);
+          if (value === runColor) {
+            runLength++;
+            if (runLength === 5) penalty += 3;
+            else if (runLength > 5) penalty++;
+          } else {
+            runColor = value;
+            runLength = 1;
+          }
+
+          if (i + finderLike.length <= size) {
+            let forward = true;
+            let backward = true;
+            for (let k = 0; k < finderLike.length; k++) {
+              const cell = read(i + k);
+              if (cell !== finderLike[k]) forward = false;
+              if (cell !== finderLike[finderLike.length - 1 - k]) backward = false;
+            }
+            if (forward) penalty += 40;
+            if (backward) penalty += 40;
+          }
+        }
+      }
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const value = get(x, y);
+        dark += value;
+        if (x < size - 1 && y < size - 1 &&
+          value === get(x + 1, y) && value === get(x, y + 1) && value === get(x + 1, y + 1)) {
+          penalty += 3;
+        }
+      }
+    }
+
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QREncoder;
+}
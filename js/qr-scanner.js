@@ -12,6 +12,13 @@ class QRScanner {
     this.animationFrame = null;
     this.onScanCallback = null;
     this.scanTimeout = null;
+
+    // JavaScript decoding fallback
+    this.worker = null;
+    this.canvas = null;
+    this.decodeBusy = false;
+    this.decodeId = 0;
+    this.lastDecode = 0;
   }
 
   /**
@@ -29,7 +36,16 @@ class QRScanner {
    * @returns {boolean}
    */
   isSupported() {
-    return Utils.isFeatureSupported('barcode') && Utils.isFeatureSupported('camera');
+    return Utils.isFeatureSupported('camera') &&
+      (Utils.isFeatureSupported('barcode') || QRScanner.hasFallbackDecoder());
+  }
+
+  /**
+   * Check if the bundled JavaScript decoder is loaded
+   * @returns {boolean}
+   */
+  static hasFallbackDecoder() {
+    return typeof QRDecoder !== 'undefined';
   }
 
   /**
@@ -62,22 +78,25 @@ class QRScanner {
       this.video.srcObject = this.stream;
       await this.video.play();
 
-      // Initialize barcode detector if supported
-      if (Utils.isFeatureSupported('barcode')) {
-        this.detector = new BarcodeDetector({ formats: ['qr_code'] });
-        this.isScanning = true;
-        this.startDetectionLoop();
-        
-        // Set timeout for scanning
-        this.scanTimeout = setTimeout(() => {
-          this.stopScanning();
-          Utils.showToast('QR scan timeout. Please try manual entry.', 'warn');
-        }, CONFIG.QR.SCAN_TIMEOUT);
-        
-        return true;
-      } else {
-        throw new Error('QR code detection not supported on this browser');
+      // Prefer the native barcode detector, otherwise decode frames in JavaScript
+      this.detector = this.createDetector();
+      if (!this.detector) {
+        if (!QRScanner.hasFallbackDecoder()) {
+          throw new Error('QR code detection not supported on this browser');
+        }
+        this.startWorker();
       }
+
+      this.isScanning = true;
+      this.startDetectionLoop();
+
+      // Set timeout for scanning
+      this.scanTimeout = setTimeout(() => {
+        this.stopScanning();
+        Utils.showToast('QR scan timeout. Please try manual entry.', 'warn');
+      }, CONFIG.QR.SCAN_TIMEOUT);
+
+      return true;
     } catch (error) {
       Utils.logError('QRScanner.startScanning', error);
       
@@ -91,6 +110,49 @@ class QRScanner {
     }
   }
 
+  /**
+   * Create the native detector if the browser has one that reads QR codes
+   * @returns {BarcodeDetector|null}
+   */
+  createDetector() {
+    if (!Utils.isFeatureSupported('barcode')) return null;
+
+    try {
+      return new BarcodeDetector({ formats: ['qr_code'] });
+    } catch (error) {
+      // Some builds expose BarcodeDetector without QR support
+      Utils.logError('QRScanner.createDetector', error);
+      return null;
+    }
+  }
+
+  /**
+   * Start the decoding worker, leaving decoding on the main thread if workers are unavailable
+   */
+  startWorker() {
+    if (this.worker || !Utils.isFeatureSupported('worker')) return;
+
+    try {
+      this.worker = new Worker(CONFIG.QR.WORKER_PATH);
+      this.worker.onmessage = event => this.handleDecodeResult(event.data);
+      this.worker.onerror = error => {
+        Utils.logError('QRScanner.worker', error);
+        this.stopWorker();
+      };
+    } catch (error) {
+      Utils.logError('QRScanner.startWorker', error);
+      this.worker = null;
+    }
+  }
+
+  stopWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.decodeBusy = false;
+  }
+
   /**
    * Stop QR code scanning
    */
@@ -122,13 +184,22 @@ class QRScanner {
 
     // Clear detector
     this.detector = null;
+    this.stopWorker();
   }
 
   /**
    * Detection loop for QR codes
    */
   startDetectionLoop() {
-    if (!this.isScanning || !this.detector || !this.video.videoWidth) {
+    if (!this.isScanning) return;
+
+    if (!this.video.videoWidth) {
+      this.animationFrame = requestAnimationFrame(() => this.startDetectionLoop());
+      return;
+    }
+
+    if (!this.detector) {
+      this.decodeFrame();
       this.animationFrame = requestAnimationFrame(() => this.startDetectionLoop());
       return;
     }
@@ -152,11 +223,75 @@ class QRScanner {
     }
   }
 
+  /**
+   * Decode the current video frame with the JavaScript decoder
+   */
+  decodeFrame() {
+    const now = Date.now();
+    if (this.decodeBusy || now - this.lastDecode < CONFIG.QR.DECODE_INTERVAL) return;
+    this.lastDecode = now;
+
+    let image;
+    try {
+      image = this.grabFrame();
+    } catch (error) {
+      Utils.logError('QRScanner.grabFrame', error);
+      return;
+    }
+
+    if (this.worker) {
+      this.decodeBusy = true;
+      this.decodeId++;
+      // Transfer the pixel buffer rather than copying it
+      this.worker.postMessage({ id: this.decodeId, image }, [image.data.buffer]);
+      return;
+    }
+
+    try {
+      this.handleDecodeResult({ id: this.decodeId, text: QRDecoder.decode(image) });
+    } catch (error) {
+      Utils.logError('QRScanner.decode', error);
+    }
+  }
+
+  /**
+   * Copy the video frame into a downscaled canvas
+   * @returns {ImageData}
+   */
+  grabFrame() {
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+    }
+
+    const { videoWidth, videoHeight } = this.video;
+    const scale = Math.min(1, CONFIG.QR.MAX_DIMENSION / Math.max(videoWidth, videoHeight));
+    this.canvas.width = Math.round(videoWidth * scale);
+    this.canvas.height = Math.round(videoHeight * scale);
+
+    const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+    return ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Handle a result from the JavaScript decoder
+   * @param {Object} result - {id, text}
+   */
+  handleDecodeResult(result) {
+    if (result.id === this.decodeId) {
+      this.decodeBusy = false;
+    }
+
+    if (result.text && this.isScanning) {
+      this.handleScanResult(result.text);
+    }
+  }
+
   /**
    * Handle scan result
    * @param {string} code - Scanned QR code
    */
-  handleScanResult(code) {
+  async handleScanResult(code) {
     if (!this.isScanning) return;
 
     // Validate code format (basic validation)
@@ -166,17 +301,40 @@ class QRScanner {
       return;
     }
 
-    // Check if code is approved
-    const approvedCodes = Storage.getApprovedCodes();
-    const isApproved = approvedCodes.includes(sanitizedCode);
-
     // Stop scanning after successful read
     this.stopScanning();
 
+    const result = await this.checkCode(sanitizedCode);
+
     // Call callback with result
     if (this.onScanCallback) {
-      this.onScanCallback(sanitizedCode, isApproved);
+      this.onScanCallback(sanitizedCode, result.approved, result);
+    }
+  }
+
+  /**
+   * Check a code against signed tickets, credit accounts or the approved code list
+   * Tickets are redeemed here, so a successful check uses them up.
+   * @param {string} code - Sanitized code
+   * @returns {Promise<Object>} - {approved, ticket, account, reason}
+   */
+  async checkCode(code) {
+    if (typeof TicketManager !== 'undefined' && TicketManager.isTicket(code)) {
+      const result = await Tickets.redeem(code);
+      return { approved: result.valid, ticket: result.ticket || null, account: null, reason: result.reason || null };
+    }
+
+    // Credit accounts are charged per kept capture, not per scan
+    if (typeof CreditManager !== 'undefined' && Credits.hasAccount(code)) {
+      const approved = Credits.getBalance(code) > 0;
+      return { approved, ticket: null, account: code, reason: approved ? null : 'No credits left' };
     }
+
+    const approved = Storage.getApprovedCodes().includes(code);
+    if (approved) {
+      Storage.recordCodeRedemption(code);
+    }
+    return { approved, ticket: null, account: null, reason: null };
   }
 
   /**
@@ -189,14 +347,26 @@ class QRScanner {
     
     // Remove any HTML tags and trim whitespace
     const sanitized = code.replace(/<[^>]*>/g, '').trim();
+
+    // Signed tickets are base64url segments joined by dots
+    if (typeof TicketManager !== 'undefined' && TicketManager.isTicket(sanitized)) {
+      return /^[A-Za-z0-9\-_.]+$/.test(sanitized) && sanitized.length <= CONFIG.TICKETS.MAX_LENGTH
+        ? sanitized
+        : null;
+    }
+
+    // Credit accounts may be member IDs or email addresses
+    if (typeof CreditManager !== 'undefined' && Credits.hasAccount(sanitized)) {
+      return sanitized;
+    }
     
     // Basic validation - only allow alphanumeric, hyphens, and underscores
-    if (!/^[A-Za-z0-9\-_]+$/.test(sanitized)) {
+    if (!CONFIG.QR.CODE_PATTERN.test(sanitized)) {
       return null;
     }
     
     // Limit length
-    if (sanitized.length > 50) {
+    if (sanitized.length > CONFIG.QR.MAX_CODE_LENGTH) {
       return null;
     }
     
@@ -206,9 +376,9 @@ class QRScanner {
   /**
    * Manually verify QR code
    * @param {string} code - Manual code input
-   * @returns {Object} - Verification result
+   * @returns {Promise<Object>} - Verification result
    */
-  verifyManualCode(code) {
+  async verifyManualCode(code) {
     const sanitizedCode = this.sanitizeCode(code);
     
     if (!sanitizedCode) {
@@ -219,13 +389,15 @@ class QRScanner {
       };
     }
 
-    const approvedCodes = Storage.getApprovedCodes();
-    const isApproved = approvedCodes.includes(sanitizedCode);
+    const result = await this.checkCode(sanitizedCode);
 
     return {
       valid: true,
-      approved: isApproved,
-      code: sanitizedCode
+      approved: result.approved,
+      code: sanitizedCode,
+      ticket: result.ticket,
+      account: result.account,
+      reason: result.reason
     };
   }
 
@@ -238,22 +410,12 @@ class QRScanner {
       isScanning: this.isScanning,
       isSupported: this.isSupported(),
       hasCamera: !!this.stream,
-      hasDetector: !!this.detector
+      hasDetector: !!this.detector,
+      usesFallback: this.isScanning && !this.detector,
+      usesWorker: !!this.worker
     };
   }
 
-  /**
-   * Load sample codes for testing
-   */
-  loadSampleCodes() {
-    const success = Storage.setApprovedCodes(CONFIG.QR.DEFAULT_APPROVED_CODES);
-    if (success) {
-      Utils.showToast('Sample codes loaded successfully', 'ok');
-    } else {
-      Utils.showToast('Failed to load sample codes', 'warn');
-    }
-  }
-
   /**
    * Cleanup resources
    */
@@ -261,6 +423,7 @@ class QRScanner {
     this.stopScanning();
     this.video = null;
     this.onScanCallback = null;
+    this.canvas = null;
   }
 }
 
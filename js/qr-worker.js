@@ -0,0 +1,21 @@
+/**
+ * QR Worker
+ * Runs QRDecoder off the main thread so the camera preview stays smooth while decoding.
+ * Receives {id, image: ImageData} and replies with {id, text}.
+ */
+
+importScripts('qr-decoder.js');
+
+self.onmessage = event => {
+  const { id, image } = event.data;
+  let text = null;
+
+  try {
+    text = QRDecoder.decode(image);
+  } catch (error) {
+    // A bad frame shouldn't kill the worker; the next frame gets another try
+    text = null;
+  }
+
+  self.postMessage({ id, text });
+};
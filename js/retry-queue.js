@@ -0,0 +1,225 @@
+/**
+ * Retry Queue
+ * Base for queues of saved photos that are kept in storage and sent one at a time,
+ * so they survive reloads and Wi-Fi drops. Failures retry with exponential backoff
+ * until MAX_ATTEMPTS, then wait for staff to retry them.
+ *
+ * Subclasses implement:
+ * - isEnabled(): whether anything should be sent
+ * - load() / save(queue): read and write the stored queue
+ * - deliver(entry, blob): resolves {ok} when sent, or {ok: false, retry, error}
+ */
+
+class RetryQueue {
+  /**
+   * @param {Object} settings - CONFIG section with MAX_ATTEMPTS, BACKOFF_BASE and BACKOFF_MAX
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.timer = null;
+    this.running = false;
+    this.started = false;
+    this.listeners = [];
+  }
+
+  isEnabled() {
+    return false;
+  }
+
+  load() {
+    return [];
+  }
+
+  save(queue) {
+    return false;
+  }
+
+  async deliver(entry, blob) {
+    return { ok: false, retry: false, error: 'Not set up' };
+  }
+
+  /**
+   * Start sending, including anything left over from earlier visits
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    window.addEventListener('online', () => this.process());
+    this.process();
+  }
+
+  /**
+   * Send every entry that is due, one at a time, then wait for the next
+   * @returns {Promise<void>}
+   */
+  async process() {
+    if (this.running) return;
+    this.running = true;
+    clearTimeout(this.timer);
+
+    try {
+      let entry;
+      while (navigator.onLine !== false && (entry = this.nextDue())) {
+        // Stop rather than spin if the result can't be saved
+        if (!await this.send(entry)) break;
+      }
+    } catch (error) {
+      Utils.logError(`${this.constructor.name}.process`, error);
+    } finally {
+      this.running = false;
+      this.schedule();
+    }
+  }
+
+  /**
+   * Send one entry's photo and record the outcome
+   * @param {Object} entry - Queue entry
+   * @returns {Promise<boolean>} - Whether the outcome was saved
+   */
+  async send(entry) {
+    const blob = await Storage.getPhotoBlob(entry.photoId);
+    if (!blob) {
+      return this.update(entry.id, { status: 'failed', lastError: 'Photo was deleted before it was sent' });
+    }
+
+    const result = await this.deliver({ ...entry }, blob);
+    if (result.ok) {
+      return this.update(entry.id, { status: 'sent', sentAt: Date.now(), lastError: null });
+    }
+
+    const attempts = entry.attempts + 1;
+    const failed = !result.retry || attempts >= this.settings.MAX_ATTEMPTS;
+    return this.update(entry.id, {
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      nextAttemptAt: failed ? 0 : Date.now() + this.getBackoff(attempts),
+      lastError: result.error || 'Not sent'
+    });
+  }
+
+  /**
+   * @returns {Object|null} - Oldest pending entry whose backoff has passed
+   */
+  nextDue() {
+    if (!this.isEnabled()) return null;
+    const now = Date.now();
+    return this.load().find(entry => entry.status === 'pending' && entry.nextAttemptAt <= now) || null;
+  }
+
+  /**
+   * Wake up when the next backed-off entry is due
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    if (!this.isEnabled() || navigator.onLine === false) return;
+
+    const waits = this.load()
+      .filter(entry => entry.status === 'pending')
+      .map(entry => entry.nextAttemptAt - Date.now());
+    if (!waits.length) return;
+
+    this.timer = setTimeout(() => this.process(), Math.max(1000, Math.min(...waits)));
+  }
+
+  /**
+   * Change an entry, re-reading the queue first since another page may have changed it
+   * @param {string} id - Entry ID
+   * @param {Object} changes - Fields to set
+   * @returns {boolean} - Success status
+   */
+  update(id, changes) {
+    const queue = this.load();
+    const entry = queue.find(e => e.id === id);
+    if (!entry) return false;
+
+    Object.assign(entry, changes);
+    const saved = this.save(queue);
+    this.changed();
+    return saved;
+  }
+
+  /**
+   * Put failed entries back in the queue with a fresh set of attempts
+   * @returns {number} - How many were requeued
+   */
+  retryFailed() {
+    const queue = this.load();
+    const failed = queue.filter(entry => entry.status === 'failed');
+    failed.forEach(entry => Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: 0 }));
+
+    if (failed.length && this.save(queue)) {
+      this.changed();
+      this.process();
+    }
+    return failed.length;
+  }
+
+  /**
+   * Drop sent entries from the status list
+   * @returns {boolean} - Success status
+   */
+  clearSent() {
+    const saved = this.save(this.load().filter(entry => entry.status !== 'sent'));
+    this.changed();
+    return saved;
+  }
+
+  /**
+   * @returns {Array} - Queue entries, newest first
+   */
+  getEntries() {
+    return this.load().slice().reverse();
+  }
+
+  /**
+   * @returns {Object} - {pending, failed, sent}
+   */
+  getCounts() {
+    const counts = { pending: 0, failed: 0, sent: 0 };
+    this.load().forEach(entry => {
+      if (entry.status in counts) counts[entry.status]++;
+    });
+    return counts;
+  }
+
+  /**
+   * Call back whenever the queue changes
+   * @param {Function} callback - Called with no arguments
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  changed() {
+    this.listeners.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        Utils.logError(`${this.constructor.name}.changed`, error);
+      }
+    });
+  }
+
+  /**
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} - Milliseconds to wait before the next attempt
+   */
+  getBackoff(attempts) {
+    return Math.min(this.settings.BACKOFF_BASE * Math.pow(2, attempts - 1), this.settings.BACKOFF_MAX);
+  }
+
+  /**
+   * Whether a failed HTTP response is worth trying again
+   * Other client errors (bad request, too large...) won't fix themselves.
+   * @param {number} status - Response status
+   * @returns {boolean}
+   */
+  static isRetryable(status) {
+    return status >= 500 || status === 408 || status === 429;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RetryQueue;
+}
@@ -4,11 +4,27 @@
  */
 
 class SessionManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {number} options.timeout - Idle time before the session ends
+   * @param {boolean} options.persist - Keep the session in storage across pages and reloads
+   * @param {boolean} options.endWhenHidden - End the session when the page is hidden
+   * @param {Function} options.onTimeout - Called with the reason ('timeout' or 'hidden') once the
+   *   session has ended; by default guests are sent back to login
+   */
+  constructor({
+    timeout = CONFIG.SECURITY.SESSION_TIMEOUT,
+    persist = true,
+    endWhenHidden = false,
+    onTimeout = null
+  } = {}) {
     this.currentSession = null;
     this.timeoutId = null;
-    this.loginAttempts = 0;
     this.lastActivity = Date.now();
+    this.timeout = timeout;
+    this.persist = persist;
+    this.endWhenHidden = endWhenHidden;
+    this.onTimeout = onTimeout;
   }
 
   /**
@@ -27,7 +43,7 @@ class SessionManager {
 
   /**
    * Create new session
-   * @param {string} type - Session type ('qr', 'payment', 'free')
+   * @param {string} type - Session type ('qr', 'payment')
    * @param {Object} data - Session data
    * @returns {Object} - Session object
    */
@@ -37,7 +53,7 @@ class SessionManager {
       type: type,
       createdAt: Date.now(),
       lastActivity: Date.now(),
-      expiresAt: Date.now() + CONFIG.SECURITY.SESSION_TIMEOUT,
+      expiresAt: Date.now() + this.timeout,
       data: { ...data },
       isActive: true
     };
@@ -51,13 +67,15 @@ class SessionManager {
 
   /**
    * Load session from storage
+   * @param {boolean} watchTimeout - End the session and return to login when it expires
+   *   (off for pages that only inspect the guest's session, like Settings)
    */
-  loadSession() {
-    const sessionData = Storage.getSession();
+  loadSession(watchTimeout = true) {
+    const sessionData = this.persist ? Storage.getSession() : this.currentSession;
     
     if (sessionData && this.isValidSession(sessionData)) {
       this.currentSession = sessionData;
-      this.resetTimeout();
+      if (watchTimeout) this.resetTimeout();
     } else {
       this.clearSession();
     }
@@ -67,7 +85,7 @@ class SessionManager {
    * Save session to storage
    */
   saveSession() {
-    if (this.currentSession) {
+    if (this.currentSession && this.persist) {
       Storage.setSession(this.currentSession);
     }
   }
@@ -108,7 +126,7 @@ class SessionManager {
     
     if (this.currentSession) {
       this.currentSession.lastActivity = this.lastActivity;
-      this.currentSession.expiresAt = this.lastActivity + CONFIG.SECURITY.SESSION_TIMEOUT;
+      this.currentSession.expiresAt = this.lastActivity + this.timeout;
       this.saveSession();
       this.resetTimeout();
     }
@@ -133,12 +151,56 @@ class SessionManager {
     return !!this.getCurrentSession();
   }
 
+  /**
+   * Get shots left on a session with a shot limit (signed tickets or credit accounts)
+   * @returns {number} - Remaining shots, Infinity when the session is unlimited
+   */
+  getShotsRemaining() {
+    const session = this.getCurrentSession();
+    if (!session) {
+      return Infinity;
+    }
+    if (session.data.creditAccount) {
+      return Credits.getBalance(session.data.creditAccount);
+    }
+    if (!session.data.shotsAllowed) {
+      return Infinity;
+    }
+    return Math.max(0, session.data.shotsAllowed - (session.data.shotsUsed || 0));
+  }
+
+  /**
+   * Count a capture against the session's shot limit, spending a credit on credit sessions
+   * @returns {number} - Remaining shots
+   */
+  useShot() {
+    const session = this.getCurrentSession();
+    if (session && session.data.creditAccount) {
+      Credits.spend(session.data.creditAccount, { session: session.id });
+    } else if (session && session.data.shotsAllowed) {
+      session.data.shotsUsed = (session.data.shotsUsed || 0) + 1;
+      this.saveSession();
+    }
+    return this.getShotsRemaining();
+  }
+
+  /**
+   * Check if the session is paid for with account credits
+   * @returns {boolean}
+   */
+  isCreditSession() {
+    const session = this.getCurrentSession();
+    return !!(session && session.data.creditAccount);
+  }
+
   /**
    * Clear current session
    */
   clearSession() {
     this.currentSession = null;
-    Storage.clearSession();
+    if (this.persist) {
+      Storage.clearSession();
+    }
     this.clearTimeout();
   }
 
@@ -168,6 +230,14 @@ class SessionManager {
     events.forEach(event => {
       document.addEventListener(event, updateActivity, true);
     });
+
+    if (this.endWhenHidden) {
+      document.addEventListener('visibilitychange', () => {
+        if (document.hidden && this.currentSession) {
+          this.handleSessionTimeout('hidden');
+        }
+      });
+    }
   }
 
   /**
@@ -208,8 +278,15 @@ class SessionManager {
 
   /**
    * Handle session timeout
+   * @param {string} reason - 'timeout', or 'hidden' when the page was hidden
    */
-  handleSessionTimeout() {
+  handleSessionTimeout(reason = 'timeout') {
+    if (this.onTimeout) {
+      this.endSession();
+      this.onTimeout(reason);
+      return;
+    }
+
     Utils.showToast(CONFIG.ERRORS.SESSION_EXPIRED, 'warn');
     this.endSession();
     
@@ -221,31 +298,19 @@ class SessionManager {
 
   /**
    * Validate PIN with rate limiting
+   * Failed attempts and lockouts are stored, so they survive a reload.
+   * @param {string} accountId - Staff account the PIN is for
    * @param {string} pin - PIN to validate
-   * @returns {boolean} - Is valid PIN
+   * @returns {Promise<boolean>} - Is valid PIN
    */
-  validatePin(pin) {
-    // Check rate limiting
-    if (this.loginAttempts >= CONFIG.SECURITY.MAX_LOGIN_ATTEMPTS) {
-      Utils.showToast('Too many failed attempts. Please wait.', 'warn');
-      return false;
-    }
-
-    const storedPin = Storage.getPin();
-    const isValid = pin === storedPin;
+  async validatePin(accountId, pin) {
+    const result = await Staff.authenticate(accountId, pin);
 
-    if (!isValid) {
-      this.loginAttempts++;
-      
-      // Reset attempts after some time
-      setTimeout(() => {
-        this.loginAttempts = Math.max(0, this.loginAttempts - 1);
-      }, 60000); // 1 minute
-    } else {
-      this.loginAttempts = 0;
+    if (result.retryIn) {
+      Utils.showToast(result.reason, 'warn');
     }
 
-    return isValid;
+    return result.valid;
   }
 
   /**
@@ -278,7 +343,7 @@ class SessionManager {
    * Extend session
    * @param {number} additionalTime - Additional time in milliseconds
    */
-  extendSession(additionalTime = CONFIG.SECURITY.SESSION_TIMEOUT) {
+  extendSession(additionalTime = this.timeout) {
     if (this.currentSession) {
       this.currentSession.expiresAt = Date.now() + additionalTime;
       this.saveSession();
@@ -287,38 +352,49 @@ class SessionManager {
   }
 
   /**
-   * Check payment status from URL parameters
-   * @returns {boolean} - Payment completed
+   * Handle payment completion
+   * Starts a paid session only when the payment callback in the URL verifies.
+   * @returns {Promise<Object>} - {status: 'none'|'verified'|'failed', reason}
    */
-  checkPaymentStatus() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const hashParams = new URLSearchParams(window.location.hash.substring(1));
+  async handlePaymentComplete() {
+    const result = await Payments.handleCallback();
+
+    if (result.status === 'verified') {
+      this.createPaymentSession(result.transaction);
+    }
     
-    return urlParams.get('paid') === '1' || hashParams.get('paid') === '1';
+    return result;
   }
 
   /**
-   * Handle payment completion
+   * Create a paid session limited to the package's shots
+   * @param {Object} transaction - Verified transaction from Payments
+   * @returns {Object} - Session object
    */
-  handlePaymentComplete() {
-    if (this.checkPaymentStatus()) {
-      // Clear payment flags from URL
-      const url = new URL(window.location);
-      url.searchParams.delete('paid');
-      url.hash = '';
-      window.history.replaceState({}, document.title, url.toString());
-      
-      // Create payment session
-      this.createSession('payment', { 
-        amount: CONFIG.PAYMENT.AMOUNT_CENTS,
-        currency: CONFIG.PAYMENT.CURRENCY,
-        completedAt: Date.now()
-      });
-      
-      return true;
-    }
-    
-    return false;
+  createPaymentSession(transaction) {
+    return this.createSession('payment', { 
+      amount: transaction.amount,
+      currency: transaction.currency,
+      transactionId: transaction.id,
+      provider: transaction.provider,
+      packageId: transaction.packageId,
+      shotsAllowed: transaction.shots,
+      shotsUsed: 0,
+      completedAt: Date.now()
+    });
+  }
+
+  /**
+   * Start a staff session for the settings page
+   * @param {Object} staff - Signed-in staff account
+   * @returns {Object} - Session object
+   */
+  createAdminSession(staff) {
+    return this.createSession('admin', {
+      staffId: staff.id,
+      staffName: staff.name,
+      role: staff.role
+    });
   }
 
   /**
@@ -0,0 +1,289 @@
+/**
+ * Staff Manager
+ * Named staff accounts, each with its own PIN and a role (operator, manager, admin)
+ * that decides which settings they can use. Staff choose their name and enter
+ * their PIN, and only that account's PIN is checked, so PINs needn't be unique
+ * and entering one never reveals whose it is. Only admins set PINs.
+ */
+
+class StaffManager {
+  constructor() {
+    this.current = null;
+  }
+
+  /**
+   * @returns {Array} - Staff accounts
+   */
+  getAccounts() {
+    return Storage.getStaffAccounts();
+  }
+
+  /**
+   * @returns {boolean} - Whether any staff account exists yet
+   */
+  hasAccounts() {
+    return this.getAccounts().length > 0;
+  }
+
+  /**
+   * @param {string} id - Account ID
+   * @returns {Object|null}
+   */
+  getAccount(id) {
+    return this.getAccounts().find(account => account.id === id) || null;
+  }
+
+  /**
+   * @param {string} role - Role ID
+   * @returns {string} - Display name
+   */
+  getRoleLabel(role) {
+    return CONFIG.STAFF.ROLES[role] ? CONFIG.STAFF.ROLES[role].label : role;
+  }
+
+  /**
+   * Check if an account's role grants a permission
+   * @param {string} permission - e.g. 'credits'
+   * @param {Object} account - Staff account (defaults to whoever is signed in)
+   * @returns {boolean}
+   */
+  can(permission, account = this.current) {
+    const role = account && CONFIG.STAFF.ROLES[account.role];
+    return !!role && (role.permissions.includes('*') || role.permissions.includes(permission));
+  }
+
+  /**
+   * Check an account's PIN, counting failures toward the shared lockout
+   * @param {string} id - Account ID chosen by whoever is signing in
+   * @param {string} pin - Entered PIN
+   * @returns {Promise<Object>} - {valid, reason, retryIn, account}
+   */
+  async authenticate(id, pin) {
+    const wait = Pin.getLockRemaining();
+    if (wait > 0) {
+      return { valid: false, reason: PinManager.describeLockout(wait), retryIn: wait, account: null };
+    }
+
+    if (!this.hasAccounts()) {
+      return { valid: false, reason: 'Set up a staff account in Settings first', retryIn: 0, account: null };
+    }
+
+    if (!Pin.isSupported()) {
+      return { valid: false, reason: 'PIN checks need a secure (HTTPS) connection', retryIn: 0, account: null };
+    }
+
+    const account = this.getAccount(id);
+    if (!account) {
+      return { valid: false, reason: 'Choose your name', retryIn: 0, account: null };
+    }
+
+    let matches;
+    try {
+      matches = await Pin.matches(pin, account);
+    } catch (error) {
+      Utils.logError('StaffManager.authenticate', error);
+      return { valid: false, reason: 'Could not check PIN', retryIn: 0, account: null };
+    }
+
+    if (matches) {
+      Pin.clearFailures();
+      return { valid: true, reason: null, retryIn: 0, account };
+    }
+
+    const retryIn = Pin.recordFailure();
+    Audit.record('staff.sign_in_failed', { name: account.name }, null);
+    return {
+      valid: false,
+      reason: retryIn ? PinManager.describeLockout(retryIn) : 'Incorrect PIN',
+      retryIn,
+      account: null
+    };
+  }
+
+  /**
+   * Sign in to settings
+   * @param {string} id - Account ID
+   * @param {string} pin - Entered PIN
+   * @returns {Promise<Object>} - {valid, reason, retryIn, account}
+   */
+  async signIn(id, pin) {
+    const result = await this.authenticate(id, pin);
+    if (result.valid) {
+      this.current = result.account;
+      Audit.record('staff.sign_in');
+    }
+    return result;
+  }
+
+  signOut() {
+    this.current = null;
+  }
+
+  /**
+   * Create an account
+   * @param {Object} options - {name, role, pin}
+   * @returns {Promise<Object>} - {ok, reason, account}
+   */
+  async createAccount({ name, role, pin }) {
+    name = String(name || '').trim();
+    const accounts = this.getAccounts();
+
+    if (!name || name.length > CONFIG.STAFF.MAX_NAME_LENGTH) {
+      return { ok: false, reason: `Name must be 1–${CONFIG.STAFF.MAX_NAME_LENGTH} characters.`, account: null };
+    }
+    if (!CONFIG.STAFF.ROLES[role]) {
+      return { ok: false, reason: 'Unknown role.', account: null };
+    }
+    if (accounts.length >= CONFIG.STAFF.MAX_ACCOUNTS) {
+      return { ok: false, reason: `Up to ${CONFIG.STAFF.MAX_ACCOUNTS} staff accounts.`, account: null };
+    }
+
+    const problem = this.checkNewPin(pin);
+    if (problem) return { ok: false, reason: problem, account: null };
+
+    const account = {
+      id: Utils.generateUUID(),
+      name,
+      role,
+      ...(await Pin.createRecord(pin)),
+      createdAt: Date.now()
+    };
+    accounts.push(account);
+    if (!Storage.setStaffAccounts(accounts)) {
+      return { ok: false, reason: 'Could not save account.', account: null };
+    }
+
+    Audit.record('staff.create', { name, role });
+    return { ok: true, reason: null, account };
+  }
+
+  /**
+   * Rename an account or change its role
+   * @param {string} id - Account ID
+   * @param {Object} changes - {name, role}
+   * @returns {Object} - {ok, reason}
+   */
+  updateAccount(id, changes) {
+    const accounts = this.getAccounts();
+    const account = accounts.find(a => a.id === id);
+    if (!account) return { ok: false, reason: 'Account not found.' };
+
+    const name = changes.name === undefined ? account.name : String(changes.name).trim();
+    const role = changes.role === undefined ? account.role : changes.role;
+    if (!name || name.length > CONFIG.STAFF.MAX_NAME_LENGTH) {
+      return { ok: false, reason: `Name must be 1–${CONFIG.STAFF.MAX_NAME_LENGTH} characters.` };
+    }
+    if (!CONFIG.STAFF.ROLES[role]) return { ok: false, reason: 'Unknown role.' };
+    if (account.role === 'admin' && role !== 'admin' && this.countAdmins(accounts) === 1) {
+      return { ok: false, reason: 'Keep at least one admin.' };
+    }
+
+    const before = { name: account.name, role: account.role };
+    account.name = name;
+    account.role = role;
+    if (!Storage.setStaffAccounts(accounts)) return { ok: false, reason: 'Could not save account.' };
+
+    if (this.current && this.current.id === id) this.current = account;
+    Audit.record('staff.update', { account: before.name, name, role: `${before.role} → ${role}` });
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * Delete an account
+   * @param {string} id - Account ID
+   * @returns {Object} - {ok, reason}
+   */
+  removeAccount(id) {
+    const accounts = this.getAccounts();
+    const account = accounts.find(a => a.id === id);
+    if (!account) return { ok: false, reason: 'Account not found.' };
+    if (this.current && this.current.id === id) return { ok: false, reason: 'You can’t remove your own account.' };
+    if (account.role === 'admin' && this.countAdmins(accounts) === 1) {
+      return { ok: false, reason: 'Keep at least one admin.' };
+    }
+
+    if (!Storage.setStaffAccounts(accounts.filter(a => a.id !== id))) {
+      return { ok: false, reason: 'Could not save accounts.' };
+    }
+    Audit.record('staff.remove', { name: account.name, role: account.role });
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * Give an account a new PIN
+   * @param {string} id - Account ID
+   * @param {string} pin - New PIN
+   * @returns {Promise<Object>} - {ok, reason}
+   */
+  async changePin(id, pin) {
+    const accounts = this.getAccounts();
+    const account = accounts.find(a => a.id === id);
+    if (!account) return { ok: false, reason: 'Account not found.' };
+
+    const problem = this.checkNewPin(pin);
+    if (problem) return { ok: false, reason: problem };
+
+    Object.assign(account, await Pin.createRecord(pin));
+    if (!Storage.setStaffAccounts(accounts)) return { ok: false, reason: 'Could not save PIN.' };
+
+    Audit.record('staff.pin_change', { name: account.name });
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * @param {string} pin - Proposed PIN
+   * @returns {string|null} - Problem with the PIN, or null
+   */
+  checkNewPin(pin) {
+    const problem = Pin.validateNewPin(pin);
+    if (problem) return problem;
+    if (!Pin.isSupported()) return 'Setting a PIN needs a secure (HTTPS) connection.';
+    return null;
+  }
+
+  countAdmins(accounts) {
+    return accounts.filter(a => a.role === 'admin').length;
+  }
+
+  /**
+   * Turn the single settings PIN from earlier versions into an admin account
+   * The old shipped default is dropped instead, so first-run setup creates an account.
+   * @returns {Promise<boolean>} - True if an account was created
+   */
+  async migrate() {
+    const legacy = Storage.getPinRecord();
+    if (!legacy || this.hasAccounts()) return false;
+
+    let record = legacy;
+    if (typeof legacy === 'string') {
+      if (legacy === CONFIG.SECURITY.DEFAULT_PIN || Pin.validateNewPin(legacy) || !Pin.isSupported()) {
+        Storage.removeItem(CONFIG.STORAGE.KEYS.SETTINGS_PIN);
+        return false;
+      }
+      record = await Pin.createRecord(legacy);
+    }
+
+    const saved = Storage.setStaffAccounts([{
+      id: Utils.generateUUID(),
+      name: 'Admin',
+      role: 'admin',
+      salt: record.salt,
+      hash: record.hash,
+      iterations: record.iterations,
+      createdAt: Date.now()
+    }]);
+    if (saved) {
+      Storage.removeItem(CONFIG.STORAGE.KEYS.SETTINGS_PIN);
+      Audit.record('staff.migrate', { name: 'Admin' }, null);
+    }
+    return saved;
+  }
+}
+
+// Create global staff manager instance
+const Staff = new StaffManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StaffManager;
+}
@@ -6,6 +6,70 @@
 class StorageManager {
   constructor() {
     this.isAvailable = this.checkStorageAvailability();
+    this.photoStore = null;
+
+    if (this.isAvailable) {
+      this.migrate();
+    }
+  }
+
+  /**
+   * Upgrade values saved by older versions to the current schema
+   * Steps run once each, in order, and the version reached is saved after every step.
+   */
+  migrate() {
+    const steps = {
+      2: () => this.migrateRawValues()
+    };
+    const from = this.getItem(CONFIG.STORAGE.KEYS.SCHEMA_VERSION, 1);
+
+    for (let version = from + 1; version <= CONFIG.STORAGE.SCHEMA_VERSION; version++) {
+      try {
+        steps[version]();
+      } catch (error) {
+        Utils.logError(`Storage.migrate v${version}`, error);
+        return;
+      }
+      this.setItem(CONFIG.STORAGE.KEYS.SCHEMA_VERSION, version);
+    }
+  }
+
+  /**
+   * Schema 2: the settings page used to write some keys directly, not as JSON
+   * (the PIN unquoted, approved codes as newline-separated text)
+   */
+  migrateRawValues() {
+    const keys = CONFIG.STORAGE.KEYS;
+
+    const pin = localStorage.getItem(keys.SETTINGS_PIN);
+    if (pin !== null && !this.isJSON(pin, value => typeof value === 'string' || typeof value === 'object')) {
+      this.setItem(keys.SETTINGS_PIN, pin);
+    }
+
+    const payment = localStorage.getItem(keys.PAYMENT_ENABLED);
+    if (payment !== null && !this.isJSON(payment, value => typeof value === 'boolean')) {
+      this.setPaymentEnabled(payment === 'true' || payment === '"true"');
+    }
+
+    const codes = localStorage.getItem(keys.APPROVED_CODES);
+    if (codes !== null && !this.isJSON(codes, Array.isArray)) {
+      const text = this.isJSON(codes, value => typeof value === 'string') ? JSON.parse(codes) : codes;
+      this.setApprovedCodeRecords(text.split(/\r?\n/).map(s => s.trim()).filter(Boolean).map(code => ({ code })));
+    }
+  }
+
+  /**
+   * Check that a raw stored string is JSON of the expected kind
+   * @param {string} raw - Raw localStorage value
+   * @param {Function} test - Check for the parsed value
+   * @returns {boolean}
+   */
+  isJSON(raw, test) {
+    try {
+      return test(JSON.parse(raw));
+    } catch (e) {
+      return false;
+    }
   }
 
   /**
@@ -162,16 +226,47 @@ class StorageManager {
   // Specific storage methods for application data
 
   /**
-   * Get photos from storage
+   * Get the IndexedDB photo library if it is loaded and supported
+   * @returns {PhotoStore|null}
+   */
+  getPhotoStore() {
+    if (!this.photoStore && typeof PhotoStore !== 'undefined') {
+      const store = new PhotoStore();
+      if (store.isSupported()) {
+        this.photoStore = store;
+      }
+    }
+    return this.photoStore;
+  }
+
+  /**
+   * Get photo metadata, oldest first
+   * @returns {Promise<Array>} - Array of photo objects
+   */
+  async getPhotos() {
+    const store = this.getPhotoStore();
+    if (!store) return this.getLegacyPhotos();
+
+    try {
+      return await store.getPhotos();
+    } catch (error) {
+      Utils.logError('Storage.getPhotos', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get photos from the legacy localStorage array
    * @returns {Array} - Array of photo objects
    */
-  getPhotos() {
+  getLegacyPhotos() {
     const photos = this.getItem(CONFIG.STORAGE.KEYS.PHOTOS, []);
     return Array.isArray(photos) ? photos : [];
   }
 
   /**
-   * Save photos to storage with cleanup if needed
+   * Save the legacy localStorage photo array with cleanup if needed
+   * (only used when IndexedDB is unavailable)
    * @param {Array} photos - Array of photo objects
    * @returns {boolean} - Success status
    */
@@ -188,44 +283,175 @@ class StorageManager {
 
   /**
    * Add single photo to storage
-   * @param {Object} photo - Photo object
-   * @returns {boolean} - Success status
+   * @param {Object} photo - Photo object with a `dataURL` or `blob`
+   * @returns {Promise<boolean>} - Success status
    */
-  addPhoto(photo) {
-    const photos = this.getPhotos();
-    photos.push(photo);
-    return this.setPhotos(photos);
+  async addPhoto(photo) {
+    const store = this.getPhotoStore();
+
+    if (!store) {
+      const photos = this.getLegacyPhotos();
+      photos.push(photo);
+      return this.setPhotos(photos);
+    }
+
+    try {
+      if (await store.isFull()) {
+        Utils.showToast(CONFIG.ERRORS.STORAGE_FULL, 'warn');
+        return false;
+      }
+
+      await store.addPhoto(photo);
+      return true;
+    } catch (error) {
+      Utils.logError('Storage.addPhoto', error);
+      if (error && error.name === 'QuotaExceededError') {
+        Utils.showToast(CONFIG.ERRORS.STORAGE_FULL, 'warn');
+      }
+      return false;
+    }
   }
 
   /**
    * Remove photo from storage
    * @param {string} photoId - Photo ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async removePhoto(photoId) {
+    return this.removePhotos([photoId]);
+  }
+
+  /**
+   * Remove several photos from storage
+   * @param {string[]} photoIds - Photo IDs
+   * @returns {Promise<boolean>} - Success status
+   */
+  async removePhotos(photoIds) {
+    const store = this.getPhotoStore();
+
+    if (!store) {
+      const photos = this.getLegacyPhotos();
+      return this.setPhotos(photos.filter(photo => !photoIds.includes(photo.id)));
+    }
+
+    try {
+      await store.removePhotos(photoIds);
+      return true;
+    } catch (error) {
+      Utils.logError('Storage.removePhotos', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the full-size photo Blob
+   * @param {string} photoId - Photo ID
+   * @returns {Promise<Blob|null>}
+   */
+  async getPhotoBlob(photoId) {
+    const store = this.getPhotoStore();
+
+    if (!store) {
+      const photo = this.getLegacyPhotos().find(p => p.id === photoId);
+      return photo ? Utils.dataURLtoBlob(photo.dataURL) : null;
+    }
+
+    try {
+      return await store.getPhotoBlob(photoId);
+    } catch (error) {
+      Utils.logError('Storage.getPhotoBlob', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the photo thumbnail Blob
+   * @param {string} photoId - Photo ID
+   * @returns {Promise<Blob|null>} - Thumbnail, or null when there is none
+   */
+  async getPhotoThumbnail(photoId) {
+    const store = this.getPhotoStore();
+    if (!store) return null;
+
+    try {
+      return await store.getThumbnail(photoId);
+    } catch (error) {
+      Utils.logError('Storage.getPhotoThumbnail', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the single settings PIN left by earlier versions, before staff accounts
+   * @returns {Object|string|null} - Hash record {salt, hash, iterations}, a plain PIN, or null
+   */
+  getPinRecord() {
+    const record = this.getItem(CONFIG.STORAGE.KEYS.SETTINGS_PIN);
+    if (record && typeof record === 'object') {
+      return typeof record.salt === 'string' && typeof record.hash === 'string' ? record : null;
+    }
+    return typeof record === 'string' ? record : null;
+  }
+
+  /**
+   * Get staff accounts
+   * @returns {Array} - Accounts {id, name, role, salt, hash, iterations, createdAt}
+   */
+  getStaffAccounts() {
+    const accounts = this.getItem(CONFIG.STORAGE.KEYS.STAFF_ACCOUNTS, []);
+    return Array.isArray(accounts)
+      ? accounts.filter(a => a && a.id && a.name && typeof a.salt === 'string' && typeof a.hash === 'string')
+      : [];
+  }
+
+  /**
+   * Save staff accounts
+   * @param {Array} accounts - Accounts
    * @returns {boolean} - Success status
    */
-  removePhoto(photoId) {
-    const photos = this.getPhotos();
-    const filteredPhotos = photos.filter(photo => photo.id !== photoId);
-    return this.setPhotos(filteredPhotos);
+  setStaffAccounts(accounts) {
+    if (!Array.isArray(accounts)) return false;
+    return this.setItem(CONFIG.STORAGE.KEYS.STAFF_ACCOUNTS, accounts);
   }
 
   /**
-   * Get settings PIN
-   * @returns {string} - PIN or default
+   * Get the audit log, oldest first
+   * @returns {Array} - Entries {id, at, staffId, staffName, role, action, details}
    */
-  getPin() {
-    return this.getItem(CONFIG.STORAGE.KEYS.SETTINGS_PIN, CONFIG.SECURITY.DEFAULT_PIN);
+  getAuditLog() {
+    const log = this.getItem(CONFIG.STORAGE.KEYS.AUDIT_LOG, []);
+    return Array.isArray(log) ? log : [];
   }
 
   /**
-   * Set settings PIN
-   * @param {string} pin - New PIN
+   * Save the audit log
+   * @param {Array} log - Entries
    * @returns {boolean} - Success status
    */
-  setPin(pin) {
-    if (typeof pin !== 'string' || pin.length !== CONFIG.SECURITY.PIN_LENGTH) {
-      return false;
-    }
-    return this.setItem(CONFIG.STORAGE.KEYS.SETTINGS_PIN, pin);
+  setAuditLog(log) {
+    if (!Array.isArray(log)) return false;
+    return this.setItem(CONFIG.STORAGE.KEYS.AUDIT_LOG, log.slice(-CONFIG.STAFF.AUDIT_LIMIT));
+  }
+
+  /**
+   * Get failed PIN attempt state
+   * @returns {Object} - {failures, lockedUntil}
+   */
+  getPinLockout() {
+    const lockout = this.getItem(CONFIG.STORAGE.KEYS.PIN_LOCKOUT, {});
+    return {
+      failures: Math.max(0, parseInt(lockout && lockout.failures, 10) || 0),
+      lockedUntil: Number(lockout && lockout.lockedUntil) || 0
+    };
+  }
+
+  /**
+   * Save failed PIN attempt state
+   * @param {Object} lockout - {failures, lockedUntil}
+   * @returns {boolean} - Success status
+   */
+  setPinLockout(lockout) {
+    return this.setItem(CONFIG.STORAGE.KEYS.PIN_LOCKOUT, lockout);
   }
 
   /**
@@ -245,27 +471,439 @@ class StorageManager {
     return this.setItem(CONFIG.STORAGE.KEYS.PAYMENT_ENABLED, Boolean(enabled));
   }
 
+  /**
+   * Get the packages offered on the payment screen
+   * @returns {Array} - Packages {id, name, shots, amountCents, linkUrl}
+   */
+  getPaymentPackages() {
+    const packages = this.getItem(CONFIG.STORAGE.KEYS.PAYMENT_PACKAGES);
+    const list = Array.isArray(packages) ? packages : CONFIG.PAYMENT.DEFAULT_PACKAGES;
+    return list.map(pkg => this.normalizePaymentPackage(pkg)).filter(pkg => pkg.id && pkg.name);
+  }
+
+  /**
+   * Save payment packages
+   * @param {Array} packages - Packages
+   * @returns {boolean} - Success status
+   */
+  setPaymentPackages(packages) {
+    if (!Array.isArray(packages) || packages.length > CONFIG.PAYMENT.MAX_PACKAGES) return false;
+
+    const seen = new Set();
+    const unique = packages
+      .map(pkg => this.normalizePaymentPackage(pkg))
+      .filter(pkg => pkg.id && pkg.name && !seen.has(pkg.id) && seen.add(pkg.id));
+
+    return this.setItem(CONFIG.STORAGE.KEYS.PAYMENT_PACKAGES, unique);
+  }
+
+  normalizePaymentPackage(pkg) {
+    const linkUrl = String(pkg.linkUrl || '').trim();
+    return {
+      id: String(pkg.id || '').trim(),
+      name: String(pkg.name || '').trim(),
+      shots: Math.max(1, parseInt(pkg.shots, 10) || 1),
+      amountCents: Math.max(0, Math.round(Number(pkg.amountCents)) || 0),
+      linkUrl: /^https:\/\//i.test(linkUrl) ? linkUrl : ''
+    };
+  }
+
+  /**
+   * Get the currency prices are charged in
+   * @returns {string} - ISO 4217 code
+   */
+  getPaymentCurrency() {
+    const currency = this.getItem(CONFIG.STORAGE.KEYS.PAYMENT_CURRENCY);
+    return typeof currency === 'string' && /^[A-Z]{3}$/.test(currency) ? currency : CONFIG.PAYMENT.CURRENCY;
+  }
+
+  /**
+   * Set the payment currency
+   * @param {string} currency - ISO 4217 code, e.g. 'USD'
+   * @returns {boolean} - Success status
+   */
+  setPaymentCurrency(currency) {
+    currency = String(currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) return false;
+    return this.setItem(CONFIG.STORAGE.KEYS.PAYMENT_CURRENCY, currency);
+  }
+
   /**
    * Get approved QR codes
    * @returns {Array} - Array of approved codes
    */
   getApprovedCodes() {
-    const codes = this.getItem(CONFIG.STORAGE.KEYS.APPROVED_CODES);
-    if (codes && typeof codes === 'string') {
-      return codes.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
-    }
-    return CONFIG.QR.DEFAULT_APPROVED_CODES.slice();
+    return this.getApprovedCodeRecords().map(record => record.code);
   }
 
   /**
-   * Set approved QR codes
+   * Set approved QR codes, keeping labels and counts for codes already on the list
    * @param {Array} codes - Array of approved codes
    * @returns {boolean} - Success status
    */
   setApprovedCodes(codes) {
     if (!Array.isArray(codes)) return false;
-    const codesString = codes.join('\n');
-    return this.setItem(CONFIG.STORAGE.KEYS.APPROVED_CODES, codesString);
+    const existing = new Map(this.getApprovedCodeRecords().map(record => [record.code, record]));
+    return this.setApprovedCodeRecords(codes.map(code => existing.get(code) || { code }));
+  }
+
+  /**
+   * Get approved codes with their labels, notes and redemption history
+   * @returns {Array} - Records {code, label, note, createdAt, redemptions, lastRedeemedAt}
+   */
+  getApprovedCodeRecords() {
+    let records = this.getItem(CONFIG.STORAGE.KEYS.APPROVED_CODES);
+
+    if (!Array.isArray(records)) {
+      records = CONFIG.QR.DEFAULT_APPROVED_CODES.map(code => ({ code }));
+    }
+
+    return records
+      .filter(record => record && typeof record.code === 'string' && record.code)
+      .map(record => this.normalizeCodeRecord(record));
+  }
+
+  /**
+   * Save approved code records; later duplicates of a code are dropped
+   * @param {Array} records - Code records
+   * @returns {boolean} - Success status
+   */
+  setApprovedCodeRecords(records) {
+    if (!Array.isArray(records)) return false;
+
+    const seen = new Set();
+    const unique = records
+      .map(record => this.normalizeCodeRecord(record))
+      .filter(record => record.code && !seen.has(record.code) && seen.add(record.code));
+
+    return this.setItem(CONFIG.STORAGE.KEYS.APPROVED_CODES, unique);
+  }
+
+  /**
+   * Count a successful use of an approved code
+   * @param {string} code - Approved code
+   * @returns {boolean} - Success status
+   */
+  recordCodeRedemption(code) {
+    const records = this.getApprovedCodeRecords();
+    const record = records.find(r => r.code === code);
+    if (!record) return false;
+
+    record.redemptions++;
+    record.lastRedeemedAt = Date.now();
+    return this.setApprovedCodeRecords(records);
+  }
+
+  normalizeCodeRecord(record) {
+    return {
+      code: String(record.code || '').trim(),
+      label: String(record.label || ''),
+      note: String(record.note || ''),
+      createdAt: Number(record.createdAt) || Date.now(),
+      redemptions: Math.max(0, parseInt(record.redemptions, 10) || 0),
+      lastRedeemedAt: Number(record.lastRedeemedAt) || null
+    };
+  }
+
+  /**
+   * Get the shared secret used to sign access tickets
+   * @returns {string} - Base64url key, or '' when not configured
+   */
+  getTicketKey() {
+    return this.getItem(CONFIG.STORAGE.KEYS.TICKET_KEY, '');
+  }
+
+  /**
+   * Set the ticket signing key
+   * @param {string} key - Base64url key
+   * @returns {boolean} - Success status
+   */
+  setTicketKey(key) {
+    if (typeof key !== 'string' || !/^[A-Za-z0-9\-_]{22,}$/.test(key)) {
+      return false;
+    }
+    return this.setItem(CONFIG.STORAGE.KEYS.TICKET_KEY, key);
+  }
+
+  /**
+   * Get redeemed tickets on this device
+   * @returns {Object} - Map of ticket ID to {redeemedAt, expiresAt}
+   */
+  getTicketLedger() {
+    const ledger = this.getItem(CONFIG.STORAGE.KEYS.TICKET_LEDGER, {});
+    return ledger && typeof ledger === 'object' && !Array.isArray(ledger) ? ledger : {};
+  }
+
+  /**
+   * Save the ticket redemption ledger
+   * @param {Object} ledger - Map of ticket ID to redemption
+   * @returns {boolean} - Success status
+   */
+  setTicketLedger(ledger) {
+    return this.setItem(CONFIG.STORAGE.KEYS.TICKET_LEDGER, ledger);
+  }
+
+  /**
+   * Get payment attempts still waiting for a callback
+   * @returns {Object} - Map of state nonce to {createdAt, method, amount, currency}
+   */
+  getPaymentAttempts() {
+    const attempts = this.getItem(CONFIG.STORAGE.KEYS.PAYMENT_ATTEMPTS, {});
+    return attempts && typeof attempts === 'object' && !Array.isArray(attempts) ? attempts : {};
+  }
+
+  /**
+   * Save pending payment attempts
+   * @param {Object} attempts - Map of state nonce to attempt
+   * @returns {boolean} - Success status
+   */
+  setPaymentAttempts(attempts) {
+    return this.setItem(CONFIG.STORAGE.KEYS.PAYMENT_ATTEMPTS, attempts);
+  }
+
+  /**
+   * Get transactions that have already started a session
+   * @returns {Object} - Map of transaction ID to {usedAt, provider, packageId, amount, currency, refundedAt}
+   */
+  getPaymentTransactions() {
+    const used = this.getItem(CONFIG.STORAGE.KEYS.PAYMENT_TRANSACTIONS, {});
+    return used && typeof used === 'object' && !Array.isArray(used) ? used : {};
+  }
+
+  /**
+   * Save used payment transactions
+   * @param {Object} used - Map of transaction ID to transaction record
+   * @returns {boolean} - Success status
+   */
+  setPaymentTransactions(used) {
+    return this.setItem(CONFIG.STORAGE.KEYS.PAYMENT_TRANSACTIONS, used);
+  }
+
+  /**
+   * Get the gallery upload endpoint
+   * @returns {string} - URL, or '' when uploads are off
+   */
+  getUploadEndpoint() {
+    const url = this.getItem(CONFIG.STORAGE.KEYS.UPLOAD_ENDPOINT, CONFIG.UPLOAD.ENDPOINT);
+    return this.isValidUploadEndpoint(url) ? url : '';
+  }
+
+  /**
+   * Set the gallery upload endpoint
+   * @param {string} url - HTTPS URL (plain HTTP only for this machine), or '' to turn uploads off
+   * @returns {boolean} - Success status
+   */
+  setUploadEndpoint(url) {
+    if (url !== '' && !this.isValidUploadEndpoint(url)) {
+      return false;
+    }
+    return this.setItem(CONFIG.STORAGE.KEYS.UPLOAD_ENDPOINT, url);
+  }
+
+  /**
+   * Get the guest gallery link template
+   * @returns {string} - HTTPS URL containing {id} or {code}, or '' when QR delivery is off
+   */
+  getGalleryUrl() {
+    const url = this.getItem(CONFIG.STORAGE.KEYS.GALLERY_URL, CONFIG.UPLOAD.GALLERY_URL);
+    return this.isValidGalleryUrl(url) ? url : '';
+  }
+
+  /**
+   * Set the guest gallery link template
+   * @param {string} url - e.g. https://gallery.example.com/p/{code}, or '' to turn QR delivery off
+   * @returns {boolean} - Success status
+   */
+  setGalleryUrl(url) {
+    if (url !== '' && !this.isValidGalleryUrl(url)) {
+      return false;
+    }
+    return this.setItem(CONFIG.STORAGE.KEYS.GALLERY_URL, url);
+  }
+
+  isValidGalleryUrl(url) {
+    return typeof url === 'string' && /^https:\/\//i.test(url) && /\{(id|code)\}/.test(url);
+  }
+
+  isValidUploadEndpoint(url) {
+    return typeof url === 'string' &&
+      /^(https:\/\/|http:\/\/(localhost|127\.0\.0\.1)(:\d+)?\/)/i.test(url);
+  }
+
+  /**
+   * Get queued photo uploads
+   * @returns {Array} - Entries {id, photoId, code, name, type, session, metadata, status, attempts, nextAttemptAt, lastError, queuedAt, sentAt}
+   */
+  getUploadQueue() {
+    const queue = this.getItem(CONFIG.STORAGE.KEYS.UPLOAD_QUEUE, []);
+    return Array.isArray(queue) ? queue : [];
+  }
+
+  /**
+   * Save the upload queue, keeping only the newest sent entries
+   * @param {Array} queue - Queue entries, oldest first
+   * @returns {boolean} - Success status
+   */
+  setUploadQueue(queue) {
+    if (!Array.isArray(queue)) return false;
+
+    const sent = queue.filter(entry => entry.status === 'sent');
+    const dropped = new Set(sent.slice(0, Math.max(0, sent.length - CONFIG.UPLOAD.SENT_LIMIT)));
+    return this.setItem(CONFIG.STORAGE.KEYS.UPLOAD_QUEUE, queue.filter(entry => !dropped.has(entry)));
+  }
+
+  /**
+   * Get the delivery sender chosen in Settings
+   * @returns {string} - Sender ID
+   */
+  getDeliverySender() {
+    const sender = this.getItem(CONFIG.STORAGE.KEYS.DELIVERY_SENDER, CONFIG.DELIVERY.SENDER);
+    return typeof sender === 'string' ? sender : CONFIG.DELIVERY.SENDER;
+  }
+
+  /**
+   * @param {string} sender - Sender ID
+   * @returns {boolean} - Success status
+   */
+  setDeliverySender(sender) {
+    return typeof sender === 'string' && this.setItem(CONFIG.STORAGE.KEYS.DELIVERY_SENDER, sender);
+  }
+
+  /**
+   * Get the delivery webhook URL
+   * @returns {string} - URL, or '' when not set
+   */
+  getDeliveryWebhook() {
+    const url = this.getItem(CONFIG.STORAGE.KEYS.DELIVERY_WEBHOOK, CONFIG.DELIVERY.WEBHOOK_URL);
+    return this.isValidUploadEndpoint(url) ? url : '';
+  }
+
+  /**
+   * Set the delivery webhook URL
+   * @param {string} url - HTTPS URL (plain HTTP only for this machine), or ''
+   * @returns {boolean} - Success status
+   */
+  setDeliveryWebhook(url) {
+    if (url !== '' && !this.isValidUploadEndpoint(url)) {
+      return false;
+    }
+    return this.setItem(CONFIG.STORAGE.KEYS.DELIVERY_WEBHOOK, url);
+  }
+
+  /**
+   * Get queued email and text deliveries
+   * @returns {Array} - Entries {id, photoId, channel, recipient, session, consentId, status, attempts, nextAttemptAt, lastError, queuedAt, sentAt}
+   */
+  getDeliveryQueue() {
+    const queue = this.getItem(CONFIG.STORAGE.KEYS.DELIVERY_QUEUE, []);
+    return Array.isArray(queue) ? queue : [];
+  }
+
+  /**
+   * Save the delivery queue, keeping only the newest sent entries
+   * @param {Array} queue - Queue entries, oldest first
+   * @returns {boolean} - Success status
+   */
+  setDeliveryQueue(queue) {
+    if (!Array.isArray(queue)) return false;
+
+    const sent = queue.filter(entry => entry.status === 'sent');
+    const dropped = new Set(sent.slice(0, Math.max(0, sent.length - CONFIG.DELIVERY.SENT_LIMIT)));
+    return this.setItem(CONFIG.STORAGE.KEYS.DELIVERY_QUEUE, queue.filter(entry => !dropped.has(entry)));
+  }
+
+  /**
+   * Get marketing consent records, oldest first
+   * @returns {Array} - Records {id, session, channel, recipient, text, photoId, consentedAt}
+   */
+  getConsentLog() {
+    const log = this.getItem(CONFIG.STORAGE.KEYS.CONSENT_LOG, []);
+    return Array.isArray(log) ? log : [];
+  }
+
+  /**
+   * Save consent records
+   * @param {Array} log - Records, oldest first
+   * @returns {boolean} - Success status
+   */
+  setConsentLog(log) {
+    if (!Array.isArray(log)) return false;
+    return this.setItem(CONFIG.STORAGE.KEYS.CONSENT_LOG, log.slice(-CONFIG.DELIVERY.CONSENT_LIMIT));
+  }
+
+  /**
+   * Get imported event profiles (the built-in default isn't stored)
+   * @returns {Array} - Profiles, in the order they were added
+   */
+  getEventProfiles() {
+    const profiles = this.getItem(CONFIG.STORAGE.KEYS.EVENT_PROFILES, []);
+    return Array.isArray(profiles) ? profiles : [];
+  }
+
+  /**
+   * Save imported event profiles
+   * @param {Array} profiles - Normalized profiles
+   * @returns {boolean} - Success status
+   */
+  setEventProfiles(profiles) {
+    if (!Array.isArray(profiles) || profiles.length > CONFIG.EVENTS.MAX_PROFILES) return false;
+    return this.setItem(CONFIG.STORAGE.KEYS.EVENT_PROFILES, profiles);
+  }
+
+  /**
+   * @returns {string} - ID of the event profile in use
+   */
+  getActiveEventId() {
+    const id = this.getItem(CONFIG.STORAGE.KEYS.ACTIVE_EVENT, CONFIG.EVENTS.DEFAULT_ID);
+    return typeof id === 'string' ? id : CONFIG.EVENTS.DEFAULT_ID;
+  }
+
+  /**
+   * @param {string} id - Event profile ID
+   * @returns {boolean} - Success status
+   */
+  setActiveEventId(id) {
+    return typeof id === 'string' && this.setItem(CONFIG.STORAGE.KEYS.ACTIVE_EVENT, id);
+  }
+
+  /**
+   * Get an account's credit balance
+   * @param {string} account - Account ID, email or QR code
+   * @returns {number|null} - Balance, or null if the account has never had credits
+   */
+  getCreditBalance(account) {
+    const value = this.getItem(CONFIG.STORAGE.KEYS.CREDIT_PREFIX + account);
+    return value === null ? null : Math.max(0, parseInt(value, 10) || 0);
+  }
+
+  /**
+   * Set an account's credit balance
+   * @param {string} account - Account ID
+   * @param {number} balance - New balance
+   * @returns {boolean} - Success status
+   */
+  setCreditBalance(account, balance) {
+    if (!account || !Number.isFinite(balance) || balance < 0) return false;
+    return this.setItem(CONFIG.STORAGE.KEYS.CREDIT_PREFIX + account, Math.floor(balance));
+  }
+
+  /**
+   * Get the credit change ledger, oldest first
+   * @returns {Array} - Entries {id, account, delta, balance, reason, session, at}
+   */
+  getCreditLedger() {
+    const ledger = this.getItem(CONFIG.STORAGE.KEYS.CREDIT_LEDGER, []);
+    return Array.isArray(ledger) ? ledger : [];
+  }
+
+  /**
+   * Save the credit ledger
+   * @param {Array} ledger - Ledger entries
+   * @returns {boolean} - Success status
+   */
+  setCreditLedger(ledger) {
+    if (!Array.isArray(ledger)) return false;
+    return this.setItem(CONFIG.STORAGE.KEYS.CREDIT_LEDGER, ledger.slice(-CONFIG.CREDITS.LEDGER_LIMIT));
   }
 
   /**
@@ -0,0 +1,241 @@
+/**
+ * Ticket Manager
+ * Signed, expiring, single-use QR access tickets.
+ *
+ * A ticket reads PB1.<payload>.<signature>, where payload is base64url JSON
+ * {i: ticket ID, e: expiry in unix seconds, s: shots allowed} and signature is
+ * an HMAC-SHA256 of "PB1.<payload>" with the key configured in settings.
+ */
+
+class TicketManager {
+  constructor() {
+    this.keyCache = null;
+  }
+
+  /**
+   * Check if a scanned code looks like a signed ticket
+   * @param {string} code - Scanned code
+   * @returns {boolean}
+   */
+  static isTicket(code) {
+    return typeof code === 'string' && code.startsWith(`${CONFIG.TICKETS.PREFIX}.`);
+  }
+
+  /**
+   * Check if WebCrypto signing is available (requires HTTPS or localhost)
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  /**
+   * Create a new random signing key
+   * @returns {string} - Base64url key
+   */
+  static generateKey() {
+    return TicketManager.base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  }
+
+  /**
+   * Import the configured key for HMAC use
+   * @returns {Promise<CryptoKey>}
+   */
+  async getKey() {
+    const secret = Storage.getTicketKey();
+    if (!secret) {
+      throw new Error('Ticket signing key not configured');
+    }
+
+    if (!this.keyCache || this.keyCache.secret !== secret) {
+      const key = await crypto.subtle.importKey(
+        'raw',
+        TicketManager.base64UrlDecode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+      );
+      this.keyCache = { secret, key };
+    }
+
+    return this.keyCache.key;
+  }
+
+  /**
+   * Mint a batch of tickets
+   * @param {Object} options - {count, shots, validHours}
+   * @returns {Promise<Array>} - Tickets {id, shots, expiresAt, code}
+   */
+  async mint({ count = 1, shots = CONFIG.TICKETS.DEFAULT_SHOTS, validHours = CONFIG.TICKETS.DEFAULT_VALID_HOURS } = {}) {
+    count = Math.min(Math.max(1, Math.floor(count)), CONFIG.TICKETS.MAX_BATCH);
+    shots = Math.max(1, Math.floor(shots));
+
+    const key = await this.getKey();
+    const expiresAt = Date.now() + validHours * 60 * 60 * 1000;
+    const tickets = [];
+
+    for (let n = 0; n < count; n++) {
+      const ticket = { id: TicketManager.generateId(), shots, expiresAt };
+      tickets.push({ ...ticket, code: await this.sign(ticket, key) });
+    }
+
+    return tickets;
+  }
+
+  /**
+   * Sign a ticket
+   * @param {Object} ticket - {id, shots, expiresAt}
+   * @param {CryptoKey} key - HMAC key
+   * @returns {Promise<string>} - Ticket code
+   */
+  async sign(ticket, key) {
+    const payload = TicketManager.base64UrlEncode(new TextEncoder().encode(JSON.stringify({
+      i: ticket.id,
+      e: Math.floor(ticket.expiresAt / 1000),
+      s: ticket.shots
+    })));
+    const body = `${CONFIG.TICKETS.PREFIX}.${payload}`;
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+
+    return `${body}.${TicketManager.base64UrlEncode(new Uint8Array(signature))}`;
+  }
+
+  /**
+   * Check a ticket's signature and expiry without redeeming it
+   * @param {string} code - Ticket code
+   * @returns {Promise<Object>} - {valid, ticket} or {valid: false, reason}
+   */
+  async verify(code) {
+    const parts = typeof code === 'string' ? code.split('.') : [];
+    if (parts.length !== 3 || parts[0] !== CONFIG.TICKETS.PREFIX) {
+      return { valid: false, reason: 'Not a valid ticket' };
+    }
+
+    if (!this.isSupported()) {
+      return { valid: false, reason: 'Tickets need a secure (HTTPS) connection' };
+    }
+
+    let ticket;
+    try {
+      const key = await this.getKey();
+      const signed = await crypto.subtle.verify(
+        'HMAC',
+        key,
+        TicketManager.base64UrlDecode(parts[2]),
+        new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+      );
+      if (!signed) {
+        return { valid: false, reason: 'Ticket signature is invalid' };
+      }
+
+      const payload = JSON.parse(new TextDecoder().decode(TicketManager.base64UrlDecode(parts[1])));
+      ticket = { id: String(payload.i), expiresAt: payload.e * 1000, shots: Number(payload.s) };
+    } catch (error) {
+      Utils.logError('TicketManager.verify', error);
+      return { valid: false, reason: error.message === 'Ticket signing key not configured' ? error.message : 'Not a valid ticket' };
+    }
+
+    if (!ticket.id || !(ticket.shots > 0) || !ticket.expiresAt) {
+      return { valid: false, reason: 'Not a valid ticket' };
+    }
+
+    if (Date.now() > ticket.expiresAt) {
+      return { valid: false, reason: 'Ticket expired', ticket };
+    }
+
+    return { valid: true, ticket };
+  }
+
+  /**
+   * Verify a ticket and mark it used
+   * @param {string} code - Ticket code
+   * @returns {Promise<Object>} - {valid, ticket} or {valid: false, reason}
+   */
+  async redeem(code) {
+    const result = await this.verify(code);
+    if (!result.valid) return result;
+
+    const { ticket } = result;
+    if (this.isRedeemed(ticket.id)) {
+      return { valid: false, reason: 'Ticket already used', ticket };
+    }
+
+    if (!this.markRedeemed(ticket)) {
+      // Without a ledger entry the ticket could be reused, so don't let it in
+      return { valid: false, reason: 'Could not record ticket', ticket };
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {string} id - Ticket ID
+   * @returns {boolean}
+   */
+  isRedeemed(id) {
+    return Object.prototype.hasOwnProperty.call(Storage.getTicketLedger(), id);
+  }
+
+  /**
+   * Record a ticket as used
+   * @param {Object} ticket - Verified ticket
+   * @returns {boolean} - Success status
+   */
+  markRedeemed(ticket) {
+    const ledger = this.pruneLedger(Storage.getTicketLedger());
+    ledger[ticket.id] = { redeemedAt: Date.now(), expiresAt: ticket.expiresAt };
+    return Storage.setTicketLedger(ledger);
+  }
+
+  /**
+   * Drop redemptions of tickets that expired long ago; they can't be replayed anyway
+   * @param {Object} ledger - Ledger map
+   * @returns {Object} - Pruned ledger
+   */
+  pruneLedger(ledger) {
+    const cutoff = Date.now() - CONFIG.TICKETS.LEDGER_RETENTION;
+    Object.keys(ledger).forEach(id => {
+      if (ledger[id].expiresAt < cutoff) delete ledger[id];
+    });
+    return ledger;
+  }
+
+  /**
+   * Get the number of tickets redeemed on this device
+   * @returns {number}
+   */
+  getRedeemedCount() {
+    return Object.keys(Storage.getTicketLedger()).length;
+  }
+
+  /**
+   * Random ticket ID in Crockford base32 (no I, L, O or U to misread)
+   * @returns {string}
+   */
+  static generateId() {
+    const alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    return Array.from(crypto.getRandomValues(new Uint8Array(10)), byte => alphabet[byte & 31]).join('');
+  }
+
+  static base64UrlEncode(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  static base64UrlDecode(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+}
+
+// Create global ticket manager instance
+const Tickets = new TicketManager();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TicketManager;
+}
@@ -0,0 +1,145 @@
+/**
+ * Upload Queue
+ * Sends saved photos to the gallery endpoint set in Settings. Each photo is queued
+ * in storage with its session and metadata, so uploads survive reloads and Wi-Fi
+ * drops; failures retry with exponential backoff up to CONFIG.UPLOAD.MAX_ATTEMPTS.
+ * Load js/retry-queue.js first.
+ */
+
+class UploadQueue extends RetryQueue {
+  constructor() {
+    super(CONFIG.UPLOAD);
+  }
+
+  /**
+   * @returns {boolean} - Whether an upload endpoint is set
+   */
+  isEnabled() {
+    return !!Storage.getUploadEndpoint();
+  }
+
+  load() {
+    return Storage.getUploadQueue();
+  }
+
+  save(queue) {
+    return Storage.setUploadQueue(queue);
+  }
+
+  /**
+   * Queue a saved photo for upload
+   * @param {Object} photo - Saved photo {id, code, name, type, session}
+   * @param {Object} metadata - Extra fields sent with it
+   * @returns {boolean} - False if uploads are off or it couldn't be queued
+   */
+  enqueue(photo, metadata = {}) {
+    if (!this.isEnabled()) return false;
+
+    const queue = this.load();
+    if (queue.some(entry => entry.photoId === photo.id)) return true;
+
+    queue.push({
+      id: Utils.generateUUID(),
+      photoId: photo.id,
+      code: photo.code || null,
+      name: photo.name,
+      type: photo.type,
+      session: photo.session || null,
+      metadata: { ...metadata },
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      queuedAt: Date.now(),
+      sentAt: null
+    });
+    if (!this.save(queue)) return false;
+
+    this.changed();
+    this.process();
+    return true;
+  }
+
+  /**
+   * Upload one entry's photo
+   * The photo ID goes with every attempt, so the server can ignore repeats.
+   * @param {Object} entry - Queue entry
+   * @param {Blob} blob - The photo
+   * @returns {Promise<Object>} - {ok, retry, error}
+   */
+  async deliver(entry, blob) {
+    const form = new FormData();
+    form.append('file', blob, entry.name);
+    form.append('id', entry.photoId);
+    form.append('code', entry.code || '');
+    form.append('session', entry.session || '');
+    form.append('metadata', JSON.stringify({ ...entry.metadata, name: entry.name, type: entry.type }));
+
+    try {
+      const response = await UploadQueue.post(Storage.getUploadEndpoint(), form);
+      if (response.ok) return { ok: true };
+      return { ok: false, retry: RetryQueue.isRetryable(response.status), error: `Server replied ${response.status}` };
+    } catch (e) {
+      return { ok: false, retry: true, error: e && e.name === 'AbortError' ? 'Timed out' : 'Network error' };
+    }
+  }
+
+  /**
+   * @returns {boolean} - Whether guests can be given a gallery link (needs uploads and a gallery link)
+   */
+  canDeliver() {
+    return this.isEnabled() && !!Storage.getGalleryUrl();
+  }
+
+  /**
+   * Link a guest can open to download a photo once it has uploaded
+   * @param {Object} photo - Queued photo {id, code}
+   * @returns {string|null} - null unless canDeliver()
+   */
+  getDeliveryLink(photo) {
+    if (!this.canDeliver()) return null;
+
+    return Storage.getGalleryUrl()
+      .replace(/\{id\}/g, encodeURIComponent(photo.id))
+      .replace(/\{code\}/g, encodeURIComponent(photo.code || ''));
+  }
+
+  /**
+   * Make a short code guests can type if they can't scan
+   * @returns {string}
+   */
+  static generateCode() {
+    const alphabet = CONFIG.UPLOAD.CODE_ALPHABET;
+    return Array.from(crypto.getRandomValues(new Uint8Array(CONFIG.UPLOAD.CODE_LENGTH)),
+      byte => alphabet[byte % alphabet.length]).join('');
+  }
+
+  /**
+   * POST a multipart form with a timeout
+   * @param {string} url - Endpoint
+   * @param {FormData} form - Body
+   * @returns {Promise<Response>}
+   */
+  static async post(url, form) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), CONFIG.UPLOAD.TIMEOUT) : null;
+
+    try {
+      return await fetch(url, {
+        method: 'POST',
+        body: form,
+        signal: controller ? controller.signal : undefined
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// Create global upload queue instance
+const Uploads = new UploadQueue();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UploadQueue;
+}
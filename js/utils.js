@@ -111,6 +111,15 @@ class Utils {
     };
   }
 
+  /**
+   * Resolve after a delay
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  static delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   /**
    * Format file size in human readable format
    * @param {number} bytes - File size in bytes
@@ -154,31 +163,44 @@ class Utils {
   }
 
   /**
-   * Convert data URL to File object
+   * Convert data URL to Blob
    * @param {string} dataURL - Data URL
-   * @param {string} filename - File name
-   * @returns {File} - File object
+   * @returns {Blob} - Blob object
    */
-  static dataURLtoFile(dataURL, filename = 'photo.png') {
+  static dataURLtoBlob(dataURL) {
     const [meta, b64] = dataURL.split(',');
-    const mime = (meta.match(/data:(.*?);base64/) || [])[1] || 'image/png';
+    const mime = (meta.match(/data:(.*?)(;|$)/) || [])[1] || 'image/png';
     const bin = atob(b64);
     const len = bin.length;
     const u8 = new Uint8Array(len);
     for (let i = 0; i < len; i++) {
       u8[i] = bin.charCodeAt(i);
     }
-    return new File([u8], filename, { type: mime });
+    return new Blob([u8], { type: mime });
+  }
+
+  /**
+   * Convert data URL to File object
+   * @param {string} dataURL - Data URL
+   * @param {string} filename - File name
+   * @returns {File} - File object
+   */
+  static dataURLtoFile(dataURL, filename = 'photo.png') {
+    const blob = Utils.dataURLtoBlob(dataURL);
+    return new File([blob], filename, { type: blob.type });
   }
 
   /**
    * Load image with promise
+   * Remote images are requested with CORS so drawing them doesn't taint the capture
+   * canvas; their host must send Access-Control-Allow-Origin or the load fails.
    * @param {string} src - Image source
    * @returns {Promise<HTMLImageElement>}
    */
   static loadImage(src) {
     return new Promise((resolve, reject) => {
       const img = new Image();
+      if (/^https?:\/\//i.test(src)) img.crossOrigin = 'anonymous';
       img.onload = () => resolve(img);
       img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
       img.src = src;
@@ -196,6 +218,10 @@ class Utils {
         return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
       case 'barcode':
         return 'BarcodeDetector' in window;
+      case 'worker':
+        return 'Worker' in window;
+      case 'mediaRecorder':
+        return 'MediaRecorder' in window && 'captureStream' in HTMLCanvasElement.prototype;
       case 'share':
         return 'share' in navigator;
       case 'shareFiles':
@@ -217,6 +243,100 @@ class Utils {
     return d.toLocaleString();
   }
 
+  /**
+   * Format an amount in minor units as a price
+   * @param {number} amountCents - Amount in cents (or the currency's minor unit)
+   * @param {string} currency - ISO 4217 code
+   * @returns {string} - e.g. "$2.50"
+   */
+  static formatCurrency(amountCents, currency = CONFIG.PAYMENT.CURRENCY) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amountCents / 100);
+    } catch (error) {
+      return `${(amountCents / 100).toFixed(2)} ${currency}`;
+    }
+  }
+
+  /**
+   * Build CSV text, quoting cells that need it
+   * Text cells starting with = + - @, a tab or a carriage return are prefixed with ' so
+   * spreadsheets don't run them as formulas. Numbers are left alone, so -5 stays a number.
+   * @param {Array<Array>} rows - Rows of cell values
+   * @returns {string} - CSV text
+   */
+  static toCSV(rows) {
+    return rows.map(row => row.map(value => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n');
+  }
+
+  /**
+   * Parse CSV text (RFC 4180 quoting)
+   * @param {string} text - CSV text
+   * @returns {Array<Array<string>>} - Non-empty rows
+   */
+  static parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    text = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char !== '"') {
+          field += char;
+        } else if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  /**
+   * Download text as a file
+   * @param {string} text - File contents
+   * @param {string} filename - Suggested file name
+   * @param {string} type - MIME type
+   */
+  static downloadText(text, filename, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 2000);
+  }
+
   /**
    * Clean up object URLs to prevent memory leaks
    * @param {string[]} urls - Array of object URLs
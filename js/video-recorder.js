@@ -0,0 +1,165 @@
+/**
+ * Video Recorder
+ * Records a canvas stream with MediaRecorder, redrawing the canvas every frame
+ */
+
+class VideoRecorder {
+  constructor() {
+    this.recorder = null;
+    this.chunks = [];
+    this.animationFrame = null;
+    this.stopTimer = null;
+    this.isRecording = false;
+  }
+
+  /**
+   * Check if canvas recording is supported
+   * @returns {boolean}
+   */
+  isSupported() {
+    return Utils.isFeatureSupported('mediaRecorder') && !!this.getSupportedMimeType();
+  }
+
+  /**
+   * Find the first configured container/codec the browser can record
+   * @returns {string|null} - MIME type or null
+   */
+  getSupportedMimeType() {
+    if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) {
+      return null;
+    }
+    return CONFIG.VIDEO.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  /**
+   * Get file extension for a recorded MIME type
+   * @param {string} mimeType - MIME type
+   * @returns {string} - File extension
+   */
+  static extensionFor(mimeType) {
+    return mimeType.startsWith('video/mp4') ? 'mp4' : 'webm';
+  }
+
+  /**
+   * Record a canvas for a fixed duration
+   * @param {HTMLCanvasElement} canvas - Canvas to record
+   * @param {number} duration - Clip length in milliseconds
+   * @param {Function} drawFrame - Called before every animation frame to paint the canvas
+   * @returns {Promise<Object>} - Recorded clip ({blob, type, extension})
+   */
+  record(canvas, duration, drawFrame) {
+    if (this.isRecording) {
+      return Promise.reject(new Error('Recording already in progress'));
+    }
+
+    const mimeType = this.getSupportedMimeType();
+    if (!mimeType || !Utils.isFeatureSupported('mediaRecorder')) {
+      return Promise.reject(new Error(CONFIG.ERRORS.VIDEO_UNSUPPORTED));
+    }
+
+    return new Promise((resolve, reject) => {
+      // Paint once so the stream starts with the final canvas size
+      drawFrame();
+
+      const stream = canvas.captureStream(CONFIG.VIDEO.FPS);
+      const type = mimeType.split(';')[0];
+
+      try {
+        this.recorder = new MediaRecorder(stream, {
+          mimeType,
+          videoBitsPerSecond: CONFIG.VIDEO.BITRATE
+        });
+      } catch (error) {
+        stream.getTracks().forEach(track => track.stop());
+        reject(error);
+        return;
+      }
+
+      this.chunks = [];
+      this.recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size) {
+          this.chunks.push(event.data);
+        }
+      };
+      this.recorder.onerror = (event) => {
+        this.cleanup(stream);
+        reject(event.error || new Error('Recording failed'));
+      };
+      this.recorder.onstop = () => {
+        this.cleanup(stream);
+        if (!this.chunks.length) {
+          reject(new Error('Recording produced no data'));
+          return;
+        }
+        resolve({
+          blob: new Blob(this.chunks, { type }),
+          type,
+          extension: VideoRecorder.extensionFor(type)
+        });
+      };
+
+      const loop = () => {
+        if (!this.isRecording) return;
+        try {
+          drawFrame();
+        } catch (error) {
+          Utils.logError('VideoRecorder.drawFrame', error);
+        }
+        this.animationFrame = requestAnimationFrame(loop);
+      };
+
+      this.isRecording = true;
+      this.recorder.start(1000);
+      loop();
+
+      this.stopTimer = setTimeout(() => this.stop(), duration);
+    });
+  }
+
+  /**
+   * Stop the current recording early
+   */
+  stop() {
+    if (this.recorder && this.recorder.state !== 'inactive') {
+      this.recorder.stop();
+    }
+  }
+
+  /**
+   * Release the render loop and stream tracks
+   * @param {MediaStream} stream - Canvas stream
+   */
+  cleanup(stream) {
+    this.isRecording = false;
+
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+
+    if (this.stopTimer) {
+      clearTimeout(this.stopTimer);
+      this.stopTimer = null;
+    }
+
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+    }
+
+    this.recorder = null;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.stop();
+    this.cleanup(null);
+    this.chunks = [];
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VideoRecorder;
+}
@@ -0,0 +1,67 @@
+/**
+ * Service Worker
+ * Keeps the booth working through Wi-Fi drops: pages, scripts, styles and the
+ * default overlays and props are precached into a cache named after
+ * CONFIG.APP.VERSION. A new version installs in the background and waits until
+ * staff apply it from Settings, then old caches are removed.
+ */
+
+importScripts('js/config.js');
+
+const CACHE_NAME = CONFIG.OFFLINE.CACHE_PREFIX + CONFIG.APP.VERSION;
+const IMAGES = [...CONFIG.ASSETS.DEFAULT_OVERLAYS, ...CONFIG.ASSETS.DEFAULT_PROPS].map(asset => asset.src);
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(CONFIG.OFFLINE.PRECACHE);
+    // Images are cached one by one, so a missing image doesn't stop the install
+    await Promise.all(IMAGES.map(src => cache.add(src).catch(() => null)));
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CONFIG.OFFLINE.CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Payment endpoints and anything off-site go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // Pages ignore the query so payment and ticket callbacks still open offline
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+
+    try {
+      const response = await fetch(request);
+      // Keep overlays and props added after install for the next outage
+      if (response.ok && url.pathname.includes('/img/')) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    } catch (error) {
+      if (request.mode === 'navigate') {
+        const home = await cache.match('index.html');
+        if (home) return home;
+      }
+      throw error;
+    }
+  })());
+});
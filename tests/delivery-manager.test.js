@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const WEBHOOK = 'https://hooks.test/deliver';
+
+/**
+ * Deliveries with the stub sender active, a stubbed fetch for the webhook sender and
+ * retry timers that never fire
+ */
+function setup() {
+  const requests = [];
+  const replies = [];
+  const env = loadScripts([
+    'js/config.js', 'js/utils.js', 'js/storage.js', 'js/retry-queue.js', 'js/upload-queue.js', 'js/delivery-manager.js'
+  ], {
+    clock: true,
+    globals: {
+      fetch: async (url, init) => {
+        requests.push({ url, form: init.body });
+        return new Response(null, { status: replies.length ? replies.shift() : 200 });
+      },
+      setTimeout: () => 0,
+      clearTimeout: () => {}
+    }
+  });
+  env.run(`
+    Utils.logError = () => {};
+    Storage.getPhotoBlob = async id => new Blob(['jpeg ' + id], { type: 'image/jpeg' });
+    Storage.setDeliverySender('stub');
+  `);
+
+  const Deliveries = env.get('Deliveries');
+  return {
+    env,
+    Deliveries,
+    requests,
+    replies,
+    stub: Deliveries.getSender('stub'),
+    async settle() {
+      do {
+        await new Promise(resolve => setImmediate(resolve));
+      } while (Deliveries.running);
+    }
+  };
+}
+
+const photo = (id = 'photo-1') => ({ id, code: 'K7Q2M9AB', name: `${id}.jpg`, type: 'image/jpeg', session: 'session-1' });
+
+test('the stub sender records each send instead of sending it', async () => {
+  const s = setup();
+  const result = s.Deliveries.request(photo(), ' Guest@Example.com ', true);
+  assert.equal(result.queued, true);
+  assert.equal(result.channel, 'email');
+  await s.settle();
+
+  assert.equal(s.stub.sent.length, 1);
+  const [sent] = s.stub.sent;
+  assert.equal(sent.channel, 'email');
+  assert.equal(sent.recipient, 'guest@example.com');
+  assert.equal(sent.photoId, 'photo-1');
+  assert.equal(sent.size, 'jpeg photo-1'.length);
+  assert.equal(sent.consentId, s.Deliveries.getConsents()[0].id);
+  assert.equal(s.requests.length, 0, 'nothing went over the network');
+  assert.deepEqual({ ...s.Deliveries.getCounts() }, { pending: 0, failed: 0, sent: 1 });
+});
+
+test('phone numbers are normalized and anything else is turned away before queueing', async () => {
+  const s = setup();
+  assert.deepEqual({ ...s.Deliveries.parseRecipient('+1 (555) 010-0199') }, { channel: 'sms', recipient: '+15550100199' });
+  assert.equal(s.Deliveries.parseRecipient('not an address'), null);
+
+  const rejected = s.Deliveries.request(photo(), 'not an address', true);
+  assert.equal(rejected.queued, false);
+  assert.equal(s.Deliveries.getEntries().length, 0);
+  assert.equal(s.Deliveries.getConsents().length, 0);
+});
+
+test('nothing is queued or recorded without consent', () => {
+  const s = setup();
+  const result = s.Deliveries.request(photo(), 'guest@example.com', false);
+  assert.equal(result.queued, false);
+  assert.equal(s.Deliveries.getEntries().length, 0);
+  assert.equal(s.Deliveries.getConsents().length, 0);
+});
+
+test('the webhook sender posts the delivery and retries only what can recover', async () => {
+  const s = setup();
+  s.env.run(`Storage.setDeliverySender('webhook'); Storage.setDeliveryWebhook('${WEBHOOK}');`);
+
+  s.replies.push(503);
+  s.Deliveries.request(photo('photo-1'), 'guest@example.com', true);
+  await s.settle();
+  const [retrying] = s.Deliveries.getEntries();
+  assert.equal(retrying.status, 'pending');
+  assert.equal(retrying.nextAttemptAt, s.env.clock.now + s.env.get('CONFIG').DELIVERY.BACKOFF_BASE);
+
+  const { url, form } = s.requests[0];
+  assert.equal(url, WEBHOOK);
+  assert.equal(form.get('id'), retrying.id);
+  assert.equal(form.get('recipient'), 'guest@example.com');
+  assert.equal(form.get('consentId'), retrying.consentId);
+
+  s.replies.push(422);
+  s.Deliveries.request(photo('photo-2'), '+15550100199', true);
+  await s.settle();
+  const [rejected] = s.Deliveries.getEntries();
+  assert.equal(rejected.status, 'failed');
+  assert.equal(rejected.lastError, 'Server replied 422');
+  assert.equal(s.stub.sent.length, 0);
+});
+
+test('marketing is a separate opt-in stored as its own field', async () => {
+  const s = setup();
+  const { CONSENT_TEXT, MARKETING_TEXT } = s.env.get('CONFIG').DELIVERY;
+
+  assert.equal(s.Deliveries.request(photo('photo-1'), 'one@example.com', true).queued, true, 'sends without marketing');
+  assert.equal(s.Deliveries.request(photo('photo-2'), 'two@example.com', true, true).queued, true);
+  assert.equal(s.Deliveries.request(photo('photo-3'), 'three@example.com', false, true).queued, false,
+    'marketing alone is not consent to send');
+  await s.settle();
+
+  const [optedIn, sendOnly] = s.Deliveries.getConsents();
+  assert.equal(sendOnly.recipient, 'one@example.com');
+  assert.equal(sendOnly.text, CONSENT_TEXT);
+  assert.equal(sendOnly.marketing, false);
+  assert.equal(sendOnly.marketingText, null);
+
+  assert.equal(optedIn.recipient, 'two@example.com');
+  assert.equal(optedIn.text, CONSENT_TEXT);
+  assert.equal(optedIn.marketing, true);
+  assert.equal(optedIn.marketingText, MARKETING_TEXT);
+
+  assert.equal(s.stub.sent.length, 2);
+  const csv = s.Deliveries.toCSV().split('\r\n');
+  assert.match(csv[0], /^consentedAt,channel,recipient,marketing,/);
+  assert.match(csv[1], /,one@example\.com,false,/);
+  assert.match(csv[2], /,two@example\.com,true,/);
+});
@@ -0,0 +1,237 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const WIDTH = 400;
+const HEIGHT = 800;
+
+/**
+ * A gesture handler wired to a fake stage canvas and a controller holding one
+ * selected prop. Pointer events go through the handler's real listeners.
+ */
+function setup(propState = {}) {
+  const env = loadScripts(['js/config.js', 'js/utils.js', 'js/history-manager.js', 'js/gesture-handler.js'], { clock: true });
+  env.run('Utils.showToast = () => {};');
+
+  const listeners = {};
+  const canvas = {
+    offsetWidth: WIDTH,
+    offsetHeight: HEIGHT,
+    style: {},
+    addEventListener: (type, callback) => { listeners[type] = callback; },
+    removeEventListener() {},
+    getBoundingClientRect: () => ({ left: 0, top: 0 }),
+    setPointerCapture() {},
+    releasePointerCapture() {}
+  };
+
+  const HistoryManager = env.get('HistoryManager');
+  const prop = { name: 'Crown', x: 0.5, y: 0.5, width: 100, height: 100, scale: 1, rotation: 0, locked: false, ...propState };
+  const controller = {
+    props: [prop],
+    selectedProp: prop,
+    history: new HistoryManager(50),
+    recorded: 0,
+    selectProp(p) { this.selectedProp = p; },
+    getPropTransform: p => ({ x: p.x, y: p.y, scale: p.scale, rotation: p.rotation }),
+    recordPropTransform(p, before) {
+      this.recorded++;
+      const after = this.getPropTransform(p);
+      this.history.push({ label: 'Move prop', undo: () => Object.assign(p, before), redo: () => Object.assign(p, after) });
+    }
+  };
+
+  const GestureHandler = env.get('GestureHandler');
+  const gestures = new GestureHandler();
+  gestures.canvas = canvas;
+  gestures.controller = controller;
+  gestures.isActive = true;
+  gestures.setupEventListeners();
+
+  const send = (type, pointerId, x, y) => {
+    listeners[type]({ pointerId, clientX: x, clientY: y, preventDefault() {} });
+  };
+
+  return {
+    env,
+    prop,
+    controller,
+    gestures,
+    down: (id, x, y) => send('pointerdown', id, x, y),
+    move: (id, x, y, ms = 16) => { env.clock.now += ms; send('pointermove', id, x, y); },
+    up: (id, x, y) => send('pointerup', id, x, y)
+  };
+}
+
+const deg = d => d * Math.PI / 180;
+const around = (cx, cy, r, degrees) => [cx + r * Math.cos(deg(degrees)), cy + r * Math.sin(deg(degrees))];
+
+test('pinch scales and rotates relative to where the fingers landed', () => {
+  const s = setup({ scale: 1.5, rotation: deg(30) });
+
+  // Fingers 80px apart on a horizontal line through the prop
+  s.down(1, 160, 400);
+  s.down(2, 240, 400);
+
+  // Spread to 120px apart and turn a quarter turn, in a few steps
+  for (let i = 1; i <= 5; i++) {
+    const r = 40 + 20 * (i / 5);
+    const [x1, y1] = around(200, 400, r, 180 + 90 * (i / 5));
+    const [x2, y2] = around(200, 400, r, 90 * (i / 5));
+    s.move(1, x1, y1);
+    s.move(2, x2, y2);
+  }
+  s.up(2, 0, 0);
+  s.up(1, 0, 0);
+
+  assert.ok(Math.abs(s.prop.scale - 1.5 * 1.5) < 1e-9, `scale ${s.prop.scale}`);
+  assert.ok(Math.abs(s.prop.rotation - deg(120)) < 1e-9, `rotation ${s.prop.rotation}`);
+  assert.ok(Math.abs(s.prop.x - 0.5) < 1e-9 && Math.abs(s.prop.y - 0.5) < 1e-9, 'center stays put');
+});
+
+test('scale is clamped to the configured range', () => {
+  const s = setup();
+  s.down(1, 190, 400);
+  s.down(2, 210, 400);
+  s.move(2, 400, 400);
+  s.move(1, 0, 400);
+  s.up(1, 0, 0);
+  s.up(2, 0, 0);
+
+  assert.equal(s.prop.scale, s.env.get('CONFIG').UI.MAX_SCALE);
+});
+
+test('rotation stays continuous across the ±180° seam', () => {
+  const s = setup({ rotation: 0 });
+
+  // Second finger starts at 170° around the first and sweeps past 180° to -170°
+  s.down(1, 200, 400);
+  s.down(2, ...around(200, 400, 100, 170));
+  [175, 180, 185, 190].forEach(a => s.move(2, ...around(200, 400, 100, a)));
+  s.up(2, 0, 0);
+  s.up(1, 0, 0);
+
+  // +20°, not the -340° a naive atan2 difference gives
+  assert.ok(Math.abs(s.prop.rotation - deg(20)) < 1e-9, `rotation ${s.prop.rotation * 180 / Math.PI}°`);
+});
+
+test('the seam also works sweeping the other way', () => {
+  const s = setup({ rotation: deg(10) });
+
+  s.down(1, 200, 400);
+  s.down(2, ...around(200, 400, 100, -170));
+  [-175, -180, -185, -195].forEach(a => s.move(2, ...around(200, 400, 100, a)));
+  s.up(2, 0, 0);
+  s.up(1, 0, 0);
+
+  assert.ok(Math.abs(s.prop.rotation - deg(-15)) < 1e-9, `rotation ${s.prop.rotation * 180 / Math.PI}°`);
+});
+
+test('one gesture is one undo step, even when a second finger joins part way', () => {
+  const s = setup();
+
+  s.down(1, 200, 400);
+  s.move(1, 220, 420);
+  s.move(1, 240, 440);
+  s.down(2, 340, 440);
+  s.move(2, 380, 440);
+  s.up(2, 380, 440);
+  s.move(1, 250, 450, 200); // Slow final move, so there is no fling
+  s.env.clock.now += 200;
+  s.up(1, 250, 450);
+
+  assert.equal(s.controller.recorded, 1);
+  assert.equal(s.controller.history.undoStack.length, 1);
+  assert.notEqual(s.prop.x, 0.5);
+
+  s.controller.history.undo();
+  assert.deepEqual({ x: s.prop.x, y: s.prop.y, scale: s.prop.scale, rotation: s.prop.rotation },
+    { x: 0.5, y: 0.5, scale: 1, rotation: 0 });
+});
+
+test('separate gestures are separate undo steps', () => {
+  const s = setup();
+
+  for (const dx of [20, 40]) {
+    s.down(1, 200, 400);
+    s.move(1, 200 + dx, 400, 200);
+    s.env.clock.now += 200;
+    s.up(1, 200 + dx, 400);
+  }
+
+  assert.equal(s.controller.history.undoStack.length, 2);
+});
+
+test('a fling coasts, stops dead at the stage edge and records one undo step when it settles', () => {
+  const s = setup({ x: 0.3 });
+
+  // Quick swipe right to 0.7: 40px per 16ms is 0.00625 stage widths per ms
+  s.down(1, 120, 400);
+  for (let i = 1; i <= 4; i++) s.move(1, 120 + 40 * i, 400);
+  s.up(1, 280, 400);
+  assert.ok(Math.abs(s.prop.x - 0.7) < 1e-9, 'lands under the finger');
+
+  assert.ok(s.gestures.inertiaFrame, 'fling started');
+  assert.equal(s.controller.recorded, 0, 'history waits for the fling to settle');
+
+  const frames = s.env.runFrames();
+  assert.ok(frames > 1 && frames < 1000, `settled after ${frames} frames`);
+  assert.equal(s.prop.x, 1, 'pinned to the right edge');
+  assert.equal(s.prop.y, 0.5, 'no vertical drift');
+  assert.equal(s.gestures.inertiaFrame, null);
+  assert.equal(s.controller.recorded, 1);
+
+  s.controller.history.undo();
+  assert.equal(s.prop.x, 0.3);
+});
+
+test('a diagonal fling keeps sliding along an edge it has hit', () => {
+  const s = setup({ x: 0.5, y: 0.95 });
+
+  s.down(1, 200, 760);
+  for (let i = 1; i <= 4; i++) s.move(1, 200 + 10 * i, 760 + 40 * i);
+  s.up(1, 240, 920);
+  s.env.runFrames();
+
+  assert.equal(s.prop.y, 1, 'pinned to the bottom edge');
+  assert.ok(s.prop.x > 0.6 && s.prop.x < 1, `still moved sideways to ${s.prop.x}`);
+});
+
+test('releasing after holding still does not fling', () => {
+  const s = setup();
+
+  s.down(1, 200, 400);
+  for (let i = 1; i <= 4; i++) s.move(1, 200 + 40 * i, 400);
+  s.env.clock.now += 500;
+  s.up(1, 360, 400);
+
+  assert.equal(s.gestures.inertiaFrame, null);
+  assert.equal(s.controller.recorded, 1);
+});
+
+test('a new touch stops a fling where it is and records it', () => {
+  const s = setup({ x: 0.2 });
+
+  s.down(1, 80, 400);
+  for (let i = 1; i <= 4; i++) s.move(1, 80 + 20 * i, 400);
+  s.up(1, 160, 400);
+  s.env.runFrames(16, 3);
+
+  const coasted = s.prop.x;
+  s.down(1, 300, 300);
+  assert.equal(s.gestures.inertiaFrame, null);
+  assert.equal(s.prop.x, coasted);
+  assert.equal(s.controller.recorded, 1);
+});
+
+test('locked props ignore gestures', () => {
+  const s = setup({ locked: true });
+
+  s.down(1, 200, 400);
+  s.move(1, 300, 500);
+  s.up(1, 300, 500);
+
+  assert.equal(s.prop.x, 0.5);
+  assert.equal(s.prop.y, 0.5);
+  assert.equal(s.controller.recorded, 0);
+});
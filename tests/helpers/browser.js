@@ -0,0 +1,114 @@
+/**
+ * Test helper: runs the booth's plain browser scripts inside a Node vm context with
+ * just enough of the browser around them (localStorage, window, navigator, crypto,
+ * a manual clock and animation frames). Classes and singletons are read back with get().
+ *
+ * Run the suite with: node --test tests/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function createLocalStorage(store = {}) {
+  return {
+    store,
+    getItem: key => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); },
+    removeItem: key => { delete store[key]; },
+    clear: () => Object.keys(store).forEach(key => delete store[key]),
+    key: index => Object.keys(store)[index] || null,
+    get length() { return Object.keys(store).length; }
+  };
+}
+
+/**
+ * @param {Array<string>} scripts - Paths relative to the repo root, e.g. 'js/config.js'
+ * @param {Object} options - {store: shared localStorage contents, globals: extra globals, clock: use a manual clock}
+ * @returns {Object} - {context, get(name), run(code), storage, clock, frames}
+ */
+function loadScripts(scripts, options = {}) {
+  const listeners = {};
+  const frames = new Map();
+  let nextFrame = 1;
+  const clock = { now: 1000000 };
+
+  const context = {
+    console,
+    crypto: webcrypto,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    Blob,
+    FormData,
+    Response,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    localStorage: createLocalStorage(options.store),
+    navigator: { onLine: true, userAgent: 'node' },
+    location: { href: 'https://booth.test/', origin: 'https://booth.test', pathname: '/', search: '' },
+    document: {
+      createElement: () => ({ style: {}, getContext: () => null }),
+      addEventListener() {},
+      documentElement: { style: { setProperty() {} } }
+    },
+    window: {
+      addEventListener: (type, callback) => { (listeners[type] = listeners[type] || []).push(callback); },
+      removeEventListener() {},
+      devicePixelRatio: 1
+    },
+    requestAnimationFrame: callback => {
+      const id = nextFrame++;
+      frames.set(id, callback);
+      return id;
+    },
+    cancelAnimationFrame: id => { frames.delete(id); },
+    ...options.globals
+  };
+  context.window.localStorage = context.localStorage;
+  context.self = context.window;
+  vm.createContext(context);
+
+  if (options.clock) {
+    context.performance = { now: () => clock.now };
+    vm.runInContext('Date.now = () => __clock.now;', Object.assign(context, { __clock: clock }));
+  }
+
+  scripts.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+
+  return {
+    context,
+    clock,
+    storage: context.localStorage,
+    get: name => vm.runInContext(name, context),
+    run: code => vm.runInContext(code, context),
+    /**
+     * Run queued animation frames, advancing the clock by `step` ms per frame
+     * @returns {number} - Frames run
+     */
+    runFrames(step = 16, limit = 1000) {
+      let count = 0;
+      while (frames.size && count < limit) {
+        clock.now += step;
+        const pending = Array.from(frames.entries());
+        frames.clear();
+        pending.forEach(([, callback]) => callback(clock.now));
+        count++;
+      }
+      return count;
+    },
+    frames,
+    dispatch: (type, event = {}) => (listeners[type] || []).forEach(callback => callback(event))
+  };
+}
+
+module.exports = { loadScripts, createLocalStorage, ROOT };
@@ -0,0 +1,76 @@
+/**
+ * Test helper: reads the 8-bit, non-interlaced PNGs under tests/fixtures into the
+ * RGBA {data, width, height} shape a canvas ImageData has.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * @param {string} file - Path to a PNG
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+function readPNG(file) {
+  const buffer = fs.readFileSync(file);
+  let offset = 8;
+  let width = 0;
+  let height = 0;
+  let colorType = 0;
+  const idat = [];
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      colorType = body[9];
+      if (body[8] !== 8 || body[12] !== 0 || !CHANNELS[colorType]) {
+        throw new Error(`${file}: only 8-bit, non-interlaced PNGs are supported`);
+      }
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    }
+    offset += length + 12;
+  }
+
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    for (let x = 0; x < stride; x++) {
+      const value = raw[y * (stride + 1) + 1 + x];
+      const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = x >= channels && y > 0 ? pixels[(y - 1) * stride + x - channels] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      pixels[y * stride + x] = (value + predictor) & 0xff;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const p = pixels.subarray(i * channels, i * channels + channels);
+    const [r, g, b] = channels >= 3 ? p : [p[0], p[0], p[0]];
+    data.set([r, g, b, channels === 2 || channels === 4 ? p[channels - 1] : 255], i * 4);
+  }
+
+  return { data, width, height };
+}
+
+module.exports = { readPNG };
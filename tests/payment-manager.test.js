@@ -0,0 +1,347 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadScripts } = require('./helpers/browser');
+
+const PAGE = 'https://booth.test/login.html';
+
+/**
+ * Payments on a fake login page. window.location is a plain object the Square
+ * deep link is "opened" from and the mock callback is "returned" to.
+ */
+function setup() {
+  const location = { href: PAGE, origin: 'https://booth.test', pathname: '/login.html', search: '' };
+  const env = loadScripts(['js/config.js', 'js/utils.js', 'js/storage.js', 'js/payment-manager.js'], {
+    clock: true,
+    globals: { location, fetch }
+  });
+  env.context.window.location = location;
+  env.context.window.history = { replaceState: (state, title, url) => { location.href = url; } };
+  env.run(`
+    Utils.logError = () => {};
+    CONFIG.PAYMENT.SQUARE_APP_ID = 'sq0idp-test';
+  `);
+
+  const Payments = env.get('Payments');
+
+  return {
+    env,
+    location,
+    Payments,
+    /**
+     * Start a Square payment and read back the deep link it opened
+     * @returns {Promise<Object>} - Deep link data {state, callback_url, amount_money}
+     */
+    async startSquare(packageId = 'single') {
+      const result = await Payments.start('square-pos', packageId);
+      assert.equal(result.status, 'redirect');
+      const link = new URL(location.href);
+      assert.equal(link.protocol, 'square-commerce-v1:');
+      return JSON.parse(link.searchParams.get('data'));
+    },
+    /**
+     * Come back from Square to the page and handle the callback
+     * @param {string} query - Callback query string
+     */
+    returnWith(query) {
+      location.href = `${PAGE}?${query}`;
+      return Payments.handleCallback();
+    }
+  };
+}
+
+// What Square Point of Sale appends to callback_url
+
+const iosCallback = fields => `data=${encodeURIComponent(JSON.stringify(fields))}`;
+
+const androidCallback = fields => new URLSearchParams(
+  Object.entries(fields).map(([key, value]) => [`com.squareup.pos.${key}`, value])
+).toString();
+
+test('an iOS callback for a pending attempt starts a paid session', async () => {
+  const s = setup();
+  const link = await s.startSquare('triple');
+  assert.equal(link.callback_url, PAGE);
+  assert.equal(link.amount_money.amount, 250);
+
+  const result = await s.returnWith(iosCallback({ status: 'ok', transaction_id: 'ios-txn-1', client_transaction_id: 'c-1', state: link.state }));
+
+  assert.equal(result.status, 'verified');
+  assert.equal(result.transaction.id, 'ios-txn-1');
+  assert.equal(result.transaction.shots, 3);
+  assert.equal(result.transaction.amount, 250);
+  assert.equal(s.location.href, PAGE, 'callback cleared from the address bar');
+  assert.deepEqual(Object.keys(s.env.run('Storage.getPaymentAttempts()')), []);
+});
+
+test('an Android callback for a pending attempt starts a paid session', async () => {
+  const s = setup();
+  const link = await s.startSquare();
+
+  const result = await s.returnWith(androidCallback({
+    SERVER_TRANSACTION_ID: 'android-txn-1',
+    CLIENT_TRANSACTION_ID: 'c-2',
+    REQUEST_METADATA: link.state
+  }));
+
+  assert.equal(result.status, 'verified');
+  assert.equal(result.transaction.id, 'android-txn-1');
+  assert.equal(s.location.href, PAGE);
+});
+
+test('a cancelled payment fails with the reason from Square', async () => {
+  const s = setup();
+  const link = await s.startSquare();
+
+  const ios = await s.returnWith(iosCallback({ status: 'error', error_code: 'payment_canceled', state: link.state }));
+  assert.equal(ios.status, 'failed');
+  assert.equal(ios.reason, 'Payment was canceled');
+
+  const again = await s.startSquare();
+  const android = await s.returnWith(androidCallback({
+    ERROR_CODE: 'com.squareup.pos.ERROR_TRANSACTION_CANCELED',
+    REQUEST_METADATA: again.state
+  }));
+  assert.equal(android.status, 'failed');
+  assert.equal(android.reason, 'Payment was canceled');
+});
+
+test('a state value that was never issued is rejected, and the real attempt stays pending', async () => {
+  const s = setup();
+  const link = await s.startSquare();
+
+  const forged = await s.returnWith(iosCallback({ status: 'ok', transaction_id: 'forged-1', state: 'f'.repeat(32) }));
+  assert.equal(forged.status, 'failed');
+  assert.equal(forged.reason, 'Payment was not started on this device or has expired');
+  assert.equal(s.Payments.isTransactionUsed('forged-1'), false);
+
+  const real = await s.returnWith(iosCallback({ status: 'ok', transaction_id: 'real-1', state: link.state }));
+  assert.equal(real.status, 'verified');
+});
+
+test('a Point of Sale callback without state matches no attempt', async () => {
+  const s = setup();
+  const link = await s.startSquare();
+
+  const stateless = await s.returnWith(androidCallback({ SERVER_TRANSACTION_ID: 'no-state-1' }));
+  assert.equal(stateless.status, 'failed');
+  assert.equal(stateless.reason, 'Payment was not started on this device or has expired');
+  assert.equal(s.Payments.isTransactionUsed('no-state-1'), false);
+
+  const real = await s.returnWith(androidCallback({ SERVER_TRANSACTION_ID: 'real-2', REQUEST_METADATA: link.state }));
+  assert.equal(real.status, 'verified', 'the real attempt is still pending');
+});
+
+test('replaying a callback does not start a second session', async () => {
+  const s = setup();
+  const link = await s.startSquare();
+  const callback = iosCallback({ status: 'ok', transaction_id: 'replay-1', state: link.state });
+
+  assert.equal((await s.returnWith(callback)).status, 'verified');
+
+  const replay = await s.returnWith(callback);
+  assert.equal(replay.status, 'failed');
+  assert.equal(replay.reason, 'Payment was not started on this device or has expired');
+});
+
+test('a transaction id can only pay for one attempt', async () => {
+  const s = setup();
+  const first = await s.startSquare();
+  assert.equal((await s.returnWith(iosCallback({ status: 'ok', transaction_id: 'shared-1', state: first.state }))).status, 'verified');
+
+  // A fresh attempt, but the callback carries the transaction that was already used
+  const second = await s.startSquare();
+  const reused = await s.returnWith(iosCallback({ status: 'ok', transaction_id: 'shared-1', state: second.state }));
+  assert.equal(reused.status, 'failed');
+  assert.equal(reused.reason, 'Payment already used');
+  assert.equal(s.Payments.getTransactions().length, 1);
+});
+
+test('an attempt that comes back after ATTEMPT_TTL has expired', async () => {
+  const s = setup();
+  const link = await s.startSquare();
+
+  s.env.clock.now += s.env.get('CONFIG').PAYMENT.ATTEMPT_TTL + 1;
+  const late = await s.returnWith(iosCallback({ status: 'ok', transaction_id: 'late-1', state: link.state }));
+
+  assert.equal(late.status, 'failed');
+  assert.equal(late.reason, 'Payment was not started on this device or has expired');
+  assert.equal(s.Payments.isTransactionUsed('late-1'), false);
+});
+
+test('the legacy ?paid=1 flag is rejected and cleared', async () => {
+  const s = setup();
+  await s.startSquare();
+
+  const query = await s.returnWith('paid=1');
+  assert.equal(query.status, 'failed');
+  assert.equal(query.reason, 'Payment could not be verified');
+  assert.equal(s.location.href, PAGE);
+
+  s.location.href = `${PAGE}#paid=1`;
+  const hash = await s.Payments.handleCallback();
+  assert.equal(hash.status, 'failed');
+  assert.equal(s.location.href, PAGE);
+
+  assert.equal(s.Payments.getTransactions().length, 0);
+  assert.equal(Object.keys(s.env.run('Storage.getPaymentAttempts()')).length, 1, 'the real attempt is untouched');
+});
+
+test('a page with no callback reports none', async () => {
+  const s = setup();
+  assert.equal((await s.Payments.handleCallback()).status, 'none');
+  assert.equal((await s.returnWith('utm_source=poster')).status, 'none');
+});
+
+test('a malformed iOS data parameter fails without throwing', async () => {
+  const s = setup();
+  await s.startSquare();
+  const result = await s.returnWith('data=%7Bnot-json');
+  assert.equal(result.status, 'failed');
+});
+
+/**
+ * Run a local verification endpoint that confirms only the transactions it's given
+ */
+async function withVerifyServer(confirmed, callback) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      requests.push(payload);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(confirmed.includes(payload.transactionId)
+        ? { verified: true }
+        : { verified: false, reason: 'Unknown transaction' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await callback(`http://127.0.0.1:${server.address().port}/verify`, requests);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('payment link callbacks are checked with the verification endpoint', async () => {
+  const s = setup();
+  s.env.run("CONFIG.PAYMENT.PAYMENT_LINK_URL = 'https://square.link/u/test';");
+
+  await withVerifyServer(['order-1'], async (url, requests) => {
+    const EndpointPaymentVerifier = s.env.get('EndpointPaymentVerifier');
+    s.Payments.setVerifier(new EndpointPaymentVerifier(url));
+
+    assert.equal((await s.Payments.start('payment-link', 'single')).status, 'redirect');
+    const paid = await s.returnWith('orderId=order-1');
+    assert.equal(paid.status, 'verified');
+    assert.deepEqual({ ...requests[0] }, {
+      provider: 'payment-link',
+      transactionId: 'order-1',
+      clientTransactionId: null,
+      orderId: 'order-1',
+      state: null,
+      amount: 100,
+      currency: 'USD'
+    });
+
+    await s.Payments.start('payment-link', 'single');
+    const unknown = await s.returnWith('orderId=order-2');
+    assert.equal(unknown.status, 'failed');
+    assert.equal(unknown.reason, 'Unknown transaction');
+  });
+});
+
+test('payment links are only offered when something can verify them', () => {
+  const s = setup();
+  s.env.run("CONFIG.PAYMENT.PAYMENT_LINK_URL = 'https://square.link/u/test';");
+  const offered = payments => payments.getAvailableProviders(payments.getPackage('single')).map(p => p.id);
+
+  assert.ok(!offered(s.Payments).includes('payment-link'), 'not with the default verifier');
+
+  const withEndpoint = s.env.run(`
+    CONFIG.PAYMENT.VERIFY_URL = 'https://booth.test/verify';
+    new PaymentManager();
+  `);
+  assert.ok(offered(withEndpoint).includes('payment-link'), 'with VERIFY_URL');
+
+  s.Payments.setVerifier({ verify: async () => ({ verified: true }) });
+  assert.ok(offered(s.Payments).includes('payment-link'), 'with a custom verifier');
+});
+
+test('the default verifier rejects payment link callbacks', async () => {
+  const s = setup();
+  s.env.run("CONFIG.PAYMENT.PAYMENT_LINK_URL = 'https://square.link/u/test';");
+
+  const start = await s.Payments.start('payment-link', 'single');
+  assert.equal(start.status, 'failed');
+  assert.equal(start.reason, 'Payment option not available');
+
+  const verifier = new (s.env.get('PaymentVerifier'))();
+  const result = await verifier.verify({ provider: 'payment-link', transactionId: 'link-1' }, {});
+  assert.equal(result.verified, false);
+  assert.equal(result.reason, 'Payment links need a verification endpoint');
+});
+
+test('a payment is kept for another try while the verify server is down', async () => {
+  const s = setup();
+  s.env.run("CONFIG.PAYMENT.PAYMENT_LINK_URL = 'https://square.link/u/test';");
+  const EndpointPaymentVerifier = s.env.get('EndpointPaymentVerifier');
+
+  // A port nothing is listening on any more
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const downUrl = `http://127.0.0.1:${closed.address().port}/verify`;
+  await new Promise(resolve => closed.close(resolve));
+
+  s.Payments.setVerifier(new EndpointPaymentVerifier(downUrl));
+  await s.Payments.start('payment-link', 'single');
+  const down = await s.returnWith('orderId=order-1');
+  assert.equal(down.status, 'failed');
+  assert.equal(down.retry, true);
+  assert.ok(s.location.href.includes('orderId=order-1'), 'callback stays in the URL');
+  assert.equal(Object.keys(s.env.get('Storage').getPaymentAttempts()).length, 1);
+
+  await withVerifyServer(['order-1'], async url => {
+    s.Payments.setVerifier(new EndpointPaymentVerifier(url));
+    const paid = await s.Payments.handleCallback();
+    assert.equal(paid.status, 'verified');
+    assert.equal(paid.retry, false);
+    assert.equal(paid.transaction.id, 'order-1');
+  });
+  assert.equal(s.location.href, PAGE);
+  assert.equal(Object.keys(s.env.get('Storage').getPaymentAttempts()).length, 0);
+});
+
+test('a verify server error is retried, but a rejection is final', async () => {
+  const s = setup();
+  let status = 503;
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ verified: false, reason: 'Card declined' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const EndpointPaymentVerifier = s.env.get('EndpointPaymentVerifier');
+    s.Payments.setVerifier(new EndpointPaymentVerifier(`http://127.0.0.1:${server.address().port}/verify`));
+    const data = await s.startSquare();
+
+    const unavailable = await s.returnWith(iosCallback({ status: 'ok', transaction_id: 'txn-1', state: data.state }));
+    assert.equal(unavailable.retry, true);
+
+    status = 200;
+    const rejected = await s.Payments.handleCallback();
+    assert.equal(rejected.status, 'failed');
+    assert.equal(rejected.retry, false);
+    assert.equal(rejected.reason, 'Card declined');
+    assert.equal(s.location.href, PAGE);
+    assert.equal((await s.Payments.handleCallback()).status, 'none');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
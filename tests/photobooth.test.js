@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const ORIGIN = 'https://booth.test';
+
+/**
+ * Images load on the next tick and remember how they were requested. Like a browser,
+ * the canvas is tainted by a cross-origin image fetched without CORS and then refuses
+ * toDataURL.
+ */
+class FakeImage {
+  constructor() {
+    this.width = 200;
+    this.height = 100;
+    this.crossOrigin = null;
+  }
+
+  set src(value) {
+    this.url = value;
+    setTimeout(() => this.onload());
+  }
+
+  get src() {
+    return this.url;
+  }
+}
+
+function createCanvas() {
+  const canvas = {
+    width: 0,
+    height: 0,
+    tainted: false,
+    getContext: () => context,
+    toDataURL() {
+      if (canvas.tainted) throw new Error('SecurityError: Tainted canvases may not be exported.');
+      return 'data:image/png;base64,AAAA';
+    }
+  };
+  const context = {
+    drawImage(img) {
+      const url = new URL(img.src, ORIGIN);
+      if (url.protocol !== 'data:' && url.origin !== ORIGIN && img.crossOrigin !== 'anonymous') {
+        canvas.tainted = true;
+      }
+    },
+    save() {},
+    restore() {},
+    translate() {},
+    rotate() {},
+    scale() {}
+  };
+  return canvas;
+}
+
+/**
+ * A booth controller without the page around it, holding just the capture canvas
+ */
+function setup() {
+  const env = loadScripts([
+    'js/config.js', 'js/utils.js', 'js/storage.js', 'js/event-profiles.js',
+    'js/history-manager.js', 'js/photobooth.js'
+  ], { globals: { Image: FakeImage } });
+  env.run('Utils.showToast = () => {};');
+
+  const HistoryManager = env.get('HistoryManager');
+  const controller = Object.create(env.get('PhotoboothController').prototype);
+  Object.assign(controller, {
+    props: [],
+    selectedProp: null,
+    currentOverlay: null,
+    faceTracking: false,
+    history: new HistoryManager(50),
+    elements: { canvas: createCanvas() }
+  });
+  return { env, controller };
+}
+
+test('a profile with an https prop still captures', async () => {
+  const { env, controller } = setup();
+  const { profile, errors } = env.get('Profiles').normalize({
+    name: 'Gala',
+    props: [{ name: 'Remote Hat', src: 'https://cdn.example.com/hat.png' }],
+    overlays: [{ name: 'Remote Frame', src: 'https://cdn.example.com/frame.png' }]
+  });
+  assert.deepEqual(Array.from(errors), []);
+
+  await controller.addProp(profile.props[0]);
+  assert.equal(controller.props.length, 1);
+  assert.equal(controller.props[0].img.crossOrigin, 'anonymous');
+
+  controller.currentOverlay = profile.overlays[0];
+  await controller.compositeImage('data:image/png;base64,AAAA');
+
+  assert.equal(controller.elements.canvas.tainted, false);
+  assert.equal(controller.canvasCapture().dataURL, 'data:image/png;base64,AAAA');
+});
+
+test('site images load without a CORS request', async () => {
+  const { env } = setup();
+  const Utils = env.get('Utils');
+
+  assert.equal((await Utils.loadImage('img/overlays/frame.png')).crossOrigin, null);
+  assert.equal((await Utils.loadImage('data:image/png;base64,AAAA')).crossOrigin, null);
+  assert.equal((await Utils.loadImage('http://localhost:8080/hat.png')).crossOrigin, 'anonymous');
+});
+
+/**
+ * A controller holding two props, the second one selected
+ */
+function withProps() {
+  const { controller } = setup();
+  const prop = name => ({ name, x: 0.5, y: 0.5, scale: 1, rotation: 0, flipX: false, opacity: 1, locked: false });
+  const [back, front] = [prop('Crown'), prop('Shades')];
+  controller.props.push(back, front);
+  controller.selectedProp = front;
+  return { controller, back, front, names: () => controller.props.map(p => p.name) };
+}
+
+test('layer moves are undone and redone one step at a time', () => {
+  const { controller, front, names } = withProps();
+
+  controller.sendPropBackward(front);
+  assert.deepEqual(names(), ['Shades', 'Crown']);
+  controller.bringPropForward(front);
+  assert.deepEqual(names(), ['Crown', 'Shades']);
+
+  assert.equal(controller.history.undo().label, 'Bring prop forward');
+  assert.deepEqual(names(), ['Shades', 'Crown']);
+  assert.equal(controller.history.undo().label, 'Send prop backward');
+  assert.deepEqual(names(), ['Crown', 'Shades']);
+  controller.history.redo();
+  assert.deepEqual(names(), ['Shades', 'Crown']);
+});
+
+test('flip, opacity and lock changes are each an undo step', () => {
+  const { controller, front } = withProps();
+
+  controller.flipProp(front);
+  controller.setPropOpacity(front, 0.5);
+  controller.togglePropLock(front);
+  assert.deepEqual([front.flipX, front.opacity, front.locked], [true, 0.5, true]);
+
+  assert.equal(controller.history.undo().label, 'Lock prop');
+  assert.equal(front.locked, false);
+  assert.equal(controller.history.undo().label, 'Change prop opacity');
+  assert.equal(front.opacity, 1);
+  assert.equal(controller.history.undo().label, 'Flip prop');
+  assert.equal(front.flipX, false);
+
+  controller.history.redo();
+  controller.history.redo();
+  assert.deepEqual([front.flipX, front.opacity, front.locked], [true, 0.5, false]);
+});
+
+test('an opacity that is already at its limit adds no undo step', () => {
+  const { controller, front } = withProps();
+
+  controller.setPropOpacity(front, 1.2);
+  assert.equal(front.opacity, 1);
+  assert.equal(controller.history.undo(), null);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadScripts, ROOT } = require('./helpers/browser');
+const { readPNG } = require('./helpers/png');
+
+// Fixtures were rendered from another QR library's module matrix, not js/qr-encoder.js,
+// so a shared mistake in our encoder and decoder can't cancel out here.
+const FIXTURES = path.join(__dirname, 'fixtures', 'qr');
+const fixture = name => readPNG(path.join(FIXTURES, name));
+
+const CASES = [
+  ['upright.png', 'https://booth.test/p/K7Q2M9'],
+  ['rotated-90.png', 'https://booth.test/p/K7Q2M9'],
+  ['rotated-23.png', 'BOOTH CODE 4821'],
+  ['mirrored.png', 'https://booth.test/p/K7Q2M9'],
+  ['low-contrast.png', '012345678901234567890'],
+  ['mirrored-rotated-low-contrast.png', 'Glögang 📸 photo booth']
+];
+
+const env = loadScripts(['js/qr-decoder.js']);
+const QRDecoder = env.get('QRDecoder');
+
+for (const [name, text] of CASES) {
+  test(`decodes ${name}`, () => {
+    assert.equal(QRDecoder.decode(fixture(name)), text);
+  });
+}
+
+test('returns null when there is no code in the frame', () => {
+  const { width, height } = fixture('upright.png');
+  const data = new Uint8ClampedArray(width * height * 4).fill(200);
+  assert.equal(QRDecoder.decode({ data, width, height }), null);
+});
+
+test('returns null when too much of the code is covered to correct', () => {
+  const image = fixture('upright.png');
+  // Paint a light band across the middle third of the symbol
+  for (let y = Math.floor(image.height * 0.4); y < image.height * 0.6; y++) {
+    image.data.fill(235, y * image.width * 4, (y + 1) * image.width * 4);
+  }
+  assert.equal(QRDecoder.decode(image), null);
+});
+
+/**
+ * Load js/qr-worker.js the way a browser would, with importScripts resolving
+ * relative to js/ and postMessage captured
+ */
+function loadWorker() {
+  const posted = [];
+  const context = { TextDecoder, console, postMessage: message => posted.push(message) };
+  context.self = context;
+  context.importScripts = (...files) => files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'js', file), 'utf8'), context, { filename: file });
+  });
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'js/qr-worker.js'), 'utf8'), context, { filename: 'qr-worker.js' });
+  return { posted, send: data => context.onmessage({ data }) };
+}
+
+test('the worker replies with the decoded text under the request id', () => {
+  const worker = loadWorker();
+  worker.send({ id: 7, image: fixture('rotated-23.png') });
+  worker.send({ id: 8, image: fixture('mirrored.png') });
+  assert.deepEqual(worker.posted.map(m => ({ ...m })), [
+    { id: 7, text: 'BOOTH CODE 4821' },
+    { id: 8, text: 'https://booth.test/p/K7Q2M9' }
+  ]);
+});
+
+test('the worker survives a bad frame and keeps answering', () => {
+  const worker = loadWorker();
+  worker.send({ id: 1, image: { data: null, width: 10, height: 10 } });
+  worker.send({ id: 2, image: fixture('low-contrast.png') });
+  assert.deepEqual(worker.posted.map(m => ({ ...m })), [
+    { id: 1, text: null },
+    { id: 2, text: '012345678901234567890' }
+  ]);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+/**
+ * Staff accounts in a fresh store, with cheap PIN hashing so the tests stay quick
+ */
+async function setup() {
+  const env = loadScripts([
+    'js/config.js', 'js/utils.js', 'js/storage.js', 'js/pin-manager.js', 'js/audit-log.js', 'js/staff-manager.js'
+  ]);
+  env.run('CONFIG.SECURITY.PIN_HASH_ITERATIONS = 1000;');
+
+  const Staff = env.get('Staff');
+  const ana = (await Staff.createAccount({ name: 'Ana', role: 'admin', pin: '4821' })).account;
+  const ben = (await Staff.createAccount({ name: 'Ben', role: 'operator', pin: '7305' })).account;
+  return { env, Staff, Pin: env.get('Pin'), ana, ben };
+}
+
+test('signing in checks only the chosen account', async () => {
+  const { Staff, Pin, ana, ben } = await setup();
+  const checked = [];
+  const matches = Pin.matches.bind(Pin);
+  Pin.matches = (pin, account) => {
+    checked.push(account.name);
+    return matches(pin, account);
+  };
+
+  const result = await Staff.signIn(ben.id, '7305');
+  assert.equal(result.valid, true);
+  assert.equal(Staff.current.id, ben.id);
+  assert.deepEqual(checked, ['Ben']);
+
+  // A colleague's PIN doesn't sign in under another name
+  const wrong = await Staff.authenticate(ana.id, '7305');
+  assert.equal(wrong.valid, false);
+  assert.equal(wrong.reason, 'Incorrect PIN');
+});
+
+test('a PIN has to be entered with a name', async () => {
+  const { Staff } = await setup();
+
+  const result = await Staff.authenticate(null, '4821');
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'Choose your name');
+});
+
+test('two staff may have the same PIN', async () => {
+  const { Staff, ana, ben } = await setup();
+
+  const changed = await Staff.changePin(ben.id, '4821');
+  assert.equal(changed.ok, true);
+  assert.equal((await Staff.authenticate(ana.id, '4821')).account.name, 'Ana');
+  assert.equal((await Staff.authenticate(ben.id, '4821')).account.name, 'Ben');
+
+  const created = await Staff.createAccount({ name: 'Cy', role: 'manager', pin: '4821' });
+  assert.equal(created.ok, true);
+});
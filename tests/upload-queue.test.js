@@ -0,0 +1,248 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const ENDPOINT = 'https://gallery.test/upload';
+
+/**
+ * An upload queue whose fetch replies from a script of status codes (or errors to
+ * throw), on a manual clock with its timers captured instead of run.
+ * Pages that pass the same store share localStorage, like two tabs or a reload.
+ */
+function setup(store = {}) {
+  const requests = [];
+  const replies = [];
+  const timers = new Map();
+  let nextTimer = 1;
+
+  const env = loadScripts(['js/config.js', 'js/utils.js', 'js/storage.js', 'js/retry-queue.js', 'js/upload-queue.js'], {
+    store,
+    clock: true,
+    globals: {
+      fetch: async (url, init) => {
+        requests.push({ url, form: init.body });
+        const reply = replies.length ? replies.shift() : 200;
+        if (reply instanceof Error) throw reply;
+        return new Response(null, { status: reply });
+      },
+      setTimeout: (callback, ms) => {
+        const id = nextTimer++;
+        timers.set(id, { callback, ms });
+        return id;
+      },
+      clearTimeout: id => { timers.delete(id); }
+    }
+  });
+  env.run(`
+    Utils.logError = () => {};
+    Storage.getPhotoBlob = async id => new Blob(['jpeg ' + id], { type: 'image/jpeg' });
+    Storage.setUploadEndpoint('${ENDPOINT}');
+  `);
+
+  const Uploads = env.get('Uploads');
+
+  return {
+    env,
+    Uploads,
+    requests,
+    replies,
+    timers,
+    config: env.get('CONFIG').UPLOAD,
+    /** Wait for the queue to finish what it's sending */
+    async settle() {
+      do {
+        await new Promise(resolve => setImmediate(resolve));
+      } while (Uploads.running);
+    },
+    /** The one timer schedule() left, if any */
+    scheduled() {
+      const pending = Array.from(timers.values());
+      assert.ok(pending.length <= 1, 'at most one wake-up is scheduled');
+      return pending[0] || null;
+    },
+    entry: () => Uploads.getEntries()[0]
+  };
+}
+
+const photo = (id = 'photo-1') => ({ id, code: 'K7Q2M9AB', name: `${id}.jpg`, type: 'image/jpeg', session: 'session-1' });
+
+test('a queued photo is posted with its id, code, session and metadata', async () => {
+  const s = setup();
+  assert.equal(s.Uploads.enqueue(photo(), { app: '2.0' }), true);
+  await s.settle();
+
+  assert.equal(s.requests.length, 1);
+  const { url, form } = s.requests[0];
+  assert.equal(url, ENDPOINT);
+  assert.equal(form.get('id'), 'photo-1');
+  assert.equal(form.get('code'), 'K7Q2M9AB');
+  assert.equal(form.get('session'), 'session-1');
+  assert.deepEqual(JSON.parse(form.get('metadata')), { app: '2.0', name: 'photo-1.jpg', type: 'image/jpeg' });
+  assert.equal(await form.get('file').text(), 'jpeg photo-1');
+
+  assert.equal(s.entry().status, 'sent');
+  assert.equal(s.scheduled(), null, 'nothing left to wake up for');
+});
+
+test('nothing is queued while uploads are off', () => {
+  const s = setup();
+  s.env.run("Storage.setUploadEndpoint('')");
+  assert.equal(s.Uploads.enqueue(photo()), false);
+  assert.equal(s.Uploads.getEntries().length, 0);
+});
+
+test('5xx, 408, 429 and network errors retry; other 4xx fail for good', async () => {
+  for (const reply of [500, 503, 408, 429, new TypeError('Failed to fetch')]) {
+    const s = setup();
+    s.replies.push(reply);
+    s.Uploads.enqueue(photo());
+    await s.settle();
+
+    const entry = s.entry();
+    assert.equal(entry.status, 'pending', `${reply} retries`);
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.lastError, reply instanceof Error ? 'Network error' : `Server replied ${reply}`);
+  }
+
+  for (const reply of [400, 401, 404, 413]) {
+    const s = setup();
+    s.replies.push(reply);
+    s.Uploads.enqueue(photo());
+    await s.settle();
+
+    const entry = s.entry();
+    assert.equal(entry.status, 'failed', `${reply} is permanent`);
+    assert.equal(entry.attempts, 1);
+    assert.equal(s.scheduled(), null);
+  }
+});
+
+test('retries back off exponentially up to BACKOFF_MAX, and wait until they are due', async () => {
+  const s = setup();
+  const { BACKOFF_BASE, BACKOFF_MAX, MAX_ATTEMPTS } = s.config;
+  s.replies.push(...Array(MAX_ATTEMPTS - 1).fill(503));
+  s.Uploads.enqueue(photo());
+  await s.settle();
+
+  const waits = [];
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+    const entry = s.entry();
+    const wait = entry.nextAttemptAt - s.env.clock.now;
+    waits.push(wait);
+    assert.equal(s.scheduled().ms, wait, 'wakes up when the retry is due');
+
+    // Not due yet: running the queue early sends nothing
+    s.env.clock.now += wait - 1;
+    await s.Uploads.process();
+    assert.equal(s.requests.length, attempt);
+
+    s.env.clock.now += 1;
+    s.scheduled().callback();
+    await s.settle();
+    assert.equal(s.requests.length, attempt + 1);
+  }
+
+  const expected = Array.from({ length: MAX_ATTEMPTS - 1 }, (_, i) => Math.min(BACKOFF_BASE * 2 ** i, BACKOFF_MAX));
+  assert.deepEqual(waits, expected);
+  assert.equal(s.entry().status, 'sent');
+
+  assert.equal(s.Uploads.getBackoff(20), BACKOFF_MAX, 'capped');
+});
+
+test('an upload is marked failed after MAX_ATTEMPTS and not tried again', async () => {
+  const s = setup();
+  const { MAX_ATTEMPTS } = s.config;
+  s.replies.push(...Array(MAX_ATTEMPTS + 2).fill(500));
+  s.Uploads.enqueue(photo());
+  await s.settle();
+
+  while (s.scheduled()) {
+    s.env.clock.now = s.entry().nextAttemptAt;
+    s.scheduled().callback();
+    await s.settle();
+  }
+
+  assert.equal(s.requests.length, MAX_ATTEMPTS);
+  assert.equal(s.entry().status, 'failed');
+  assert.equal(s.entry().attempts, MAX_ATTEMPTS);
+  assert.deepEqual({ ...s.Uploads.getCounts() }, { pending: 0, failed: 1, sent: 0 });
+
+  s.env.clock.now += s.config.BACKOFF_MAX * 10;
+  await s.Uploads.process();
+  assert.equal(s.requests.length, MAX_ATTEMPTS);
+});
+
+test('retryFailed requeues failed uploads with a fresh set of attempts', async () => {
+  const s = setup();
+  s.replies.push(400, 404);
+  s.Uploads.enqueue(photo('photo-1'));
+  await s.settle();
+  s.Uploads.enqueue(photo('photo-2'));
+  await s.settle();
+  assert.equal(s.Uploads.getCounts().failed, 2);
+
+  let changes = 0;
+  s.Uploads.onChange(() => changes++);
+  assert.equal(s.Uploads.retryFailed(), 2);
+  await s.settle();
+
+  assert.deepEqual({ ...s.Uploads.getCounts() }, { pending: 0, failed: 0, sent: 2 });
+  assert.equal(s.requests.length, 4);
+  assert.ok(changes >= 3, 'listeners hear about the requeue and each send');
+  assert.equal(s.Uploads.retryFailed(), 0, 'nothing left to retry');
+});
+
+test('the queue survives a reload and the next page picks it up', async () => {
+  const store = {};
+  const first = setup(store);
+  first.env.context.navigator.onLine = false;
+  first.Uploads.enqueue(photo('photo-1'));
+  first.Uploads.enqueue(photo('photo-2'));
+  first.Uploads.enqueue(photo('photo-1')); // Already queued
+  await first.settle();
+  assert.equal(first.requests.length, 0, 'offline, so nothing is sent');
+
+  const second = setup(store);
+  assert.deepEqual(Array.from(second.Uploads.getEntries(), e => `${e.photoId} ${e.status}`),
+    ['photo-2 pending', 'photo-1 pending']);
+
+  second.replies.push(503);
+  second.Uploads.start();
+  await second.settle();
+  assert.deepEqual(second.requests.map(r => r.form.get('id')), ['photo-1', 'photo-2']);
+
+  // A third page sees both outcomes, including the backoff still to wait out
+  const third = setup(store);
+  const [two, one] = third.Uploads.getEntries();
+  assert.equal(two.status, 'sent');
+  assert.equal(one.status, 'pending');
+  assert.equal(one.attempts, 1);
+  assert.equal(one.nextAttemptAt, second.env.clock.now + third.config.BACKOFF_BASE);
+});
+
+test('going back online sends what queued up while offline', async () => {
+  const s = setup();
+  s.Uploads.start();
+  s.env.context.navigator.onLine = false;
+  s.Uploads.enqueue(photo());
+  await s.settle();
+  assert.equal(s.requests.length, 0);
+  assert.equal(s.scheduled(), null, 'no retry timer while offline');
+
+  s.env.context.navigator.onLine = true;
+  s.env.dispatch('online');
+  await s.settle();
+  assert.equal(s.requests.length, 1);
+  assert.equal(s.entry().status, 'sent');
+});
+
+test('a photo deleted before it was sent fails without a request', async () => {
+  const s = setup();
+  s.env.run('Storage.getPhotoBlob = async () => null;');
+  s.Uploads.enqueue(photo());
+  await s.settle();
+
+  assert.equal(s.requests.length, 0);
+  assert.equal(s.entry().status, 'failed');
+  assert.equal(s.entry().lastError, 'Photo was deleted before it was sent');
+});
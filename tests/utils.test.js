@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser');
+
+const { get } = loadScripts(['js/config.js', 'js/utils.js']);
+const Utils = get('Utils');
+
+const cell = value => Utils.toCSV([[value]]);
+
+for (const [prefix, name] of [['=', 'equals'], ['+', 'plus'], ['-', 'minus'], ['@', 'at'], ['\t', 'tab']]) {
+  test(`toCSV guards text starting with ${name}`, () => {
+    assert.equal(cell(`${prefix}SUM(A1:A2)`), `'${prefix}SUM(A1:A2)`);
+  });
+}
+
+test('toCSV guards text starting with a carriage return, and quotes it', () => {
+  assert.equal(cell('\rSUM(A1:A2)'), '"\'\rSUM(A1:A2)"');
+});
+
+test('toCSV leaves numbers and ordinary text alone', () => {
+  assert.equal(Utils.toCSV([[-5, 12, 'VIP-1234', 'a=b', '']]), '-5,12,VIP-1234,a=b,');
+});
+
+test('toCSV quotes commas, quotes and line breaks', () => {
+  assert.equal(Utils.toCSV([['a,b', 'say "hi"', 'two\nlines'], [null, undefined]]), '"a,b","say ""hi""","two\nlines"\r\n,');
+});